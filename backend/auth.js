@@ -0,0 +1,118 @@
+/**
+ * API keys and scopes.
+ * - config.API_KEY (if set) is the root key: admin, may act as any tenant via X-Tenant-Id.
+ * - Registry keys (POST /admin/keys) are bound to one tenant and a set of scopes; only a SHA-256 hash is stored.
+ * - With no API_KEY and no active registry keys the API is open (every request is admin), as before keys existed.
+ */
+const crypto = require('crypto');
+const store = require('./store');
+const config = require('./config');
+
+const SCOPES = new Set(['jobs:submit', 'jobs:read', 'dlq:redrive', 'admin']);
+
+const KEY_PREFIX = 'jq_';
+
+/** Principal for open mode and the root key. tenantId null = not bound to a tenant. */
+const ADMIN = Object.freeze({ keyId: null, tenantId: null, scopes: new Set(['admin']), admin: true });
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function isRootKey(key) {
+  if (!config.API_KEY) return false;
+  const expected = Buffer.from(String(config.API_KEY), 'utf8');
+  const given = Buffer.from(key, 'utf8');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function parseScopes(raw) {
+  try {
+    const scopes = JSON.parse(raw || '[]');
+    return Array.isArray(scopes) ? scopes : [];
+  } catch {
+    return [];
+  }
+}
+
+/** True when requests must carry a key (root key configured or any active registry key). */
+function authRequired() {
+  return Boolean(config.API_KEY) || store.countApiKeys() > 0;
+}
+
+/** Resolve a presented key to a principal { keyId, tenantId, scopes, admin }, or null if unknown/revoked. */
+function authenticate(key) {
+  if (!key) return null;
+  if (isRootKey(key)) return ADMIN;
+  const row = store.findApiKeyByHash(hashKey(key));
+  if (!row || row.revoked_at) return null;
+  const scopes = new Set(parseScopes(row.scopes));
+  return { keyId: row.id, tenantId: row.tenant_id, scopes, admin: scopes.has('admin') };
+}
+
+/** Principal for a request when auth is not required. */
+function openPrincipal() {
+  return ADMIN;
+}
+
+function hasScope(principal, scope) {
+  return Boolean(principal) && (principal.admin || principal.scopes.has(scope));
+}
+
+/** Express middleware: 403 unless req.auth has `scope` (admin has every scope). */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req.auth, scope)) return next();
+    res.status(403).json({ error: `Forbidden: API key lacks scope ${scope}` });
+  };
+}
+
+/**
+ * Validate a POST /admin/keys body. Returns { name, tenant_id, scopes } or throws Error (status 400).
+ * `isValidTenant` is main.js's tenant id check so keys and X-Tenant-Id follow the same rules.
+ */
+function parseKeyRequest(body, isValidTenant) {
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+  const tenantId = body?.tenant_id == null ? 'default' : String(body.tenant_id);
+  if (!isValidTenant(tenantId)) fail('tenant_id must be 1-128 characters of letters, digits, _ . -');
+  const scopes = body?.scopes;
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((s) => SCOPES.has(s))) {
+    fail(`scopes must be a non-empty array of: ${[...SCOPES].join(', ')}`);
+  }
+  const name = body?.name != null ? String(body.name).slice(0, 128) : null;
+  return { name, tenant_id: tenantId, scopes: [...new Set(scopes)] };
+}
+
+/** Public view of a registry row (never the hash). */
+function keyToJson(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    tenant_id: row.tenant_id,
+    scopes: parseScopes(row.scopes),
+    prefix: row.prefix,
+    created_at: row.created_at,
+    revoked_at: row.revoked_at,
+  };
+}
+
+module.exports = {
+  SCOPES,
+  hashKey,
+  generateKey,
+  authRequired,
+  authenticate,
+  openPrincipal,
+  hasScope,
+  requireScope,
+  parseKeyRequest,
+  keyToJson,
+};
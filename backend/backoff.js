@@ -0,0 +1,76 @@
+/**
+ * Retry backoff policies. After a failed attempt the worker sets `next_attempt_at` = now + retryDelayMs(...)
+ * and leasing skips the job until then.
+ *
+ * - fixed:       base
+ * - linear:      base * attempt
+ * - exponential: base * 2^(attempt - 1)
+ *
+ * The delay is capped at max_seconds. With jitter, a random value in [delay/2, delay] is used so jobs that
+ * failed together (e.g. a downstream outage) do not all retry in the same tick.
+ * Jobs may override any field at submit time (`backoff` in POST /jobs); missing fields fall back to config.
+ */
+const config = require('./config');
+
+const POLICIES = new Set(['fixed', 'linear', 'exponential']);
+
+/** Upper bound for base_seconds / max_seconds in per-job overrides. */
+const MAX_BACKOFF_SEC = 24 * 3600;
+
+function defaultBackoff() {
+  return {
+    policy: config.RETRY_BACKOFF,
+    base_seconds: config.RETRY_BACKOFF_BASE_SEC,
+    max_seconds: config.RETRY_BACKOFF_MAX_SEC,
+    jitter: config.RETRY_BACKOFF_JITTER,
+  };
+}
+
+/**
+ * Validate a per-job override ({ policy?, base_seconds?, max_seconds?, jitter? }).
+ * Returns the normalized object, or null if none was given. Throws Error with a client-facing message.
+ */
+function parseBackoff(raw) {
+  if (raw == null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('backoff must be an object');
+  const out = {};
+  if (raw.policy !== undefined) {
+    if (!POLICIES.has(raw.policy)) throw new Error(`backoff.policy must be one of: ${[...POLICIES].join(', ')}`);
+    out.policy = raw.policy;
+  }
+  for (const key of ['base_seconds', 'max_seconds']) {
+    if (raw[key] === undefined) continue;
+    const v = raw[key];
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < 0 || v > MAX_BACKOFF_SEC) {
+      throw new Error(`backoff.${key} must be a number between 0 and ${MAX_BACKOFF_SEC}`);
+    }
+    out[key] = v;
+  }
+  if (raw.jitter !== undefined) {
+    if (typeof raw.jitter !== 'boolean') throw new Error('backoff.jitter must be a boolean');
+    out.jitter = raw.jitter;
+  }
+  return out;
+}
+
+/** Delay before retry number `attempt` (1 = first retry). `override` is the job's stored backoff (JSON string or object). */
+function retryDelayMs(override, attempt) {
+  let custom = override;
+  if (typeof custom === 'string') {
+    try {
+      custom = JSON.parse(custom);
+    } catch {
+      custom = null;
+    }
+  }
+  const b = { ...defaultBackoff(), ...(custom || {}) };
+  const n = Math.max(1, attempt);
+  let sec = b.base_seconds;
+  if (b.policy === 'linear') sec = b.base_seconds * n;
+  else if (b.policy === 'exponential') sec = b.base_seconds * 2 ** Math.min(n - 1, 30);
+  sec = Math.min(sec, b.max_seconds);
+  if (b.jitter) sec = sec / 2 + Math.random() * (sec / 2);
+  return Math.round(sec * 1000);
+}
+
+module.exports = { POLICIES, defaultBackoff, parseBackoff, retryDelayMs };
@@ -0,0 +1,77 @@
+/**
+ * Batches (POST /jobs/batch): up to MAX_BATCH_SIZE jobs submitted in one request and one store transaction, tracked
+ * together by GET /batches/:id. Batches draw on their own per-tenant quota of jobs per minute
+ * (RATE_LIMIT_BATCH_JOBS_PER_MINUTE) instead of the per-request POST /jobs limit.
+ */
+const { workflowStatus } = require('./workflows');
+
+const MAX_BATCH_SIZE = 1000;
+const MAX_BATCH_NAME_LEN = 128;
+const MAX_IDEMPOTENCY_KEY_LEN = 256;
+
+/** Failed jobs listed in a batch summary (the counts cover all of them). */
+const MAX_LISTED_FAILURES = 100;
+
+/** Job statuses that will not change by themselves. */
+const FINISHED_STATUSES = new Set(['done', 'failed', 'cancelled', 'skipped']);
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate the shape of a POST /jobs/batch body: { name?, jobs: [{ ...POST /jobs body, idempotency_key? }] }. Each
+ * item's job fields are checked by the caller. Returns { name, items: [{ spec, idempotencyKey }] } or throws (400).
+ */
+function parseBatchRequest(body) {
+  const name = body?.name == null ? null : body.name;
+  if (name !== null && (typeof name !== 'string' || name.length > MAX_BATCH_NAME_LEN)) {
+    throw badRequest(`name must be a string of at most ${MAX_BATCH_NAME_LEN} characters`);
+  }
+  const jobs = body?.jobs;
+  if (!Array.isArray(jobs) || jobs.length === 0 || jobs.length > MAX_BATCH_SIZE) {
+    throw badRequest(`jobs must be an array of 1 to ${MAX_BATCH_SIZE} job specs`);
+  }
+  const items = jobs.map((item, i) => {
+    if (typeof item !== 'object' || item === null || Array.isArray(item)) throw badRequest(`jobs[${i}] must be an object`);
+    const { idempotency_key: key, ...spec } = item;
+    if (key != null && (typeof key !== 'string' || key.length === 0 || key.length > MAX_IDEMPOTENCY_KEY_LEN)) {
+      throw badRequest(`jobs[${i}].idempotency_key must be a string of 1 to ${MAX_IDEMPOTENCY_KEY_LEN} characters`);
+    }
+    return { spec, idempotencyKey: key ?? null };
+  });
+  return { name, items };
+}
+
+/**
+ * Summary of a batch row and its jobs (store.listBatchJobs): counts by status, completion percentage (finished jobs:
+ * done, failed, cancelled or skipped) and the failed jobs with their errors (by item index).
+ */
+function batchToJson(row, jobs) {
+  const counts = {};
+  for (const job of jobs) counts[job.status] = (counts[job.status] || 0) + 1;
+  const finished = jobs.filter((j) => FINISHED_STATUSES.has(j.status)).length;
+  const failed = jobs.map((job, index) => ({ job, index })).filter(({ job }) => job.status === 'failed');
+  return {
+    id: row.id,
+    name: row.name ?? null,
+    tenant_id: row.tenant_id,
+    created_at: row.created_at,
+    status: jobs.length > 0 ? workflowStatus(jobs) : 'done',
+    total: row.total,
+    counts,
+    finished,
+    completion_percent: row.total > 0 ? Math.round((finished / row.total) * 1000) / 10 : 100,
+    failures: failed.slice(0, MAX_LISTED_FAILURES).map(({ job, index }) => ({
+      index,
+      job_id: job.id,
+      type: job.type,
+      error_message: job.error_message ?? null,
+      completed_at: job.completed_at ?? null,
+    })),
+  };
+}
+
+module.exports = { MAX_BATCH_SIZE, parseBatchRequest, batchToJson };
@@ -4,13 +4,48 @@
 const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 
+const PORT = parseInt(process.env.PORT || '8000', 10);
+
+/** "acme=10,free=1" → { acme: 10, free: 1 }. Invalid entries are ignored. */
+function parseTenantLimits(raw) {
+  const limits = {};
+  for (const entry of (raw || '').split(',')) {
+    const [tenant, value] = entry.split('=').map((s) => s && s.trim());
+    const n = parseInt(value, 10);
+    if (tenant && Number.isInteger(n) && n >= 0) limits[tenant] = n;
+  }
+  return limits;
+}
+
 module.exports = {
-  PORT: parseInt(process.env.PORT || '8000', 10),
+  PORT,
+  DATA_DIR: process.env.DATA_DIR || null, // default: backend/data
+  API_URL: process.env.API_URL || `http://localhost:${PORT}`, // worker forwards job events here
   API_KEY: process.env.API_KEY || null, // optional; if set, requests must send X-API-Key
-  MAX_CONCURRENT_PER_TENANT: parseInt(process.env.RATE_LIMIT_CONCURRENT || '5', 10),
+  MAX_CONCURRENT_PER_TENANT: parseInt(process.env.RATE_LIMIT_CONCURRENT || '5', 10), // running jobs per tenant, across all workers
+  TENANT_CONCURRENCY: parseTenantLimits(process.env.TENANT_CONCURRENCY), // per-tenant overrides of MAX_CONCURRENT_PER_TENANT
   MAX_NEW_JOBS_PER_MINUTE: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '10', 10),
-  LEASE_TIMEOUT_SEC: parseInt(process.env.LEASE_TIMEOUT_SEC || '300', 10), // 5 min; stale jobs re-queued
+  MAX_BATCH_JOBS_PER_MINUTE: parseInt(process.env.RATE_LIMIT_BATCH_JOBS_PER_MINUTE || '2000', 10), // jobs per tenant via POST /jobs/batch
+  DLQ_RETENTION_DAYS: Math.max(parseInt(process.env.DLQ_RETENTION_DAYS || '30', 10) || 0, 0), // workers delete older DLQ items; 0 = keep forever
+  LEASE_TIMEOUT_SEC: parseInt(process.env.LEASE_TIMEOUT_SEC || '300', 10), // 5 min without a heartbeat; stale jobs re-queued
+  SHUTDOWN_GRACE_SEC: parseInt(process.env.SHUTDOWN_GRACE_SEC || '30', 10), // on SIGTERM/SIGINT, wait this long for in-flight jobs
+  HEARTBEAT_INTERVAL_SEC: Math.max(parseInt(process.env.HEARTBEAT_INTERVAL_SEC || '10', 10) || 10, 1), // worker renews its leases this often
   POLL_MS: parseInt(process.env.WORKER_POLL_MS || '2000', 10),
   WORKER_CONCURRENCY: Math.min(Math.max(parseInt(process.env.WORKER_CONCURRENCY || '5', 10) || 5, 1), 5), // max 5 jobs at a time
+  WORKER_QUEUES: process.env.WORKER_QUEUES || null, // e.g. default,emails=2: lease only these queues (see queues.js); unset = all
   MAX_RETRIES: parseInt(process.env.MAX_RETRIES || '3', 10),
+  JOB_TIMEOUT_SEC: parseInt(process.env.JOB_TIMEOUT_SEC || '60', 10), // default per-job execution timeout
+  JOB_TIMEOUT_MAX_SEC: parseInt(process.env.JOB_TIMEOUT_MAX_SEC || '240', 10), // max timeout_seconds accepted at submit
+  PRIORITY_AGING_SEC: parseInt(process.env.PRIORITY_AGING_SEC || '60', 10), // waiting this long adds +1 priority; 0 = no aging
+  RETRY_BACKOFF: (process.env.RETRY_BACKOFF || 'exponential').toLowerCase(), // fixed | linear | exponential
+  RETRY_BACKOFF_BASE_SEC: parseFloat(process.env.RETRY_BACKOFF_BASE_SEC || '2'),
+  RETRY_BACKOFF_MAX_SEC: parseFloat(process.env.RETRY_BACKOFF_MAX_SEC || '300'),
+  RETRY_BACKOFF_JITTER: process.env.RETRY_BACKOFF_JITTER !== 'false',
+  STORE_BACKEND: (process.env.STORE_BACKEND || 'json').toLowerCase(), // json | sqlite
+  SQLITE_FILE: process.env.SQLITE_FILE || null, // default: data/jobs.db
+  WORKER_ID: process.env.WORKER_ID || null, // default: <hostname>-<pid>
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET || null, // signs per-job callback_url deliveries; callback_url is refused if unset
+  WEBHOOK_MAX_ATTEMPTS: Math.max(parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10) || 5, 1), // then the delivery is marked failed
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10) || 5000, // per delivery attempt
+  WORKER_METRICS_PORT: parseInt(process.env.WORKER_METRICS_PORT || '0', 10) || 0, // worker's own GET /metrics; 0 = off
 };
@@ -0,0 +1,96 @@
+/**
+ * Minimal 5-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC.
+ * Supports `*`, numbers, ranges `a-b`, steps (`/n` after `*`, a range or a start value), comma lists,
+ * and @hourly/@daily/@weekly/@monthly/@yearly.
+ * Day-of-week 0 and 7 are Sunday. As in classic cron, if both day fields are restricted a day matching either fires.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MAX_EXPR_LEN = 128;
+
+/** Upper bound on search steps; with month/day/hour skipping a valid expression needs far fewer. */
+const MAX_SEARCH_STEPS = 10000;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid ${name} field: ${text}`);
+    let lo = min;
+    let hi = max;
+    if (m[1] !== '*') {
+      const [a, b] = m[1].split('-').map(Number);
+      lo = a;
+      hi = b !== undefined ? b : m[2] ? max : a;
+    }
+    const step = m[2] ? Number(m[2]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`Invalid ${name} field: ${text}`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** Parse an expression; throws Error with a client-facing message if invalid. */
+function parseCron(expr) {
+  if (typeof expr !== 'string' || expr.length === 0 || expr.length > MAX_EXPR_LEN) {
+    throw new Error('Cron expression must be a non-empty string');
+  }
+  const normalized = ALIASES[expr.trim().toLowerCase()] || expr.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, domRestricted: parts[2] !== '*', dowRestricted: parts[4] !== '*' };
+}
+
+function dayMatches(c, d) {
+  const domOk = c.dom.has(d.getUTCDate());
+  const dowOk = c.dow.has(d.getUTCDay());
+  if (c.domRestricted && c.dowRestricted) return domOk || dowOk;
+  if (c.domRestricted) return domOk;
+  if (c.dowRestricted) return dowOk;
+  return true;
+}
+
+/** First fire time strictly after `after` (Date), or null if the expression never fires (e.g. 30 February). */
+function nextFireTime(exprOrParsed, after = new Date()) {
+  const c = typeof exprOrParsed === 'string' ? parseCron(exprOrParsed) : exprOrParsed;
+  const d = new Date(after.getTime());
+  d.setUTCSeconds(0, 0);
+  d.setUTCMinutes(d.getUTCMinutes() + 1);
+  for (let i = 0; i < MAX_SEARCH_STEPS; i++) {
+    if (!c.month.has(d.getUTCMonth() + 1)) {
+      d.setUTCMonth(d.getUTCMonth() + 1, 1);
+      d.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(c, d)) {
+      d.setUTCDate(d.getUTCDate() + 1);
+      d.setUTCHours(0, 0, 0, 0);
+    } else if (!c.hour.has(d.getUTCHours())) {
+      d.setUTCHours(d.getUTCHours() + 1, 0, 0, 0);
+    } else if (!c.minute.has(d.getUTCMinutes())) {
+      d.setUTCMinutes(d.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextFireTime };
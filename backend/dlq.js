@@ -0,0 +1,100 @@
+/**
+ * Dead-letter queue management: the filter shared by GET /dlq, GET /dlq/export, POST /dlq/redrive and
+ * POST /dlq/purge, and the CSV / NDJSON export formats. Deleting a DLQ item does not touch its job, which stays
+ * "failed" and can still be retried with POST /jobs/:id/retry. Workers delete items older than DLQ_RETENTION_DAYS.
+ */
+const store = require('./store');
+
+const STATES = ['open', 'redriven', 'all'];
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const MAX_FILTER_IDS = 1000;
+const MAX_ERROR_FILTER_LEN = 200;
+
+/** CSV export columns (NDJSON rows carry every field, with attempts parsed). */
+const CSV_COLUMNS = ['id', 'job_id', 'tenant_id', 'type', 'failed_at', 'retries', 'last_error', 'redriven_at', 'payload'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseTime(raw, field) {
+  if (raw == null || raw === '') return null;
+  const ms = typeof raw === 'string' ? Date.parse(raw) : NaN;
+  if (!Number.isFinite(ms)) throw badRequest(`${field} must be an ISO 8601 timestamp`);
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Validate filter fields from a query string or request body: tenant_id, error (substring of last_error), since /
+ * until (failed_at range, until exclusive), state (open | redriven | all; default all) and, in bodies, ids (DLQ item
+ * ids). Returns the store filter { tenantId, ids, error, since, until, state } or throws Error (status 400).
+ */
+function parseDlqFilter(source = {}) {
+  const filter = { state: source.state ?? 'all' };
+  if (!STATES.includes(filter.state)) throw badRequest(`state must be one of: ${STATES.join(', ')}`);
+  if (source.tenant_id != null && source.tenant_id !== '') filter.tenantId = String(source.tenant_id);
+  if (source.error != null && source.error !== '') {
+    if (typeof source.error !== 'string' || source.error.length > MAX_ERROR_FILTER_LEN) {
+      throw badRequest(`error must be a string of at most ${MAX_ERROR_FILTER_LEN} characters`);
+    }
+    filter.error = source.error;
+  }
+  filter.since = parseTime(source.since, 'since');
+  filter.until = parseTime(source.until, 'until');
+  if (source.ids != null) {
+    const ids = source.ids;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_FILTER_IDS || !ids.every((id) => store.sanitizeJobId(id))) {
+      throw badRequest(`ids must be an array of 1 to ${MAX_FILTER_IDS} DLQ item ids`);
+    }
+    filter.ids = ids.map((id) => store.sanitizeJobId(id));
+  }
+  return filter;
+}
+
+/**
+ * Filter for a bulk action (POST /dlq/redrive, /dlq/purge). An empty filter would act on the whole DLQ, so it must
+ * be asked for explicitly with { all: true }.
+ */
+function parseBulkFilter(body = {}) {
+  const filter = parseDlqFilter(body);
+  const narrowed = filter.tenantId || filter.ids || filter.error || filter.since || filter.until || filter.state !== 'all';
+  if (!narrowed && body.all !== true) {
+    throw badRequest('Give a filter (ids, tenant_id, error, since, until, state) or all: true');
+  }
+  return filter;
+}
+
+/** Public view of a DLQ item: its job's attempt history parsed. */
+function dlqItemToJson(item) {
+  return { ...item, attempts: store.parseAttempts(item.attempts) };
+}
+
+/** Quote a CSV field; a leading =, +, - or @ is prefixed with ' so spreadsheets do not evaluate it. */
+function csvField(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(items) {
+  const rows = items.map((item) => CSV_COLUMNS.map((c) => csvField(item[c])).join(','));
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+function toNdjson(items) {
+  return items.map((item) => `${JSON.stringify(dlqItemToJson(item))}\n`).join('');
+}
+
+module.exports = {
+  STATES,
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  parseDlqFilter,
+  parseBulkFilter,
+  dlqItemToJson,
+  toCsv,
+  toNdjson,
+};
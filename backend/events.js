@@ -0,0 +1,106 @@
+/**
+ * Job lifecycle events (submitted, due, leased, acked, retried, dead_lettered, lease_expired, redriven,
+ * cancel_requested, cancelled, released, progress, unblocked, skipped).
+ * The API process keeps an in-memory bus that SSE subscribers (GET /events) listen on.
+ * The worker runs in another process and forwards its events to the API over HTTP (POST /events).
+ */
+const http = require('http');
+const { EventEmitter } = require('events');
+const config = require('./config');
+const logger = require('./logger');
+
+const EVENT_TYPES = new Set([
+  'submitted',
+  'due',
+  'leased',
+  'acked',
+  'retried',
+  'dead_lettered',
+  'lease_expired',
+  'redriven',
+  'cancel_requested',
+  'cancelled',
+  'released',
+  'progress',
+  'unblocked',
+  'skipped',
+]);
+
+const NOTIFY_TIMEOUT_MS = 2000;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per connected dashboard
+
+/** Monotonic per-process event id (SSE `id:` field). */
+let nextId = 1;
+
+/** Wire shape of an event: small on purpose; clients re-fetch the job if they need more. */
+function toEvent(type, job) {
+  return {
+    type,
+    job_id: job.id,
+    status: job.status,
+    tenant_id: job.tenant_id,
+    job_type: job.type,
+    ts: new Date().toISOString(),
+  };
+}
+
+/** API process: broadcast an event to all subscribers. */
+function publish(event) {
+  const e = { id: nextId++, ...event };
+  bus.emit('event', e);
+  return e;
+}
+
+/** API process: listen for events. Returns an unsubscribe function. */
+function subscribe(fn) {
+  bus.on('event', fn);
+  return () => bus.off('event', fn);
+}
+
+/** Log only when the API becomes unreachable / reachable again, not once per event. */
+let notifyFailing = false;
+
+function notifyFailed(message) {
+  if (!notifyFailing) logger.warn('event_notify_failed', { message: `Cannot forward events to ${config.API_URL}: ${message}` });
+  notifyFailing = true;
+}
+
+/**
+ * Worker process: forward an event to the API (fire-and-forget).
+ * Events are refresh hints, so a lost one only delays the dashboard until its next fetch.
+ * Returns a promise that resolves (never rejects) once the request finished, for callers about to exit.
+ */
+function notifyApi(type, job) {
+  const body = JSON.stringify(toEvent(type, job));
+  const u = new URL('/events', config.API_URL);
+  const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) };
+  if (config.API_KEY) headers['X-API-Key'] = config.API_KEY;
+  return new Promise((resolve) => {
+    const req = http.request(
+      { hostname: u.hostname, port: u.port, path: u.pathname, method: 'POST', headers, timeout: NOTIFY_TIMEOUT_MS },
+      (res) => {
+        res.resume();
+        res.on('end', resolve);
+        if (res.statusCode >= 400) return notifyFailed(`HTTP ${res.statusCode}`);
+        if (notifyFailing) logger.info('event_notify_recovered', { message: `Forwarding events to ${config.API_URL}` });
+        notifyFailing = false;
+      },
+    );
+    req.on('timeout', () => req.destroy(new Error('timeout')));
+    req.on('error', (e) => {
+      notifyFailed(e.message);
+      resolve();
+    });
+    req.end(body);
+  });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  toEvent,
+  publish,
+  subscribe,
+  notifyApi,
+};
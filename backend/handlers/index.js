@@ -0,0 +1,90 @@
+/**
+ * Job handler registry: each job `type` maps to an async handler plus a payload schema.
+ * The API validates payloads against the schema at submit time; the worker dispatches by type.
+ *
+ * Schema format: { key: { type: 'string'|'number'|'boolean'|'object'|'array', required?, maxLength? } }.
+ * Keys not in the schema are dropped (prevents prototype pollution and junk in jobs.json).
+ */
+
+const MAX_TYPE_LEN = 64;
+
+/** type → { handler, schema } */
+const registry = new Map();
+
+function isValidTypeName(type) {
+  return typeof type === 'string' && type.length > 0 && type.length <= MAX_TYPE_LEN && /^[\w.-]+$/.test(type);
+}
+
+/**
+ * Register a handler: fn(payload, ctx) → result (may be async).
+ * ctx = { jobId, tenantId, type, signal, extendLease, reportProgress, log }; long-running handlers should stop when
+ * ctx.signal (AbortSignal) aborts (cancelled or timed out), may call ctx.extendLease(seconds) before work that could
+ * block the worker's heartbeats, and may call ctx.reportProgress(percent, message?) to show progress on the job.
+ * ctx.log.info/warn/error(format, ...args) lines are stored with the job (GET /jobs/:id/logs).
+ * Re-registering a type replaces it.
+ */
+function registerHandler(type, fn, schema = {}) {
+  if (!isValidTypeName(type)) throw new Error(`Invalid job type name: ${type}`);
+  if (typeof fn !== 'function') throw new Error(`Handler for "${type}" must be a function`);
+  registry.set(type, { handler: fn, schema: schema || {} });
+}
+
+function getHandler(type) {
+  const entry = registry.get(type);
+  return entry ? entry.handler : null;
+}
+
+function hasHandler(type) {
+  return registry.has(type);
+}
+
+function listTypes() {
+  return [...registry.keys()];
+}
+
+function typeOfValue(v) {
+  if (Array.isArray(v)) return 'array';
+  if (v === null) return 'null';
+  return typeof v;
+}
+
+/**
+ * Validate and sanitize a payload for a job type.
+ * Returns { payload } on success or { error } with a client-facing message.
+ */
+function validatePayload(type, obj) {
+  const entry = registry.get(type);
+  if (!entry) return { error: `Unknown job type: ${type}` };
+  if (obj === null || typeof obj !== 'object' || Array.isArray(obj)) return { error: 'Payload must be an object' };
+  const out = {};
+  for (const [key, rule] of Object.entries(entry.schema)) {
+    if (!Object.prototype.hasOwnProperty.call(obj, key) || obj[key] === undefined) {
+      if (rule.required) return { error: `Payload field "${key}" is required` };
+      continue;
+    }
+    const value = obj[key];
+    if (rule.type && typeOfValue(value) !== rule.type) {
+      return { error: `Payload field "${key}" must be of type ${rule.type}` };
+    }
+    if (rule.maxLength != null && typeof value === 'string' && value.length > rule.maxLength) {
+      return { error: `Payload field "${key}" exceeds ${rule.maxLength} characters` };
+    }
+    out[key] = value;
+  }
+  return { payload: out };
+}
+
+// Built-in handlers (add new modules here)
+const text = require('./text');
+
+registerHandler(text.type, text.handler, text.schema);
+
+module.exports = {
+  registerHandler,
+  getHandler,
+  hasHandler,
+  listTypes,
+  validatePayload,
+  isValidTypeName,
+  DEFAULT_TYPE: text.type,
+};
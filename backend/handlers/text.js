@@ -0,0 +1,76 @@
+/**
+ * Demo "text" job: 1 second per character of payload.text (min 1s, max 30s).
+ * Default type when a job is submitted without one.
+ */
+
+/** Max allowed text length; jobs with more characters fail and go to DLQ after retries. */
+const MAX_TEXT_LENGTH = 30;
+
+/** Resolves after ms; rejects early with signal.reason if the job is cancelled. */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Process job with multiple possible failure reasons (for DLQ demo / interview):
+ * - payload.fail === true → Simulated failure for testing
+ * - text length > 30 → Text length exceeds maximum (30 characters)
+ * - empty/missing text → Payload must include non-empty text
+ * - text contains "reject" → Job rejected: forbidden content
+ * - payload.invalid === true → Invalid payload format
+ */
+async function handler(payload, ctx = {}) {
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Invalid payload: must be an object');
+  }
+  if (payload.invalid === true) {
+    throw new Error('Invalid payload format (invalid=true)');
+  }
+  if (payload.fail === true) {
+    throw new Error('Simulated failure for testing');
+  }
+
+  const text = payload.text !== undefined ? String(payload.text) : '';
+  if (!text || !text.trim()) {
+    throw new Error('Payload must include non-empty text');
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new Error(`Text length exceeds maximum (${text.length} > ${MAX_TEXT_LENGTH} characters)`);
+  }
+  if (text.toLowerCase().includes('reject')) {
+    throw new Error('Job rejected: forbidden content (text contains "reject")');
+  }
+
+  const seconds = Math.min(Math.max(text.length, 1), MAX_TEXT_LENGTH);
+  ctx.log?.info('Processing %d character(s), 1s each', seconds);
+  for (let done = 1; done <= seconds; done++) {
+    await sleep(1000, ctx.signal);
+    ctx.reportProgress?.((done / seconds) * 100, `${done}/${seconds} characters`);
+  }
+  return {
+    processed: true,
+    at: new Date().toISOString(),
+    durationSeconds: seconds,
+    textLength: text.length,
+  };
+}
+
+/** Over-length text is accepted at submit on purpose: it is one of the DLQ demo failure reasons. */
+const schema = {
+  text: { type: 'string', maxLength: 10000 },
+  fail: { type: 'boolean' },
+  invalid: { type: 'boolean' },
+};
+
+module.exports = { type: 'text', handler, schema };
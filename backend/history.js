@@ -0,0 +1,99 @@
+/**
+ * Metrics history for GET /metrics/history: the store's per-minute rows (store.addMetricHistory) summed into evenly
+ * spaced buckets over a window, with p50/p95 queue wait and run times estimated from the per-minute latency counts.
+ */
+const store = require('./store');
+
+const MINUTE_MS = 60 * 1000;
+
+/** Supported ?window= values and the bucket size each is summarized at (60-96 points). */
+const WINDOWS = {
+  '15m': { ms: 15 * MINUTE_MS, bucketMs: MINUTE_MS },
+  '1h': { ms: 60 * MINUTE_MS, bucketMs: MINUTE_MS },
+  '6h': { ms: 6 * 60 * MINUTE_MS, bucketMs: 5 * MINUTE_MS },
+  '24h': { ms: 24 * 60 * MINUTE_MS, bucketMs: 15 * MINUTE_MS },
+};
+
+const DEFAULT_WINDOW = '1h';
+
+function isWindow(value) {
+  return Object.prototype.hasOwnProperty.call(WINDOWS, value);
+}
+
+/**
+ * Estimated q-quantile (seconds) of latency counts per store.LATENCY_BOUNDS bucket, interpolating linearly inside the
+ * bucket; times past the last bound count as that bound. Null when nothing was observed.
+ */
+function quantile(counts, q) {
+  const bounds = store.LATENCY_BOUNDS;
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  if (total === 0) return null;
+  const rank = q * total;
+  let seen = 0;
+  for (let i = 0; i < counts.length; i++) {
+    if (counts[i] === 0 || seen + counts[i] < rank) {
+      seen += counts[i];
+      continue;
+    }
+    if (i >= bounds.length) return bounds[bounds.length - 1];
+    const lower = i === 0 ? 0 : bounds[i - 1];
+    const value = lower + (bounds[i] - lower) * ((rank - seen) / counts[i]);
+    return Math.round(value * 1000) / 1000;
+  }
+  return bounds[bounds.length - 1];
+}
+
+function addCounts(into, counts) {
+  for (let i = 0; i < into.length; i++) into[i] += counts?.[i] || 0;
+}
+
+/**
+ * { window, bucket_seconds, buckets: [{ start, submitted, done, failed, retried, pending, running, wait_p50,
+ * wait_p95, run_p50, run_p95 }] } for the window ending with the current bucket. Buckets without data are included
+ * (zero counts, null percentiles); pending / running are the last queue depth sample in the bucket.
+ */
+function getHistory(windowName = DEFAULT_WINDOW, nowMs = Date.now()) {
+  const { ms, bucketMs } = WINDOWS[windowName];
+  const end = (Math.floor(nowMs / bucketMs) + 1) * bucketMs;
+  const start = end - ms;
+  const size = store.LATENCY_BOUNDS.length + 1;
+  const buckets = Array.from({ length: ms / bucketMs }, (_, i) => ({
+    start: start + i * bucketMs,
+    submitted: 0,
+    done: 0,
+    failed: 0,
+    retried: 0,
+    pending: null,
+    running: null,
+    wait: new Array(size).fill(0),
+    run: new Array(size).fill(0),
+  }));
+  for (const row of store.listMetricHistory(new Date(start).toISOString())) {
+    const bucket = buckets[Math.floor((Date.parse(row.minute) - start) / bucketMs)];
+    if (!bucket) continue;
+    for (const key of ['submitted', 'done', 'failed', 'retried']) bucket[key] += row[key] || 0;
+    if (row.pending != null) bucket.pending = row.pending;
+    if (row.running != null) bucket.running = row.running;
+    addCounts(bucket.wait, row.wait);
+    addCounts(bucket.run, row.run);
+  }
+  return {
+    window: windowName,
+    bucket_seconds: bucketMs / 1000,
+    buckets: buckets.map(({ wait, run, ...b }) => ({
+      ...b,
+      start: new Date(b.start).toISOString(),
+      wait_p50: quantile(wait, 0.5),
+      wait_p95: quantile(wait, 0.95),
+      run_p50: quantile(run, 0.5),
+      run_p95: quantile(run, 0.95),
+    })),
+  };
+}
+
+/** Record the current queue depth (pending / running job counts) in this minute's history row. */
+function sampleQueueDepth() {
+  store.addMetricHistory({ pending: store.countByStatus('pending'), running: store.countByStatus('running') });
+}
+
+module.exports = { WINDOWS, DEFAULT_WINDOW, isWindow, getHistory, sampleQueueDepth };
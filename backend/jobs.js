@@ -0,0 +1,65 @@
+/**
+ * Job record construction shared by everything that enqueues jobs (POST /jobs, /jobs/batch, /workflows, the cron scheduler).
+ */
+const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
+const { DEFAULT_QUEUE } = require('./store');
+
+/**
+ * Build a new job row. `payload` is the validated payload object; `runAt` (ISO) makes it "scheduled".
+ * Optional: idempotencyKey, scheduleId (set when fired by a cron schedule), backoff (per-job retry policy override),
+ * priority (higher is leased first), timeoutSeconds (execution limit; defaults to JOB_TIMEOUT_SEC), callbackUrl (gets
+ * the job's webhooks; see webhooks.js), workflowId / workflowKey / dependsOn (workflow node: the job is "blocked"
+ * until the parent job ids in dependsOn are done; see workflows.js), batchId (set by POST /jobs/batch), queue (named
+ * queue the job is leased from; see queues.js).
+ */
+function buildJob({
+  type,
+  payload,
+  tenantId,
+  idempotencyKey = null,
+  runAt = null,
+  scheduleId = null,
+  backoff = null,
+  priority = 0,
+  timeoutSeconds = null,
+  callbackUrl = null,
+  workflowId = null,
+  workflowKey = null,
+  dependsOn = [],
+  batchId = null,
+  queue = DEFAULT_QUEUE,
+}) {
+  const now = new Date().toISOString();
+  return {
+    id: uuidv4(),
+    type,
+    status: dependsOn.length > 0 ? 'blocked' : runAt ? 'scheduled' : 'pending',
+    payload: JSON.stringify(payload),
+    retries: 0,
+    max_retries: config.MAX_RETRIES,
+    timeout_seconds: timeoutSeconds ?? config.JOB_TIMEOUT_SEC,
+    priority,
+    idempotency_key: idempotencyKey,
+    tenant_id: tenantId,
+    schedule_id: scheduleId,
+    created_at: now,
+    updated_at: now,
+    run_at: runAt,
+    next_attempt_at: null,
+    backoff: backoff ? JSON.stringify(backoff) : null,
+    cancel_requested_at: null,
+    leased_at: null,
+    completed_at: null,
+    result: null,
+    error_message: null,
+    callback_url: callbackUrl,
+    workflow_id: workflowId,
+    workflow_key: workflowKey,
+    depends_on: dependsOn.length > 0 ? JSON.stringify(dependsOn) : null,
+    batch_id: batchId,
+    queue,
+  };
+}
+
+module.exports = { buildJob };
@@ -1,20 +1,33 @@
 /**
  * REST API for the distributed job queue.
- * Features: auth (optional API key), trace ID, health, pagination, rate limits, idempotency.
+ * Features: auth (root API key + per-tenant scoped keys, see auth.js), trace ID, health, pagination, rate limits, idempotency.
  * Data: backend/data/jobs.json (file-backed store).
  */
-const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const store = require('./store');
+const handlers = require('./handlers');
+const { buildJob } = require('./jobs');
+const { parseCron, nextFireTime } = require('./cron');
+const { parseBackoff } = require('./backoff');
+const auth = require('./auth');
+const events = require('./events');
 const logger = require('./logger');
+const prometheus = require('./prometheus');
+const history = require('./history');
+const webhooks = require('./webhooks');
+const workflows = require('./workflows');
+const batches = require('./batches');
+const dlq = require('./dlq');
+const queues = require('./queues');
 const config = require('./config');
 
 const app = express();
 
 // --- Security: limit CORS and body size
 app.use(cors({ origin: true, credentials: false })); // restrict in production to known origins
+app.use('/jobs/batch', express.json({ limit: '2mb' })); // up to MAX_BATCH_SIZE job specs
 app.use(express.json({ limit: '100kb' }));
 
 // --- Security headers
@@ -31,21 +44,19 @@ app.use((req, res, next) => {
   next();
 });
 
-// --- Optional API key auth (constant-time compare to prevent timing attacks)
+// --- API key auth: sets req.auth = { keyId, tenantId, scopes, admin } (see auth.js).
+// Routes check scopes with auth.requireScope. GET /events also accepts ?api_key= because browsers'
+// EventSource cannot send headers.
 app.use((req, res, next) => {
-  if (!config.API_KEY) return next();
-  const key = String(req.headers['x-api-key'] || req.headers['authorization']?.replace(/^Bearer\s+/i, '') || '');
-  const expected = String(config.API_KEY);
-  if (key.length !== expected.length) {
-    logger.warn('auth_failed', { traceId: req.traceId, message: 'Invalid or missing API key' });
-    return res.status(401).json({ error: 'Unauthorized: invalid or missing X-API-Key' });
+  if (!auth.authRequired()) {
+    req.auth = auth.openPrincipal();
+    return next();
   }
-  try {
-    if (!crypto.timingSafeEqual(Buffer.from(key, 'utf8'), Buffer.from(expected, 'utf8'))) {
-      logger.warn('auth_failed', { traceId: req.traceId, message: 'Invalid or missing API key' });
-      return res.status(401).json({ error: 'Unauthorized: invalid or missing X-API-Key' });
-    }
-  } catch (e) {
+  const queryKey = req.method === 'GET' && req.path === '/events' ? req.query.api_key : '';
+  const key = String(req.headers['x-api-key'] || req.headers['authorization']?.replace(/^Bearer\s+/i, '') || queryKey || '');
+  req.auth = auth.authenticate(key);
+  if (!req.auth) {
+    logger.warn('auth_failed', { traceId: req.traceId, message: 'Invalid or missing API key' });
     return res.status(401).json({ error: 'Unauthorized: invalid or missing X-API-Key' });
   }
   next();
@@ -53,14 +64,37 @@ app.use((req, res, next) => {
 
 const MAX_TENANT_ID_LEN = 128;
 const MAX_IDEMPOTENCY_KEY_LEN = 256;
-const ALLOWED_STATUSES = new Set(['pending', 'running', 'done', 'failed']);
+const ALLOWED_STATUSES = new Set(['scheduled', 'blocked', 'pending', 'running', 'done', 'failed', 'cancelled', 'skipped']);
+const ALLOWED_SORTS = new Set(['created_at', 'priority']);
+
+/** A worker is listed by GET /workers until it misses this many heartbeats. */
+const WORKER_LIVE_HEARTBEATS = 3;
+/** Furthest a job may be scheduled ahead (run_at / delay_seconds). */
+const MAX_SCHEDULE_AHEAD_SEC = 365 * 24 * 3600;
+
+function isValidTenantId(s) {
+  return typeof s === 'string' && s.length > 0 && s.length <= MAX_TENANT_ID_LEN && /^[\w.-]+$/.test(s);
+}
 
+/** Tenant for new jobs/schedules: the key's tenant; admin keys (and open mode) may pick one with X-Tenant-Id. */
 function getTenant(req) {
-  const raw = req.headers['x-tenant-id'] || 'default';
+  if (req.auth && !req.auth.admin) return req.auth.tenantId;
+  const raw = req.headers['x-tenant-id'] || req.auth?.tenantId || 'default';
   const s = String(raw).slice(0, MAX_TENANT_ID_LEN);
   return /^[\w.-]*$/.test(s) ? s : 'default';
 }
 
+/** Tenant whose data this request may read, or null for all tenants (admin). */
+function visibleTenant(req) {
+  return req.auth && !req.auth.admin ? req.auth.tenantId : null;
+}
+
+/** False if the row (job, DLQ item, schedule) belongs to a tenant the caller cannot see. */
+function canAccess(req, row) {
+  const tenantId = visibleTenant(req);
+  return !tenantId || row.tenant_id === tenantId;
+}
+
 /** Rate limit: max N new jobs per minute per tenant (persisted in data/ratelimit.json). Call recordRateLimit(tenantId) only after creating a new job. */
 function checkRate(tenantId) {
   if (!store.canSubmitJob(tenantId, config.MAX_NEW_JOBS_PER_MINUTE)) {
@@ -70,15 +104,124 @@ function checkRate(tenantId) {
   }
 }
 
-/** Sanitize payload: only allow known keys to prevent prototype pollution. */
-function sanitizePayload(obj) {
-  if (obj === null || typeof obj !== 'object') return {};
-  const out = {};
-  const allowed = ['text', 'fail', 'invalid'];
-  for (const k of allowed) {
-    if (Object.prototype.hasOwnProperty.call(obj, k)) out[k] = obj[k];
+/** Batch quota: jobs per minute per tenant submitted through POST /jobs/batch (separate from checkRate). */
+function checkBatchQuota(tenantId, count) {
+  const used = store.countBatchJobs(tenantId);
+  if (used + count > config.MAX_BATCH_JOBS_PER_MINUTE) {
+    const err = new Error(
+      `Batch quota exceeded: max ${config.MAX_BATCH_JOBS_PER_MINUTE} batch jobs per minute per tenant (${Math.max(0, config.MAX_BATCH_JOBS_PER_MINUTE - used)} left)`,
+    );
+    err.status = 429;
+    throw err;
+  }
+}
+
+/** Resolve job type (default: text) and validate payload against its registered schema. Unknown types → 400. */
+function checkPayload(rawType, rawPayload) {
+  const type = rawType == null || rawType === '' ? handlers.DEFAULT_TYPE : String(rawType);
+  if (!handlers.isValidTypeName(type) || !handlers.hasHandler(type)) {
+    const err = new Error(`Unknown job type: ${type.slice(0, 64)}`);
+    err.status = 400;
+    throw err;
+  }
+  const { payload, error } = handlers.validatePayload(type, rawPayload);
+  if (error) {
+    const err = new Error(error);
+    err.status = 400;
+    throw err;
+  }
+  return { type, payload };
+}
+
+/** Parse run_at (ISO date) or delay_seconds (number ≥ 0) from the body. Returns an ISO run_at, or null to run now. */
+function checkSchedule(body) {
+  const hasRunAt = body?.run_at != null;
+  const hasDelay = body?.delay_seconds != null;
+  const fail = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+  if (hasRunAt && hasDelay) fail('Use either run_at or delay_seconds, not both');
+  if (!hasRunAt && !hasDelay) return null;
+  let runAtMs;
+  if (hasRunAt) {
+    runAtMs = typeof body.run_at === 'string' ? Date.parse(body.run_at) : NaN;
+    if (Number.isNaN(runAtMs)) fail('run_at must be an ISO 8601 date string');
+  } else {
+    const delay = Number(body.delay_seconds);
+    if (typeof body.delay_seconds !== 'number' || !Number.isFinite(delay) || delay < 0) {
+      fail('delay_seconds must be a non-negative number');
+    }
+    runAtMs = Date.now() + delay * 1000;
+  }
+  if (runAtMs - Date.now() > MAX_SCHEDULE_AHEAD_SEC * 1000) fail('Jobs can be scheduled at most 365 days ahead');
+  return runAtMs > Date.now() ? new Date(runAtMs).toISOString() : null;
+}
+
+/** Integer priority in [MIN_PRIORITY, MAX_PRIORITY]; higher is leased first. Defaults to 0. */
+function checkPriority(raw) {
+  if (raw == null) return 0;
+  if (!Number.isInteger(raw) || raw < store.MIN_PRIORITY || raw > store.MAX_PRIORITY) {
+    const err = new Error(`priority must be an integer between ${store.MIN_PRIORITY} and ${store.MAX_PRIORITY}`);
+    err.status = 400;
+    throw err;
+  }
+  return raw;
+}
+
+/** Per-job execution timeout in whole seconds, 1..JOB_TIMEOUT_MAX_SEC; null uses JOB_TIMEOUT_SEC. */
+function checkTimeout(raw) {
+  if (raw == null) return null;
+  if (!Number.isInteger(raw) || raw < 1 || raw > config.JOB_TIMEOUT_MAX_SEC) {
+    const err = new Error(`timeout_seconds must be an integer between 1 and ${config.JOB_TIMEOUT_MAX_SEC}`);
+    err.status = 400;
+    throw err;
+  }
+  return raw;
+}
+
+/** Per-job retry backoff override (see backoff.js); null uses the configured default. */
+function checkBackoff(raw) {
+  try {
+    return parseBackoff(raw);
+  } catch (e) {
+    e.status = 400;
+    throw e;
+  }
+}
+
+/** Optional URL that receives the job's signed webhooks (webhooks.js; needs WEBHOOK_SECRET); null if not given. */
+function checkCallbackUrl(raw) {
+  if (raw == null) return null;
+  return webhooks.parseCallbackUrl(raw);
+}
+
+/**
+ * Validate the job fields shared by POST /jobs and each POST /workflows job: { text } or { type?, payload }, plus
+ * optional backoff, priority, timeout_seconds, callback_url and queue. Returns buildJob options; throws Error (status 400).
+ */
+function checkJobSpec(body) {
+  const rawPayload = body?.text !== undefined ? { text: String(body.text) } : (body?.payload ?? {});
+  const { type, payload } = checkPayload(body?.type, rawPayload);
+  return {
+    type,
+    payload,
+    backoff: checkBackoff(body?.backoff),
+    priority: checkPriority(body?.priority),
+    timeoutSeconds: checkTimeout(body?.timeout_seconds),
+    callbackUrl: checkCallbackUrl(body?.callback_url),
+    queue: queues.parseQueue(body?.queue),
+  };
+}
+
+function parseBackoffColumn(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
   }
-  return out;
 }
 
 function rowToJob(row) {
@@ -93,17 +236,89 @@ function rowToJob(row) {
   }
   return {
     id: row.id,
+    type: row.type || handlers.DEFAULT_TYPE,
     status: row.status,
     payload,
     retries: row.retries,
     max_retries: row.max_retries,
+    timeout_seconds: row.timeout_seconds ?? config.JOB_TIMEOUT_SEC,
+    priority: row.priority ?? 0,
     tenant_id: row.tenant_id,
+    schedule_id: row.schedule_id ?? null,
     created_at: row.created_at,
     updated_at: row.updated_at,
+    run_at: row.run_at ?? null,
+    next_attempt_at: row.next_attempt_at ?? null,
+    backoff: parseBackoffColumn(row.backoff),
+    cancel_requested_at: row.cancel_requested_at ?? null,
     leased_at: row.leased_at,
+    worker_id: row.worker_id ?? null,
+    heartbeat_at: row.heartbeat_at ?? null,
+    lease_expires_at: row.lease_expires_at ?? null,
+    progress: row.progress ?? null,
+    progress_message: row.progress_message ?? null,
     completed_at: row.completed_at,
     result: row.result,
     error_message: row.error_message,
+    callback_url: row.callback_url ?? null,
+    workflow_id: row.workflow_id ?? null,
+    workflow_key: row.workflow_key ?? null,
+    depends_on: store.parseIdList(row.depends_on),
+    batch_id: row.batch_id ?? null,
+    queue: row.queue || queues.DEFAULT_QUEUE,
+  };
+}
+
+const MAX_SCHEDULE_NAME_LEN = 128;
+
+function rowToSchedule(row) {
+  let payload = null;
+  try {
+    payload = JSON.parse(row.payload || '{}');
+  } catch {
+    payload = null;
+  }
+  const lastJob = row.last_job_id ? store.getJob(row.last_job_id) : null;
+  return {
+    id: row.id,
+    name: row.name,
+    cron: row.cron,
+    type: row.type,
+    payload,
+    tenant_id: row.tenant_id,
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    next_fire_at: row.next_fire_at,
+    last_fire_at: row.last_fire_at,
+    last_job_id: row.last_job_id,
+    last_job_status: lastJob ? lastJob.status : null,
+  };
+}
+
+/** Public view of a worker registry row plus the running jobs it holds. */
+function rowToWorker(w, running) {
+  return {
+    id: w.id,
+    hostname: w.hostname,
+    pid: w.pid,
+    started_at: w.started_at,
+    heartbeat_at: w.heartbeat_at,
+    concurrency: w.concurrency,
+    in_flight: w.in_flight,
+    state: w.state || 'running',
+    drain_requested_at: w.drain_requested_at ?? null,
+    queues: queues.workerQueues(w),
+    jobs: running
+      .filter((j) => j.worker_id === w.id)
+      .map((j) => ({
+        id: j.id,
+        type: j.type,
+        tenant_id: j.tenant_id,
+        leased_at: j.leased_at,
+        heartbeat_at: j.heartbeat_at ?? null,
+        lease_expires_at: j.lease_expires_at ?? null,
+      })),
   };
 }
 
@@ -116,15 +331,22 @@ app.get('/health', (req, res) => {
   });
 });
 
-// --- Submit job (accepts { text: "..." } or { payload: {...} }; backend normalizes to payload)
-app.post('/jobs', (req, res) => {
+// --- Submit job (accepts { text: "..." } or { type?, payload: {...} }; backend normalizes to payload)
+// Optional run_at (ISO date) or delay_seconds: the job stays "scheduled" until due, then becomes "pending".
+app.post('/jobs', auth.requireScope('jobs:submit'), (req, res) => {
   const tenantId = getTenant(req);
   const rawKey = req.headers['idempotency-key'];
   const idempotencyKey = rawKey != null ? String(rawKey).slice(0, MAX_IDEMPOTENCY_KEY_LEN) || null : null;
-  const rawPayload = req.body?.text !== undefined
-    ? { text: String(req.body.text) }
-    : (req.body?.payload ?? {});
-  const payload = sanitizePayload(rawPayload);
+
+  let spec;
+  let runAt;
+  try {
+    spec = checkJobSpec(req.body);
+    runAt = checkSchedule(req.body);
+  } catch (e) {
+    logger.warn('submit_rejected', { traceId: req.traceId, tenantId, message: e.message });
+    return res.status(e.status || 400).json({ error: e.message });
+  }
 
   try {
     checkRate(tenantId);
@@ -133,89 +355,692 @@ app.post('/jobs', (req, res) => {
     return res.status(e.status || 429).json({ error: e.message });
   }
 
-  const now = new Date().toISOString();
-  if (idempotencyKey) {
-    const existing = store.findJobByIdempotencyKey(idempotencyKey);
-    if (existing) {
-      logger.info('submit_idempotent', { traceId: req.traceId, jobId: existing.id, tenantId });
-      return res.json(rowToJob(existing));
-    }
+  // Check and insert in one store write, so concurrent submits with the same key get the same job
+  const { job, created } = store.createJobIfAbsent(buildJob({ ...spec, tenantId, idempotencyKey, runAt }));
+  if (!created && job.tenant_id !== tenantId) {
+    return res.status(409).json({ error: 'Idempotency-Key already used by another tenant' });
+  }
+  if (!created) {
+    logger.info('submit_idempotent', { traceId: req.traceId, jobId: job.id, tenantId });
+    return res.json(rowToJob(job));
+  }
+
+  const jobId = job.id;
+  store.addRateLimitTimestamp(tenantId);
+  store.incrementJobSubmitted(tenantId, job.type);
+  logger.info('submit', { traceId: req.traceId, jobId, tenantId });
+  events.publish(events.toEvent('submitted', job));
+  res.status(201).json(rowToJob(job));
+});
+
+// --- Batch submit: { name?, jobs: [{ ...POST /jobs body, idempotency_key? }] } creates every job in one store
+// transaction. Items whose idempotency_key already exists (for this tenant) reuse that job. Draws on the batch quota
+// (RATE_LIMIT_BATCH_JOBS_PER_MINUTE jobs) instead of the per-request limit. Progress: GET /batches/:id.
+app.post('/jobs/batch', auth.requireScope('jobs:submit'), (req, res) => {
+  const tenantId = getTenant(req);
+  let items;
+  let name;
+  let jobs;
+  try {
+    ({ name, items } = batches.parseBatchRequest(req.body));
+    jobs = items.map(({ spec, idempotencyKey }, i) => {
+      try {
+        return { ...checkJobSpec(spec), runAt: checkSchedule(spec), idempotencyKey };
+      } catch (e) {
+        e.message = `jobs[${i}]: ${e.message}`;
+        throw e;
+      }
+    });
+  } catch (e) {
+    logger.warn('batch_rejected', { traceId: req.traceId, tenantId, message: e.message });
+    return res.status(e.status || 400).json({ error: e.message });
   }
 
-  const jobId = uuidv4();
-  const job = {
-    id: jobId,
+  try {
+    checkBatchQuota(tenantId, jobs.length);
+  } catch (e) {
+    logger.warn('rate_limit', { traceId: req.traceId, tenantId, message: e.message });
+    return res.status(e.status || 429).json({ error: e.message });
+  }
+
+  const batchId = uuidv4();
+  const outcome = store.createBatch(
+    { id: batchId, name, tenant_id: tenantId, created_at: new Date().toISOString() },
+    jobs.map((options) => buildJob({ ...options, tenantId, batchId })),
+  );
+  if (outcome.conflict != null) {
+    return res.status(409).json({ error: `jobs[${outcome.conflict}]: idempotency_key already used by another tenant` });
+  }
+  const created = outcome.results.filter((r) => r.created).map((r) => r.job);
+  store.addBatchJobs(tenantId, created.length);
+  const byType = new Map();
+  for (const job of created) byType.set(job.type, (byType.get(job.type) || 0) + 1);
+  for (const [type, count] of byType) store.incrementJobSubmitted(tenantId, type, count);
+  for (const job of created) events.publish(events.toEvent('submitted', job));
+  logger.info('batch_submit', { traceId: req.traceId, tenantId, message: `${batchId}: ${created.length} new of ${jobs.length} job(s)` });
+  res.status(201).json({
+    batch_id: batchId,
+    total: outcome.batch.total,
+    created: created.length,
+    jobs: outcome.results.map(({ job, created: isNew }, index) => ({ index, id: job.id, status: job.status, created: isNew })),
+  });
+});
+
+app.get('/batches/:id', auth.requireScope('jobs:read'), (req, res) => {
+  const row = store.getBatch(req.params.id);
+  if (!row || !canAccess(req, row)) return res.status(404).json({ error: 'Batch not found' });
+  res.json(batches.batchToJson(row, store.listBatchJobs(row)));
+});
+
+/** Job fields that put a failed job back in the queue (POST /jobs/:id/retry, POST /dlq/redrive). */
+function redriveUpdates(resetRetries) {
+  const updates = {
     status: 'pending',
-    payload: JSON.stringify(payload),
-    retries: 0,
-    max_retries: config.MAX_RETRIES,
-    idempotency_key: idempotencyKey,
-    tenant_id: tenantId,
-    created_at: now,
-    updated_at: now,
+    updated_at: new Date().toISOString(),
     leased_at: null,
+    worker_id: null,
     completed_at: null,
     result: null,
-    error_message: null,
+    next_attempt_at: null,
   };
-  store.createJob(job);
-  store.addRateLimitTimestamp(tenantId);
-  store.incrementJobSubmitted();
-  logger.info('submit', { traceId: req.traceId, jobId, tenantId });
-  res.status(201).json(rowToJob(job));
+  if (resetRetries) updates.retries = 0;
+  return updates;
+}
+
+// --- Retry a failed job or DLQ item: re-enqueue the same job (no duplicate), marking its DLQ items as redriven.
+// Body (optional): { reset_retries: true (default) | false — false gives one more attempt, payload: {...} — replace payload first }
+app.post('/jobs/:id/retry', auth.requireScope('dlq:redrive'), (req, res) => {
+  const id = store.sanitizeJobId(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid job id' });
+  let job = store.getJob(id);
+  if (!job) {
+    const item = store.getDlqItem(id);
+    if (item) job = store.getJob(item.job_id);
+  }
+  if (!job || !canAccess(req, job)) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== 'failed') {
+    return res.status(409).json({ error: `Only failed jobs can be retried (status: ${job.status})` });
+  }
+
+  const updates = redriveUpdates(req.body?.reset_retries !== false);
+  if (req.body?.payload !== undefined) {
+    try {
+      updates.payload = JSON.stringify(checkPayload(job.type, req.body.payload).payload);
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+  }
+
+  const updated = store.redriveJob(job.id, updates);
+  if (!updated) return res.status(409).json({ error: 'Job is no longer failed' });
+  logger.info('redrive', { traceId: req.traceId, jobId: job.id, tenantId: job.tenant_id });
+  events.publish(events.toEvent('redriven', updated));
+  res.json(rowToJob(updated));
+});
+
+// --- Cancel a job. Scheduled/blocked/pending jobs are cancelled at once (200); for a running job the cancel is recorded and
+// its worker aborts the handler on its next poll (202, status stays "running" until then).
+app.post('/jobs/:id/cancel', auth.requireScope('jobs:submit'), (req, res) => {
+  const id = store.sanitizeJobId(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid job id' });
+  const existing = store.getJob(id);
+  if (!existing || !canAccess(req, existing)) return res.status(404).json({ error: 'Job not found' });
+  const outcome = store.cancelJob(id);
+  if (!outcome) return res.status(404).json({ error: 'Job not found' });
+  const { job, previousStatus } = outcome;
+  if (previousStatus === 'running') {
+    logger.info('cancel_requested', { traceId: req.traceId, jobId: job.id, tenantId: job.tenant_id });
+    events.publish(events.toEvent('cancel_requested', job));
+    return res.status(202).json(rowToJob(job));
+  }
+  if (previousStatus !== 'scheduled' && previousStatus !== 'blocked' && previousStatus !== 'pending') {
+    return res.status(409).json({ error: `Cannot cancel a job with status ${previousStatus}` });
+  }
+  logger.info('cancel', { traceId: req.traceId, jobId: job.id, tenantId: job.tenant_id, message: `was ${previousStatus}` });
+  events.publish(events.toEvent('cancelled', job));
+  res.json(rowToJob(job));
 });
 
 // --- Get job by ID (validate id format to prevent abuse)
-app.get('/jobs/:id', (req, res) => {
+app.get('/jobs/:id', auth.requireScope('jobs:read'), (req, res) => {
   const id = store.sanitizeJobId(req.params.id);
   if (!id) return res.status(400).json({ error: 'Invalid job id' });
   const row = store.getJob(id);
-  if (!row) return res.status(404).json({ error: 'Job not found' });
+  if (!row || !canAccess(req, row)) return res.status(404).json({ error: 'Job not found' });
   res.json(rowToJob(row));
 });
 
-// --- List jobs (with pagination; validate status, limit, offset)
-app.get('/jobs', (req, res) => {
+// --- Attempt history: one entry per lease (worker, timings, outcome, error), oldest first
+app.get('/jobs/:id/attempts', auth.requireScope('jobs:read'), (req, res) => {
+  const id = store.sanitizeJobId(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid job id' });
+  const row = store.getJob(id);
+  if (!row || !canAccess(req, row)) return res.status(404).json({ error: 'Job not found' });
+  res.json({ attempts: store.parseAttempts(row.attempts) });
+});
+
+// --- Job logs: handler log lines and failure stacks, oldest first; ?attempt= narrows to one attempt
+app.get('/jobs/:id/logs', auth.requireScope('jobs:read'), (req, res) => {
+  const id = store.sanitizeJobId(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid job id' });
+  const row = store.getJob(id);
+  if (!row || !canAccess(req, row)) return res.status(404).json({ error: 'Job not found' });
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit || '100', 10) || 100), 500);
+  const offset = Math.max(0, parseInt(req.query.offset || '0', 10) || 0);
+  const rawAttempt = req.query.attempt ? Number(req.query.attempt) : null;
+  const attempt = Number.isInteger(rawAttempt) && rawAttempt > 0 ? rawAttempt : null;
+  const { logs, total } = store.listJobLogs(id, { limit, offset, attempt });
+  res.json({
+    logs: logs.map((l) => ({ attempt: l.attempt, ts: l.ts, level: l.level, message: l.message })),
+    total,
+    limit,
+    offset,
+  });
+});
+
+// --- Webhook deliveries for the job (callback_url and tenant subscriptions), oldest first, each with its attempt log
+app.get('/jobs/:id/webhooks', auth.requireScope('jobs:read'), (req, res) => {
+  const id = store.sanitizeJobId(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid job id' });
+  const row = store.getJob(id);
+  if (!row || !canAccess(req, row)) return res.status(404).json({ error: 'Job not found' });
+  res.json({ deliveries: store.listWebhookDeliveries(id).map(webhooks.deliveryToJson) });
+});
+
+// --- List jobs (with pagination; validate status, priority, sort, limit, offset). Non-admin keys see their tenant only.
+app.get('/jobs', auth.requireScope('jobs:read'), (req, res) => {
   const rawStatus = req.query.status;
   const status = rawStatus && ALLOWED_STATUSES.has(String(rawStatus)) ? String(rawStatus) : null;
   const limit = Math.min(Math.max(1, parseInt(req.query.limit || '100', 10) || 100), 500);
   const offset = Math.max(0, parseInt(req.query.offset || '0', 10) || 0);
-  const rows = store.getJobs(status, limit, offset);
+  const rawPriority = req.query.priority ? Number(req.query.priority) : null;
+  const priority = Number.isInteger(rawPriority) ? rawPriority : null;
+  const sort = ALLOWED_SORTS.has(String(req.query.sort)) ? String(req.query.sort) : 'created_at';
+  const rows = store.getJobs(status, limit, offset, { priority, sort, tenantId: visibleTenant(req) });
   res.json({ jobs: rows.map(rowToJob), limit, offset });
 });
 
-// --- DLQ
-app.get('/dlq', (req, res) => {
-  const items = store.listDlq();
-  res.json({ items });
+// --- DLQ: filters (tenant_id, error, since, until, state; see dlq.js) apply to listing, export and bulk actions.
+// Non-admin keys only ever see and change their own tenant's items.
+function dlqFilter(req, source, parse = dlq.parseDlqFilter) {
+  const filter = parse(source);
+  const tenantId = visibleTenant(req);
+  if (tenantId) filter.tenantId = tenantId;
+  return filter;
+}
+
+app.get('/dlq', auth.requireScope('jobs:read'), (req, res) => {
+  let filter;
+  try {
+    filter = dlqFilter(req, req.query);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit || '100', 10) || 100), 500);
+  const offset = Math.max(0, parseInt(req.query.offset || '0', 10) || 0);
+  const { items, total } = store.listDlq(filter, limit, offset);
+  res.json({ items: items.map(dlq.dlqItemToJson), total, limit, offset });
+});
+
+/** Every matching item (no pagination) as ?format=csv (default) or ndjson, sent as a download. */
+app.get('/dlq/export', auth.requireScope('jobs:read'), (req, res) => {
+  const format = req.query.format ?? 'csv';
+  if (!dlq.EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${dlq.EXPORT_FORMATS.join(', ')}` });
+  }
+  let filter;
+  try {
+    filter = dlqFilter(req, req.query);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  const { items } = store.listDlq(filter);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  res.set('Content-Disposition', `attachment; filename="dlq-${stamp}.${format}"`);
+  if (format === 'csv') return res.type('text/csv').send(dlq.toCsv(items));
+  res.type('application/x-ndjson').send(dlq.toNdjson(items));
+});
+
+/**
+ * Re-queue the jobs of every open DLQ item matching the body's filter ({ all: true } for the whole DLQ), as
+ * POST /jobs/:id/retry does one by one. Body also takes reset_retries (default true).
+ */
+app.post('/dlq/redrive', auth.requireScope('dlq:redrive'), (req, res) => {
+  let filter;
+  try {
+    filter = dlqFilter(req, req.body, dlq.parseBulkFilter);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  const redriven = store.redriveDlq(filter, redriveUpdates(req.body?.reset_retries !== false));
+  for (const job of redriven) events.publish(events.toEvent('redriven', job));
+  logger.info('dlq_redrive', { traceId: req.traceId, tenantId: visibleTenant(req), message: `${redriven.length} job(s)` });
+  res.json({ redriven: redriven.length, job_ids: redriven.map((j) => j.id) });
+});
+
+/** Delete the DLQ items matching the body's filter ({ all: true } for the whole DLQ). Their jobs stay failed. */
+app.post('/dlq/purge', auth.requireScope('dlq:redrive'), (req, res) => {
+  let filter;
+  try {
+    filter = dlqFilter(req, req.body, dlq.parseBulkFilter);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  const deleted = store.deleteDlqItems(filter);
+  logger.info('dlq_purge', { traceId: req.traceId, tenantId: visibleTenant(req), message: `${deleted} item(s)` });
+  res.json({ deleted });
+});
+
+app.delete('/dlq/:id', auth.requireScope('dlq:redrive'), (req, res) => {
+  const item = store.getDlqItem(req.params.id);
+  if (!item || !canAccess(req, item)) return res.status(404).json({ error: 'DLQ item not found' });
+  store.deleteDlqItems({ ids: [item.id] });
+  logger.info('dlq_delete', { traceId: req.traceId, jobId: item.job_id, tenantId: item.tenant_id, message: item.id });
+  res.status(204).end();
 });
 
 // --- Metrics (observability; counts persisted in data/metrics.json)
-app.get('/metrics', (req, res) => {
+app.get('/metrics', auth.requireScope('jobs:read'), (req, res) => {
   const metrics = store.getMetrics();
+  const tenants = store.countByTenant();
+  const ownTenant = visibleTenant(req);
   res.json({
     jobs_submitted: metrics.jobs_submitted,
     jobs_done: metrics.jobs_done,
     jobs_failed: metrics.jobs_failed,
     retries: metrics.retries,
+    scheduled: store.countByStatus('scheduled'),
     pending: store.countByStatus('pending'),
     running: store.countByStatus('running'),
     done: store.countByStatus('done'),
     failed: store.countByStatus('failed'),
+    cancelled: store.countByStatus('cancelled'),
+    blocked: store.countByStatus('blocked'),
+    skipped: store.countByStatus('skipped'),
     dlq_count: store.getDlqCount(),
+    // { tenantId: { pending, running } }; non-admin keys only see their own tenant
+    tenants: ownTenant ? { [ownTenant]: tenants[ownTenant] || { pending: 0, running: 0 } } : tenants,
+  });
+});
+
+// Same data in Prometheus text format: counters and duration histograms labelled by tenant and type (from the store,
+// so every worker's observations are included), queue depth gauges and this process's own metrics.
+app.get('/metrics/prometheus', auth.requireScope('jobs:read'), (req, res) => {
+  const ownTenant = visibleTenant(req);
+  const series = store.getMetricSeries().filter((s) => !ownTenant || s.labels.tenant === ownTenant);
+  const tenants = Object.entries(store.countByTenant()).filter(([tenant]) => !ownTenant || tenant === ownTenant);
+  const families = [
+    ...prometheus.seriesFamilies(series),
+    {
+      name: `${prometheus.PREFIX}jobs`,
+      type: 'gauge',
+      help: 'Jobs by status.',
+      series: [...ALLOWED_STATUSES].map((status) => ({ labels: { status }, value: store.countByStatus(status) })),
+    },
+    { name: `${prometheus.PREFIX}dlq_items`, type: 'gauge', help: 'DLQ items not yet redriven.', series: [{ value: store.getDlqCount() }] },
+    {
+      name: `${prometheus.PREFIX}tenant_jobs`,
+      type: 'gauge',
+      help: 'Pending and running jobs by tenant.',
+      series: tenants.flatMap(([tenant, counts]) => ['pending', 'running'].map((status) => ({ labels: { tenant, status }, value: counts[status] || 0 }))),
+    },
+    ...prometheus.processFamilies(),
+  ];
+  res.type(prometheus.CONTENT_TYPE).send(prometheus.format(families));
+});
+
+// Throughput and latency over time: ?window=15m|1h|6h|24h (default 1h), summed from per-minute rows kept for 24h.
+// Counts are for all tenants, like the totals of GET /metrics.
+app.get('/metrics/history', auth.requireScope('jobs:read'), (req, res) => {
+  const windowName = req.query.window == null ? history.DEFAULT_WINDOW : String(req.query.window);
+  if (!history.isWindow(windowName)) {
+    return res.status(400).json({ error: `window must be one of: ${Object.keys(history.WINDOWS).join(', ')}` });
+  }
+  res.json(history.getHistory(windowName));
+});
+
+// --- Cron schedules: { cron, type?, payload? | text?, name? } enqueues a job each time cron fires (UTC).
+// Payload string values may use {{fire_time}} and {{schedule_id}} placeholders.
+app.post('/schedules', auth.requireScope('jobs:submit'), (req, res) => {
+  const tenantId = getTenant(req);
+  const rawPayload = req.body?.text !== undefined ? { text: String(req.body.text) } : (req.body?.payload ?? {});
+  let type;
+  let payload;
+  let next;
+  try {
+    ({ type, payload } = checkPayload(req.body?.type, rawPayload));
+    next = nextFireTime(parseCron(req.body?.cron));
+    if (!next) throw new Error('Cron expression never fires');
+  } catch (e) {
+    logger.warn('schedule_rejected', { traceId: req.traceId, tenantId, message: e.message });
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+
+  const now = new Date().toISOString();
+  const schedule = {
+    id: uuidv4(),
+    name: req.body?.name != null ? String(req.body.name).slice(0, MAX_SCHEDULE_NAME_LEN) : null,
+    cron: String(req.body.cron).trim(),
+    type,
+    payload: JSON.stringify(payload),
+    tenant_id: tenantId,
+    status: 'active',
+    created_at: now,
+    updated_at: now,
+    next_fire_at: next.toISOString(),
+    last_fire_at: null,
+    last_job_id: null,
+  };
+  store.createSchedule(schedule);
+  logger.info('schedule_create', { traceId: req.traceId, tenantId, message: `${schedule.id} ${schedule.cron}` });
+  res.status(201).json(rowToSchedule(schedule));
+});
+
+app.get('/schedules', auth.requireScope('jobs:read'), (req, res) => {
+  res.json({ schedules: store.listSchedules().filter((s) => canAccess(req, s)).map(rowToSchedule) });
+});
+
+/** Load a schedule the caller may access, or send 404. */
+function findSchedule(req, res) {
+  const row = store.getSchedule(req.params.id);
+  if (!row || !canAccess(req, row)) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+  return row;
+}
+
+app.get('/schedules/:id', auth.requireScope('jobs:read'), (req, res) => {
+  const row = findSchedule(req, res);
+  if (row) res.json(rowToSchedule(row));
+});
+
+app.post('/schedules/:id/pause', auth.requireScope('jobs:submit'), (req, res) => {
+  if (!findSchedule(req, res)) return;
+  const row = store.updateSchedule(req.params.id, { status: 'paused', updated_at: new Date().toISOString() });
+  if (!row) return res.status(404).json({ error: 'Schedule not found' });
+  logger.info('schedule_pause', { traceId: req.traceId, tenantId: row.tenant_id, message: row.id });
+  res.json(rowToSchedule(row));
+});
+
+/** Resume from now: fire times missed while paused are skipped. */
+app.post('/schedules/:id/resume', auth.requireScope('jobs:submit'), (req, res) => {
+  const existing = findSchedule(req, res);
+  if (!existing) return;
+  const next = nextFireTime(existing.cron);
+  const row = store.updateSchedule(existing.id, {
+    status: 'active',
+    updated_at: new Date().toISOString(),
+    next_fire_at: next ? next.toISOString() : null,
+  });
+  if (!row) return res.status(404).json({ error: 'Schedule not found' });
+  logger.info('schedule_resume', { traceId: req.traceId, tenantId: row.tenant_id, message: row.id });
+  res.json(rowToSchedule(row));
+});
+
+app.delete('/schedules/:id', auth.requireScope('jobs:submit'), (req, res) => {
+  if (!findSchedule(req, res)) return;
+  if (!store.deleteSchedule(req.params.id)) return res.status(404).json({ error: 'Schedule not found' });
+  logger.info('schedule_delete', { traceId: req.traceId, message: req.params.id });
+  res.status(204).end();
+});
+
+// --- Webhook subscriptions: { url, events? } gets a signed POST for the tenant's job events (see webhooks.js).
+// The signing secret is returned once, on creation.
+app.post('/webhooks', auth.requireScope('jobs:submit'), (req, res) => {
+  const tenantId = getTenant(req);
+  let fields;
+  try {
+    fields = webhooks.parseWebhookRequest(req.body);
+  } catch (e) {
+    logger.warn('webhook_rejected', { traceId: req.traceId, tenantId, message: e.message });
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  const row = store.createWebhook({
+    id: uuidv4(),
+    tenant_id: tenantId,
+    url: fields.url,
+    events: JSON.stringify(fields.events),
+    secret: webhooks.generateSecret(),
+    created_at: new Date().toISOString(),
+  });
+  logger.info('webhook_create', { traceId: req.traceId, tenantId, message: `${row.id} ${fields.events.join(' ')}` });
+  res.status(201).json({ ...webhooks.webhookToJson(row), secret: row.secret });
+});
+
+app.get('/webhooks', auth.requireScope('jobs:read'), (req, res) => {
+  res.json({ webhooks: store.listWebhooks().filter((w) => canAccess(req, w)).map(webhooks.webhookToJson) });
+});
+
+app.delete('/webhooks/:id', auth.requireScope('jobs:submit'), (req, res) => {
+  const row = store.getWebhook(req.params.id);
+  if (!row || !canAccess(req, row)) return res.status(404).json({ error: 'Webhook not found' });
+  if (!store.deleteWebhook(row.id)) return res.status(404).json({ error: 'Webhook not found' });
+  logger.info('webhook_delete', { traceId: req.traceId, tenantId: row.tenant_id, message: row.id });
+  res.status(204).end();
+});
+
+// --- Workflows: { name?, on_failure?: cancel | skip, jobs: [{ key, depends_on?: [keys], ...POST /jobs body }] }
+// creates every job at once; jobs with depends_on stay "blocked" until their parents are done (see workflows.js).
+// Counts as one submission for the per-tenant rate limit.
+app.post('/workflows', auth.requireScope('jobs:submit'), (req, res) => {
+  const tenantId = getTenant(req);
+  let graph;
+  let specs;
+  try {
+    graph = workflows.parseWorkflowRequest(req.body);
+    specs = graph.nodes.map((node) => {
+      try {
+        return checkJobSpec(node.spec);
+      } catch (e) {
+        e.message = `Job "${node.key}": ${e.message}`;
+        throw e;
+      }
+    });
+  } catch (e) {
+    logger.warn('workflow_rejected', { traceId: req.traceId, tenantId, message: e.message });
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+
+  try {
+    checkRate(tenantId);
+  } catch (e) {
+    logger.warn('rate_limit', { traceId: req.traceId, tenantId, message: e.message });
+    return res.status(e.status || 429).json({ error: e.message });
+  }
+
+  const workflow = {
+    id: uuidv4(),
+    name: graph.name,
+    tenant_id: tenantId,
+    on_failure: graph.on_failure,
+    created_at: new Date().toISOString(),
+  };
+  // Nodes are in dependency order, so every parent's job id is known when its children are built
+  const jobIds = new Map();
+  const jobs = graph.nodes.map((node, i) => {
+    const job = buildJob({
+      ...specs[i],
+      tenantId,
+      workflowId: workflow.id,
+      workflowKey: node.key,
+      dependsOn: node.depends_on.map((key) => jobIds.get(key)),
+    });
+    jobIds.set(node.key, job.id);
+    return job;
+  });
+  store.createWorkflow(workflow, jobs);
+  store.addRateLimitTimestamp(tenantId);
+  for (const job of jobs) {
+    store.incrementJobSubmitted(tenantId, job.type);
+    events.publish(events.toEvent('submitted', job));
+  }
+  logger.info('workflow_create', { traceId: req.traceId, tenantId, message: `${workflow.id} with ${jobs.length} job(s)` });
+  res.status(201).json(workflows.workflowToJson(workflow, jobs));
+});
+
+/** Newest first, each with its jobs; ?limit= (default 20, max 100). */
+app.get('/workflows', auth.requireScope('jobs:read'), (req, res) => {
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit || '20', 10) || 20), 100);
+  const rows = store.listWorkflows(visibleTenant(req), limit);
+  res.json({ workflows: rows.map((row) => workflows.workflowToJson(row, store.listWorkflowJobs(row.id))) });
+});
+
+app.get('/workflows/:id', auth.requireScope('jobs:read'), (req, res) => {
+  const row = store.getWorkflow(req.params.id);
+  if (!row || !canAccess(req, row)) return res.status(404).json({ error: 'Workflow not found' });
+  res.json(workflows.workflowToJson(row, store.listWorkflowJobs(row.id)));
+});
+
+// --- Live job events (Server-Sent Events). Dashboard subscribes and re-fetches on each event.
+const SSE_HEARTBEAT_MS = 15000;
+
+app.get('/events', auth.requireScope('jobs:read'), (req, res) => {
+  const ownTenant = visibleTenant(req);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 3000\n\n');
+  const unsubscribe = events.subscribe((e) => {
+    if (ownTenant && e.tenant_id !== ownTenant) return;
+    res.write(`id: ${e.id}\nevent: job\ndata: ${JSON.stringify(e)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
   });
 });
 
+/** Registry rows of workers that heartbeated within the last WORKER_LIVE_HEARTBEATS intervals. */
+function liveWorkers() {
+  return store.listWorkers(new Date(Date.now() - WORKER_LIVE_HEARTBEATS * config.HEARTBEAT_INTERVAL_SEC * 1000).toISOString());
+}
+
+// --- Live workers: heartbeat within the last WORKER_LIVE_HEARTBEATS intervals, with their in-flight jobs.
+// Non-admin keys only see their own tenant's jobs.
+app.get('/workers', auth.requireScope('jobs:read'), (req, res) => {
+  const running = store.getJobs('running', 500, 0, { tenantId: visibleTenant(req) });
+  const workers = liveWorkers().map((w) => rowToWorker(w, running));
+  res.json({ workers });
+});
+
+// --- Drain: the worker sees drain_requested_at on its next heartbeat, stops leasing and finishes in-flight jobs
+app.post('/workers/:id/drain', auth.requireScope('admin'), (req, res) => {
+  const existing = store.getWorker(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Worker not found' });
+  const row = existing.drain_requested_at
+    ? existing
+    : store.updateWorker(existing.id, { drain_requested_at: new Date().toISOString() });
+  if (!row) return res.status(404).json({ error: 'Worker not found' });
+  logger.info('worker_drain', { traceId: req.traceId, message: `${row.id} drain requested at ${row.drain_requested_at}` });
+  res.status(202).json(rowToWorker(row, store.getJobs('running', 500, 0, { tenantId: visibleTenant(req) })));
+});
+
+// --- Named queues (see queues.js): depth, in-flight and paused state; pausing stops leasing, not submissions
+app.get('/queues', auth.requireScope('jobs:read'), (req, res) => {
+  res.json({ queues: queues.listQueues(store.countByQueue(visibleTenant(req)), store.listPausedQueues(), liveWorkers()) });
+});
+
+/** Public view of one queue; counts are limited to the caller's tenant like GET /queues. */
+function queueView(req, name, pausedAt) {
+  return queues.queueToJson(name, store.countByQueue(visibleTenant(req))[name], pausedAt, liveWorkers());
+}
+
+/** Workers stop leasing the queue's jobs (running ones finish); POST /jobs still accepts jobs for it. */
+app.post('/queues/:name/pause', auth.requireScope('admin'), (req, res) => {
+  const name = req.params.name;
+  if (!queues.isValidQueueName(name)) return res.status(400).json({ error: 'Invalid queue name' });
+  const pausedAt = store.pauseQueue(name);
+  logger.info('queue_pause', { traceId: req.traceId, message: name });
+  res.json(queueView(req, name, pausedAt));
+});
+
+app.post('/queues/:name/resume', auth.requireScope('admin'), (req, res) => {
+  const name = req.params.name;
+  if (!queues.isValidQueueName(name)) return res.status(400).json({ error: 'Invalid queue name' });
+  const wasPaused = store.resumeQueue(name);
+  logger.info('queue_resume', { traceId: req.traceId, message: wasPaused ? name : `${name} (was not paused)` });
+  res.json(queueView(req, name, null));
+});
+
+// --- Events forwarded by worker processes (see events.notifyApi; workers send the root API_KEY)
+app.post('/events', auth.requireScope('admin'), (req, res) => {
+  const { type, job_id: jobId } = req.body || {};
+  if (!events.EVENT_TYPES.has(type) || !store.sanitizeJobId(jobId)) {
+    return res.status(400).json({ error: 'Invalid event' });
+  }
+  const e = events.publish({
+    type,
+    job_id: store.sanitizeJobId(jobId),
+    status: typeof req.body.status === 'string' ? req.body.status.slice(0, 32) : null,
+    tenant_id: typeof req.body.tenant_id === 'string' ? req.body.tenant_id.slice(0, MAX_TENANT_ID_LEN) : null,
+    job_type: typeof req.body.job_type === 'string' ? req.body.job_type.slice(0, 64) : null,
+    ts: new Date().toISOString(),
+  });
+  res.status(202).json({ id: e.id });
+});
+
+// --- API key registry (admin). The plaintext key is returned once, on creation.
+app.post('/admin/keys', auth.requireScope('admin'), (req, res) => {
+  let fields;
+  try {
+    fields = auth.parseKeyRequest(req.body, isValidTenantId);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  const key = auth.generateKey();
+  const row = store.createApiKey({
+    id: uuidv4(),
+    name: fields.name,
+    tenant_id: fields.tenant_id,
+    scopes: JSON.stringify(fields.scopes),
+    key_hash: auth.hashKey(key),
+    prefix: key.slice(0, 8),
+    created_at: new Date().toISOString(),
+    revoked_at: null,
+  });
+  logger.info('api_key_create', { traceId: req.traceId, tenantId: row.tenant_id, message: `${row.id} ${fields.scopes.join(' ')}` });
+  res.status(201).json({ ...auth.keyToJson(row), key });
+});
+
+app.get('/admin/keys', auth.requireScope('admin'), (req, res) => {
+  res.json({ keys: store.listApiKeys().map(auth.keyToJson) });
+});
+
+app.delete('/admin/keys/:id', auth.requireScope('admin'), (req, res) => {
+  const row = store.revokeApiKey(req.params.id);
+  if (!row) return res.status(404).json({ error: 'API key not found' });
+  logger.info('api_key_revoke', { traceId: req.traceId, tenantId: row.tenant_id, message: row.id });
+  res.status(204).end();
+});
+
 // --- Error handler (do not leak internal details to client)
 app.use((err, req, res, next) => {
   logger.error('request_error', { traceId: req?.traceId, error: err.message });
   res.status(500).json({ error: 'Internal server error' });
 });
 
+/** How often the API records queue depth (pending / running) in the metrics history. */
+const QUEUE_DEPTH_SAMPLE_MS = 30 * 1000;
+
+function sampleQueueDepth() {
+  try {
+    history.sampleQueueDepth();
+  } catch (e) {
+    logger.warn('queue_depth_sample_failed', { error: e.message });
+  }
+}
+
 const PORT = config.PORT;
 logger.info('start', { message: `Data file: ${store.DATA_FILE}`, port: PORT });
 const server = app.listen(PORT, () => {
   console.log(`API running at http://localhost:${PORT}`);
+  sampleQueueDepth();
+  setInterval(sampleQueueDepth, QUEUE_DEPTH_SAMPLE_MS);
 });
 server.on('error', (err) => {
   if (err.code === 'EADDRINUSE') {
@@ -0,0 +1,44 @@
+/**
+ * One-shot migration: import data/jobs.json (jobs, DLQ, workflows, batches and paused queues), data/metrics.json,
+ * data/metrichistory.json, data/joblogs.json, data/schedules.json, data/apikeys.json and the webhook subscriptions in
+ * data/webhooks.json into the SQLite database (STORE_BACKEND=sqlite).
+ * Run: npm run migrate:sqlite [-- --force]
+ * Refuses to run if the database already has jobs or DLQ items unless --force is given (then they, the job logs and the
+ * metrics history are replaced).
+ * The JSON files are left untouched; set STORE_BACKEND=sqlite in .env afterwards.
+ */
+const jsonStore = require('./stores/json');
+const sqliteStore = require('./stores/sqlite');
+
+const force = process.argv.includes('--force');
+
+const existing = sqliteStore.getData();
+if ((existing.jobs.length > 0 || existing.dlq.length > 0) && !force) {
+  console.error(
+    `${sqliteStore.DATA_FILE} already has ${existing.jobs.length} jobs and ${existing.dlq.length} DLQ items. ` +
+      'Re-run with --force to replace them.',
+  );
+  process.exit(1);
+}
+
+const data = jsonStore.getData();
+const metrics = jsonStore.getMetrics();
+sqliteStore.setData(data);
+sqliteStore.setMetrics(metrics);
+sqliteStore.setMetricSeries(jsonStore.getMetricSeries());
+const metricHistory = jsonStore.listMetricHistory(new Date(0).toISOString());
+sqliteStore.setMetricHistory(metricHistory);
+const jobLogs = jsonStore.getJobLogs();
+sqliteStore.setJobLogs(jobLogs);
+const schedules = jsonStore.listSchedules().filter((s) => !sqliteStore.getSchedule(s.id));
+for (const schedule of schedules) sqliteStore.createSchedule(schedule);
+const knownKeys = new Set(sqliteStore.listApiKeys().map((k) => k.id));
+const apiKeys = jsonStore.listApiKeys().filter((k) => !knownKeys.has(k.id));
+for (const key of apiKeys) sqliteStore.createApiKey(key);
+const hooks = jsonStore.listWebhooks().filter((w) => !sqliteStore.getWebhook(w.id));
+for (const hook of hooks) sqliteStore.createWebhook(hook);
+for (const queue of Object.keys(jsonStore.listPausedQueues())) sqliteStore.pauseQueue(queue);
+
+console.log(
+  `Imported ${data.jobs.length} jobs, ${data.dlq.length} DLQ items, ${data.workflows.length} workflows, ${data.batches.length} batches, ${jobLogs.length} job log lines, ${schedules.length} schedules, ${apiKeys.length} API keys, ${hooks.length} webhooks, ${metricHistory.length} metrics history minutes and metrics from ${jsonStore.DATA_FILE} into ${sqliteStore.DATA_FILE}`,
+);
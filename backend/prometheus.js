@@ -0,0 +1,138 @@
+/**
+ * Prometheus text exposition format (0.0.4) for GET /metrics/prometheus and the worker's metrics endpoint.
+ * A series is { name, labels, value }. The labelled counters and histograms are stored (store.addMetricSeries) under
+ * their short names (jobs_done, run_duration_seconds_bucket, ...) and exposed with the jobqueue_ prefix.
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const PREFIX = 'jobqueue_';
+
+/** Upper bounds in seconds of the queue wait and run duration histogram buckets (+Inf is implied). */
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800, 3600];
+
+/** Lifetime counters (store.incrementJob*), labelled by tenant and type. */
+const COUNTERS = [
+  { name: 'jobs_submitted', help: 'Jobs submitted (API and cron schedules).' },
+  { name: 'jobs_done', help: 'Jobs completed successfully.' },
+  { name: 'jobs_failed', help: 'Jobs moved to the DLQ after their last attempt failed.' },
+  { name: 'retries', help: 'Failed attempts that were re-queued.' },
+];
+
+/** Histograms observed by the workers, labelled by tenant and type. */
+const HISTOGRAMS = [
+  { name: 'queue_wait_seconds', help: 'Time from when a job could run (created_at, or run_at / next_attempt_at) until a worker leased it.' },
+  { name: 'run_duration_seconds', help: 'Time from lease to the end of an attempt (done, retried, failed or cancelled).' },
+];
+
+/** Increments recording one observation of `value` in histogram `name`: cumulative buckets, _sum and _count. */
+function histogramObservation(name, labels, value) {
+  const bounds = DURATION_BUCKETS.filter((le) => value <= le).map(String);
+  return [
+    ...[...bounds, '+Inf'].map((le) => ({ name: `${name}_bucket`, labels: { ...labels, le }, value: 1 })),
+    { name: `${name}_sum`, labels, value },
+    { name: `${name}_count`, labels, value: 1 },
+  ];
+}
+
+/** Stable key for a label set (label order does not matter). */
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels || {}).sort().map((key) => [key, String(labels[key])]));
+}
+
+/** In-memory series for one process; add() takes the same increments as store.addMetricSeries. */
+function createRegistry() {
+  const series = new Map();
+  return {
+    add(updates) {
+      for (const { name, labels, value } of updates) {
+        const key = name + labelKey(labels);
+        const current = series.get(key);
+        if (current) current.value += value;
+        else series.set(key, { name, labels: { ...labels }, value });
+      }
+    },
+    series: () => [...series.values()],
+  };
+}
+
+/**
+ * Stored histogram series → one group per label set: every bucket (0 where nothing was observed), then _sum and
+ * _count, in exposition order.
+ */
+function histogramSeries(name, series) {
+  const lookup = new Map(series.map((s) => [s.name + labelKey(s.labels), s.value]));
+  const out = [];
+  for (const { labels } of series.filter((s) => s.name === `${name}_count`)) {
+    for (const le of [...DURATION_BUCKETS.map(String), '+Inf']) {
+      const bucket = { ...labels, le };
+      out.push({ name: `${name}_bucket`, labels: bucket, value: lookup.get(`${name}_bucket${labelKey(bucket)}`) || 0 });
+    }
+    out.push({ name: `${name}_sum`, labels, value: lookup.get(`${name}_sum${labelKey(labels)}`) || 0 });
+    out.push({ name: `${name}_count`, labels, value: lookup.get(`${name}_count${labelKey(labels)}`) || 0 });
+  }
+  return out;
+}
+
+/** Families for stored series: jobqueue_<counter>_total and jobqueue_<histogram>. `prefix` replaces jobqueue_. */
+function seriesFamilies(series, prefix = PREFIX) {
+  const counters = COUNTERS.map(({ name, help }) => ({
+    name: `${prefix}${name}_total`,
+    type: 'counter',
+    help,
+    series: series.filter((s) => s.name === name).map(({ labels, value }) => ({ labels, value })),
+  }));
+  const histograms = HISTOGRAMS.map(({ name, help }) => ({
+    name: `${prefix}${name}`,
+    type: 'histogram',
+    help,
+    series: histogramSeries(name, series).map((s) => ({ ...s, name: prefix + s.name })),
+  }));
+  return [...counters, ...histograms];
+}
+
+/** Standard process_* metrics for the current process. */
+function processFamilies() {
+  const cpu = process.cpuUsage();
+  return [
+    { name: 'process_cpu_seconds_total', type: 'counter', help: 'User and system CPU time spent in seconds.', series: [{ value: (cpu.user + cpu.system) / 1e6 }] },
+    { name: 'process_resident_memory_bytes', type: 'gauge', help: 'Resident memory size in bytes.', series: [{ value: process.memoryUsage().rss }] },
+    { name: 'process_start_time_seconds', type: 'gauge', help: 'Start time of the process since unix epoch in seconds.', series: [{ value: Math.round(Date.now() / 1000 - process.uptime()) }] },
+  ];
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(Number(value)) ? 'NaN' : String(Number(value));
+}
+
+/**
+ * Exposition text for families { name, type, help, series: [{ name?, labels?, value }] }; a series without a name
+ * belongs to the family itself.
+ */
+function format(families) {
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`);
+    for (const s of family.series) {
+      const labels = Object.entries(s.labels || {}).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+      lines.push(`${s.name || family.name}${labels.length > 0 ? `{${labels.join(',')}}` : ''} ${formatValue(s.value)}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  PREFIX,
+  DURATION_BUCKETS,
+  histogramObservation,
+  createRegistry,
+  seriesFamilies,
+  processFamilies,
+  format,
+};
@@ -0,0 +1,95 @@
+/**
+ * Named queues. Every job belongs to one queue (the `queue` field of POST /jobs, default "default"). Workers lease
+ * from every queue unless started with WORKER_QUEUES, e.g. "default,emails=2": only those queues, with an optional
+ * per-queue limit on this worker's in-flight jobs (WORKER_CONCURRENCY still caps the total).
+ * POST /queues/:name/pause stops all workers from leasing the queue's jobs; submissions are still accepted and wait
+ * as pending until POST /queues/:name/resume. Pausing is stored with the jobs, so it is atomic with leasing.
+ */
+const { DEFAULT_QUEUE } = require('./store');
+
+const QUEUE_NAME_RE = /^[\w.-]{1,64}$/;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function isValidQueueName(name) {
+  return typeof name === 'string' && QUEUE_NAME_RE.test(name);
+}
+
+/** The `queue` field of a job spec: DEFAULT_QUEUE when absent, else a valid name, or throws Error (status 400). */
+function parseQueue(raw) {
+  if (raw == null || raw === '') return DEFAULT_QUEUE;
+  if (!isValidQueueName(raw)) throw badRequest('queue must be 1-64 letters, digits, "_", "-" or "."');
+  return raw;
+}
+
+/**
+ * WORKER_QUEUES ("default,emails=2,reports=1") → { default: null, emails: 2, reports: 1 } (null = no per-queue
+ * limit), or null when unset (every queue). Throws on a bad entry so a misconfigured worker does not start.
+ */
+function parseQueueLimits(raw) {
+  if (raw == null || raw.trim() === '') return null;
+  const limits = {};
+  for (const entry of raw.split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [name, value] = entry.split('=').map((s) => s.trim());
+    const limit = value === undefined ? null : Number(value);
+    if (!isValidQueueName(name) || (limit !== null && (!Number.isInteger(limit) || limit < 1))) {
+      throw new Error(`Invalid WORKER_QUEUES entry "${entry}" (expected <queue> or <queue>=<concurrency>)`);
+    }
+    limits[name] = limit;
+  }
+  return Object.keys(limits).length > 0 ? limits : null;
+}
+
+/** The queues named in a worker registry row (its WORKER_QUEUES as JSON), or null if it leases from every queue. */
+function workerQueues(worker) {
+  if (!worker.queues) return null;
+  try {
+    const parsed = JSON.parse(worker.queues);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /queues rows: every queue with active jobs, paused, or named by a live worker. counts is store.countByQueue(),
+ * paused is store.listPausedQueues(), workers the live worker rows. Sorted by name, DEFAULT_QUEUE first.
+ */
+function listQueues(counts, paused, workers) {
+  const names = new Set([DEFAULT_QUEUE, ...Object.keys(counts), ...Object.keys(paused)]);
+  for (const w of workers) for (const name of Object.keys(workerQueues(w) || {})) names.add(name);
+  return [...names]
+    .sort((a, b) => (a === DEFAULT_QUEUE ? -1 : b === DEFAULT_QUEUE ? 1 : a.localeCompare(b)))
+    .map((name) => queueToJson(name, counts[name], paused[name], workers));
+}
+
+/** Public view of one queue: depth (pending), in_flight (running), scheduled / blocked, paused state, workers. */
+function queueToJson(name, counts = {}, pausedAt = null, workers = []) {
+  return {
+    name,
+    paused: Boolean(pausedAt),
+    paused_at: pausedAt || null,
+    depth: counts.pending || 0,
+    in_flight: counts.running || 0,
+    scheduled: counts.scheduled || 0,
+    blocked: counts.blocked || 0,
+    workers: workers.filter((w) => {
+      const queues = workerQueues(w);
+      return !queues || name in queues;
+    }).length,
+  };
+}
+
+module.exports = {
+  DEFAULT_QUEUE,
+  isValidQueueName,
+  parseQueue,
+  parseQueueLimits,
+  workerQueues,
+  listQueues,
+  queueToJson,
+};
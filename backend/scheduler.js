@@ -0,0 +1,88 @@
+/**
+ * Cron schedules: enqueue a job from a schedule's payload template each time its cron expression fires.
+ * Runs in the worker tick. Each fire creates its job with idempotency key `schedule:<id>:<fire time>`
+ * (store.createJobIfAbsent), so a restart mid-minute or two workers firing the same schedule never double-enqueue.
+ * After downtime only the most recent missed fire time is enqueued (no burst of catch-up jobs).
+ */
+const store = require('./store');
+const logger = require('./logger');
+const events = require('./events');
+const { buildJob } = require('./jobs');
+const { parseCron, nextFireTime } = require('./cron');
+
+/** Safety cap when skipping over missed fire times (e.g. a per-minute schedule after a long outage). */
+const MAX_MISSED_FIRES = 100000;
+
+/** Replace {{fire_time}} and {{schedule_id}} in top-level string values of the payload template. */
+function renderPayload(template, schedule, fireAt) {
+  const out = {};
+  for (const [key, value] of Object.entries(template || {})) {
+    out[key] = typeof value === 'string'
+      ? value.replace(/\{\{fire_time\}\}/g, fireAt.toISOString()).replace(/\{\{schedule_id\}\}/g, schedule.id)
+      : value;
+  }
+  return out;
+}
+
+function parseTemplate(schedule) {
+  try {
+    const parsed = JSON.parse(schedule.payload || '{}');
+    return typeof parsed === 'object' && parsed !== null ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Fire one schedule if due. Returns the created job, or null if nothing was enqueued. */
+function fireSchedule(schedule, now) {
+  if (schedule.status !== 'active' || !schedule.next_fire_at) return null;
+  let fireAt = new Date(schedule.next_fire_at);
+  if (fireAt > now) return null;
+
+  let cron;
+  try {
+    cron = parseCron(schedule.cron);
+  } catch (e) {
+    logger.warn('schedule_invalid', { message: `Schedule ${schedule.id}: ${e.message}` });
+    store.updateSchedule(schedule.id, { status: 'paused', updated_at: now.toISOString() });
+    return null;
+  }
+  // Skip to the latest fire time that is due
+  for (let i = 0; i < MAX_MISSED_FIRES; i++) {
+    const next = nextFireTime(cron, fireAt);
+    if (!next || next > now) break;
+    fireAt = next;
+  }
+
+  const job = buildJob({
+    type: schedule.type,
+    payload: renderPayload(parseTemplate(schedule), schedule, fireAt),
+    tenantId: schedule.tenant_id,
+    idempotencyKey: `schedule:${schedule.id}:${fireAt.toISOString()}`,
+    scheduleId: schedule.id,
+  });
+  const { job: fired, created } = store.createJobIfAbsent(job);
+  const next = nextFireTime(cron, fireAt);
+  store.updateSchedule(schedule.id, {
+    last_fire_at: fireAt.toISOString(),
+    last_job_id: fired.id,
+    next_fire_at: next ? next.toISOString() : null,
+  });
+  if (!created) return null;
+  store.incrementJobSubmitted(fired.tenant_id, fired.type);
+  logger.info('schedule_fire', { jobId: fired.id, tenantId: fired.tenant_id, message: `schedule ${schedule.id} at ${fireAt.toISOString()}` });
+  events.notifyApi('submitted', fired);
+  return fired;
+}
+
+/** Enqueue jobs for every active schedule whose next fire time has passed. Returns the created jobs. */
+function fireDueSchedules(now = new Date()) {
+  const fired = [];
+  for (const schedule of store.listSchedules()) {
+    const job = fireSchedule(schedule, now);
+    if (job) fired.push(job);
+  }
+  return fired;
+}
+
+module.exports = { fireDueSchedules };
@@ -0,0 +1,288 @@
+/**
+ * Helpers and limits shared by the storage backends.
+ */
+const path = require('path');
+const config = require('../config');
+
+/** Data files of both backends; DATA_DIR (relative to backend/) moves them, e.g. for tests. */
+const DATA_DIR = path.resolve(__dirname, '..', config.DATA_DIR || 'data');
+
+const MAX_IDEMPOTENCY_KEY_LEN = 256;
+
+/** Max length for job id / lookup (prevent abuse). */
+const MAX_ID_LEN = 256;
+
+/** Sanitize job id for lookups: string, max length, no control chars. */
+function sanitizeJobId(id) {
+  if (id == null || typeof id !== 'string') return null;
+  const s = id.slice(0, MAX_ID_LEN).replace(/[\x00-\x1f\x7f]/g, '');
+  return s.length > 0 ? s : null;
+}
+
+/** Queue of jobs submitted without one (and of rows written before queues existed). */
+const DEFAULT_QUEUE = 'default';
+
+/** Job priority bounds; higher runs first, default 0. */
+const MIN_PRIORITY = -100;
+const MAX_PRIORITY = 100;
+
+/**
+ * Priority used for leasing: the job's priority plus one point per PRIORITY_AGING_SEC waited since created_at,
+ * so low-priority jobs are eventually leased even while higher-priority work keeps arriving.
+ */
+function effectivePriority(job, nowMs) {
+  const base = job.priority || 0;
+  if (!(config.PRIORITY_AGING_SEC > 0)) return base;
+  const waitedSec = Math.floor((nowMs - new Date(job.created_at).getTime()) / 1000);
+  return base + Math.max(0, Math.floor(waitedSec / config.PRIORITY_AGING_SEC));
+}
+
+/** Workers whose last heartbeat is older than this are dropped from the registry. */
+const WORKER_RETENTION_MS = 60 * 60 * 1000;
+
+/** Job log lines older than this are pruned when new lines are appended. */
+const JOB_LOG_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Webhook deliveries created longer ago than this are pruned when new ones are queued. */
+const WEBHOOK_DELIVERY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * True if a running job's lease has expired: lease_expires_at (pushed forward by heartbeats) has passed, or, for
+ * jobs leased before heartbeats existed, leased_at is older than maxAgeMs.
+ */
+function isLeaseExpired(job, nowMs, maxAgeMs) {
+  if (job.status !== 'running') return false;
+  if (job.lease_expires_at) return new Date(job.lease_expires_at).getTime() < nowMs;
+  return Boolean(job.leased_at) && nowMs - new Date(job.leased_at).getTime() > maxAgeMs;
+}
+
+/** Lease fields after a heartbeat/extension at nowMs: never moves lease_expires_at backwards. */
+function renewedLease(job, nowMs, durationMs) {
+  const current = job.lease_expires_at ? new Date(job.lease_expires_at).getTime() : 0;
+  return {
+    heartbeat_at: new Date(nowMs).toISOString(),
+    lease_expires_at: new Date(Math.max(current, nowMs + durationMs)).toISOString(),
+  };
+}
+
+/** Attempt history (jobs.attempts, JSON): at most this many entries are kept, oldest dropped first. */
+const MAX_ATTEMPTS_KEPT = 100;
+const MAX_ATTEMPT_ERROR_LEN = 2000;
+
+/** The attempts column as an array ([] when empty or unreadable). */
+function parseAttempts(text) {
+  try {
+    const attempts = JSON.parse(text || '[]');
+    return Array.isArray(attempts) ? attempts : [];
+  } catch {
+    return [];
+  }
+}
+
+/** attempts column after leasing job to workerId at `now`: appends a "running" attempt numbered after the last one. */
+function startAttempt(job, workerId, now) {
+  const attempts = parseAttempts(job.attempts);
+  const last = attempts[attempts.length - 1];
+  attempts.push({
+    attempt: (last?.attempt || 0) + 1,
+    worker_id: workerId || null,
+    leased_at: now,
+    finished_at: null,
+    duration_ms: null,
+    outcome: 'running',
+    error: null,
+  });
+  return JSON.stringify(attempts.slice(-MAX_ATTEMPTS_KEPT));
+}
+
+/**
+ * attempts column with the running attempt closed at `now`. outcome: done, retried, failed (dead-lettered),
+ * cancelled, lease_expired or released. Unchanged if no attempt is running.
+ */
+function finishAttempt(job, now, outcome, error = null) {
+  const attempts = parseAttempts(job.attempts);
+  const last = attempts[attempts.length - 1];
+  if (!last || last.outcome !== 'running') return job.attempts ?? null;
+  attempts[attempts.length - 1] = {
+    ...last,
+    finished_at: now,
+    duration_ms: Math.max(0, Date.parse(now) - Date.parse(last.leased_at)),
+    outcome,
+    error: error == null ? null : String(error).slice(0, MAX_ATTEMPT_ERROR_LEN),
+  };
+  return JSON.stringify(attempts);
+}
+
+/** Fields that mark a job cancelled (the worker, cancelJob and expired leases all record it the same way). */
+function cancelledFields(now) {
+  return { status: 'cancelled', updated_at: now, completed_at: now, next_attempt_at: null, error_message: 'Cancelled' };
+}
+
+/**
+ * Updates for a cancel request at `now`: scheduled/blocked/pending jobs are cancelled outright, running jobs only get
+ * cancel_requested_at (their worker aborts them). Null if the job is already finished or cancelled.
+ */
+function cancelUpdates(job, now) {
+  if (job.status === 'scheduled' || job.status === 'blocked' || job.status === 'pending') return { ...cancelledFields(now), cancel_requested_at: now };
+  if (job.status === 'running' && !job.cancel_requested_at) return { cancel_requested_at: now, updated_at: now };
+  return null;
+}
+
+/**
+ * Status fields for a job whose lease expired or was given up: back to pending, or cancelled if a cancel was
+ * requested. `outcome` (lease_expired / released) closes the running attempt.
+ */
+function releasedStatus(job, now, outcome = 'lease_expired') {
+  const attempts = finishAttempt(job, now, job.cancel_requested_at ? 'cancelled' : outcome);
+  return job.cancel_requested_at ? { ...cancelledFields(now), attempts } : { status: 'pending', updated_at: now, attempts };
+}
+
+/** Parent statuses that end a blocked workflow job's wait with the workflow's on_failure outcome. */
+const UNSUCCESSFUL_STATUSES = new Set(['failed', 'cancelled', 'skipped']);
+
+/** A JSON array-of-ids column (a workflow job's depends_on, a batch's job_ids) as an array. */
+function parseIdList(text) {
+  if (!text) return [];
+  try {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Status changes for the blocked jobs among `jobs` (every job of their workflows): a job whose parents are all done
+ * becomes pending (run_at = now), one with a failed, cancelled or skipped parent becomes cancelled or skipped as its
+ * workflow's on_failure says (`onFailure`: workflow id → 'cancel' | 'skip'). Repeated until nothing changes, so an
+ * outcome reaches every descendant in one call. Returns [{ id, updates }].
+ */
+function workflowTransitions(jobs, onFailure, now) {
+  const byId = new Map(jobs.map((j) => [j.id, { ...j }]));
+  const changes = new Map();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const job of byId.values()) {
+      if (job.status !== 'blocked') continue;
+      const parents = parseIdList(job.depends_on).map((id) => byId.get(id));
+      const broken = parents.find((p) => !p || UNSUCCESSFUL_STATUSES.has(p.status));
+      let updates = null;
+      if (broken !== undefined) {
+        const status = onFailure[job.workflow_id] === 'skip' ? 'skipped' : 'cancelled';
+        const reason = broken ? `dependency "${broken.workflow_key}" ${broken.status}` : 'dependency missing';
+        updates = { status, updated_at: now, completed_at: now, error_message: `${status === 'skipped' ? 'Skipped' : 'Cancelled'}: ${reason}` };
+      } else if (parents.every((p) => p.status === 'done')) {
+        updates = { status: 'pending', updated_at: now, run_at: now };
+      }
+      if (!updates) continue;
+      Object.assign(job, updates);
+      changes.set(job.id, { ...changes.get(job.id), ...updates });
+      changed = true;
+    }
+  }
+  return [...changes].map(([id, updates]) => ({ id, updates }));
+}
+
+/**
+ * DLQ filter ({ tenantId, ids, error, since, until, state }; every field optional, see dlq.js): true if the item
+ * matches. error is a case-insensitive substring of last_error; since / until bound failed_at (ISO, until exclusive);
+ * state is "open" (not redriven), "redriven" or "all".
+ */
+function dlqMatches(item, filter) {
+  if (filter.tenantId && item.tenant_id !== filter.tenantId) return false;
+  if (filter.ids && !filter.ids.includes(item.id)) return false;
+  if (filter.error && !String(item.last_error || '').toLowerCase().includes(filter.error.toLowerCase())) return false;
+  if (filter.since && item.failed_at < filter.since) return false;
+  if (filter.until && item.failed_at >= filter.until) return false;
+  if (filter.state === 'open' && item.redriven_at) return false;
+  if (filter.state === 'redriven' && !item.redriven_at) return false;
+  return true;
+}
+
+/** Metrics history (GET /metrics/history): one row per minute, pruned after METRIC_HISTORY_RETENTION_MS. */
+const METRIC_HISTORY_BUCKET_MS = 60 * 1000;
+const METRIC_HISTORY_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/** Upper bounds (seconds) of the wait / run time counts kept per minute; the last count is for longer times. */
+const LATENCY_BOUNDS = [0.1, 0.25, 0.5, 1, 2, 3, 5, 7.5, 10, 15, 20, 30, 45, 60, 90, 120, 180, 300, 600, 900, 1800, 3600];
+
+/** Lifetime counter (incrementJob*) → the history field it also counts in. */
+const HISTORY_COUNTERS = { jobs_submitted: 'submitted', jobs_done: 'done', jobs_failed: 'failed', retries: 'retried' };
+
+/** ISO start of the history minute containing atMs. */
+function historyMinute(atMs) {
+  return new Date(Math.floor(atMs / METRIC_HISTORY_BUCKET_MS) * METRIC_HISTORY_BUCKET_MS).toISOString();
+}
+
+function emptyHistoryRow(minute) {
+  const zeros = () => new Array(LATENCY_BOUNDS.length + 1).fill(0);
+  return { minute, submitted: 0, done: 0, failed: 0, retried: 0, pending: null, running: null, wait: zeros(), run: zeros() };
+}
+
+/**
+ * Apply `fields` to a history row in place: submitted / done / failed / retried are added, pending / running (queue
+ * depth samples) replace the previous sample, wait_seconds / run_seconds count one observation in their bucket.
+ */
+function applyHistory(row, fields) {
+  for (const key of ['submitted', 'done', 'failed', 'retried']) {
+    if (fields[key]) row[key] = (row[key] || 0) + fields[key];
+  }
+  for (const key of ['pending', 'running']) {
+    if (fields[key] != null) row[key] = fields[key];
+  }
+  for (const [key, counts] of [['wait_seconds', row.wait], ['run_seconds', row.run]]) {
+    if (fields[key] == null) continue;
+    const i = LATENCY_BOUNDS.findIndex((le) => fields[key] <= le);
+    counts[i === -1 ? LATENCY_BOUNDS.length : i] += 1;
+  }
+  return row;
+}
+
+/** Labels of a stored metric series as JSON with sorted keys and string values, so equal label sets match. */
+function metricLabels(labels) {
+  const sorted = {};
+  for (const key of Object.keys(labels || {}).sort()) sorted[key] = String(labels[key]);
+  return JSON.stringify(sorted);
+}
+
+/** Max running jobs for a tenant (TENANT_CONCURRENCY override, else MAX_CONCURRENT_PER_TENANT). */
+function tenantConcurrencyLimit(tenantId) {
+  const override = Object.prototype.hasOwnProperty.call(config.TENANT_CONCURRENCY, tenantId)
+    ? config.TENANT_CONCURRENCY[tenantId]
+    : undefined;
+  return override ?? config.MAX_CONCURRENT_PER_TENANT;
+}
+
+module.exports = {
+  DATA_DIR,
+  tenantConcurrencyLimit,
+  WORKER_RETENTION_MS,
+  JOB_LOG_RETENTION_MS,
+  WEBHOOK_DELIVERY_RETENTION_MS,
+  isLeaseExpired,
+  renewedLease,
+  cancelledFields,
+  cancelUpdates,
+  releasedStatus,
+  parseIdList,
+  workflowTransitions,
+  dlqMatches,
+  parseAttempts,
+  startAttempt,
+  finishAttempt,
+  metricLabels,
+  METRIC_HISTORY_RETENTION_MS,
+  LATENCY_BOUNDS,
+  HISTORY_COUNTERS,
+  historyMinute,
+  emptyHistoryRow,
+  applyHistory,
+  DEFAULT_QUEUE,
+  MIN_PRIORITY,
+  MAX_PRIORITY,
+  effectivePriority,
+  MAX_IDEMPOTENCY_KEY_LEN,
+  MAX_ID_LEN,
+  sanitizeJobId,
+};
@@ -0,0 +1,1389 @@
+/**
+ * JSON file store (default backend): read/write data from backend/data/jobs.json and backend/data/metrics.json.
+ * Initially there are no records (empty jobs and dlq; metrics at zero). Data grows as users submit and worker processes.
+ * Every read-modify-write runs under a cross-process file lock, so the API and several workers can share the files.
+ */
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { DATA_DIR, sanitizeJobId, cancelUpdates, releasedStatus, parseIdList, workflowTransitions, dlqMatches, isLeaseExpired, renewedLease, parseAttempts, startAttempt, finishAttempt, metricLabels, METRIC_HISTORY_RETENTION_MS, LATENCY_BOUNDS, HISTORY_COUNTERS, historyMinute, emptyHistoryRow, applyHistory, WORKER_RETENTION_MS, JOB_LOG_RETENTION_MS, WEBHOOK_DELIVERY_RETENTION_MS, effectivePriority, tenantConcurrencyLimit, MAX_ID_LEN, MAX_IDEMPOTENCY_KEY_LEN, DEFAULT_QUEUE, MIN_PRIORITY, MAX_PRIORITY } = require('./common');
+
+const DATA_FILE = path.join(DATA_DIR, 'jobs.json');
+const METRICS_FILE = path.join(DATA_DIR, 'metrics.json');
+const RATELIMIT_FILE = path.join(DATA_DIR, 'ratelimit.json');
+const BATCH_QUOTA_FILE = path.join(DATA_DIR, 'batchquota.json');
+const DATA_LOCK_FILE = `${DATA_FILE}.lock`;
+const METRICS_LOCK_FILE = `${METRICS_FILE}.lock`;
+const RATELIMIT_LOCK_FILE = `${RATELIMIT_FILE}.lock`;
+const BATCH_QUOTA_LOCK_FILE = `${BATCH_QUOTA_FILE}.lock`;
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const SCHEDULES_LOCK_FILE = `${SCHEDULES_FILE}.lock`;
+const API_KEYS_FILE = path.join(DATA_DIR, 'apikeys.json');
+const API_KEYS_LOCK_FILE = `${API_KEYS_FILE}.lock`;
+const WORKERS_FILE = path.join(DATA_DIR, 'workers.json');
+const WORKERS_LOCK_FILE = `${WORKERS_FILE}.lock`;
+const JOB_LOGS_FILE = path.join(DATA_DIR, 'joblogs.json');
+const JOB_LOGS_LOCK_FILE = `${JOB_LOGS_FILE}.lock`;
+const METRIC_HISTORY_FILE = path.join(DATA_DIR, 'metrichistory.json');
+const METRIC_HISTORY_LOCK_FILE = `${METRIC_HISTORY_FILE}.lock`;
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const WEBHOOKS_LOCK_FILE = `${WEBHOOKS_FILE}.lock`;
+
+const DEFAULT_DATA = { jobs: [], dlq: [], workflows: [], batches: [] };
+const DEFAULT_METRICS = { jobs_submitted: 0, jobs_done: 0, jobs_failed: 0, retries: 0 };
+
+/** Max file size to read (avoid DoS from huge/corrupted file). 50MB so all job history can be stored. */
+const MAX_FILE_SIZE_BYTES = 50 * 1024 * 1024;
+
+/** Lock files sit next to the data they protect; a lock older than LOCK_STALE_MS is assumed to belong to a dead process. */
+const LOCK_RETRY_MS = 10;
+const LOCK_STALE_MS = 10000;
+const SLEEP_CELL = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+  Atomics.wait(SLEEP_CELL, 0, 0, ms);
+}
+
+/** Cross-process mutex: exclusive-create lockFile, run fn, remove lockFile. Breaks locks left behind by crashed processes. */
+function withFileLock(lockFile, fn) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  let fd = null;
+  while (fd === null) {
+    try {
+      fd = fs.openSync(lockFile, 'wx');
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+          fs.unlinkSync(lockFile);
+          continue;
+        }
+      } catch {
+        continue; // released between open and stat; try again immediately
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    fs.writeSync(fd, String(process.pid));
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    try {
+      fs.unlinkSync(lockFile);
+    } catch {
+      // already removed as stale by another process
+    }
+  }
+}
+
+/** Write via temp file + rename so readers never see a half-written file. */
+function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, contents, 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function load() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (fs.existsSync(DATA_FILE)) {
+      const stat = fs.statSync(DATA_FILE);
+      if (stat.size > MAX_FILE_SIZE_BYTES) {
+        console.error('store load error: file too large');
+        return { jobs: [...DEFAULT_DATA.jobs], dlq: [...DEFAULT_DATA.dlq], workflows: [...DEFAULT_DATA.workflows], batches: [...DEFAULT_DATA.batches], tenant_leases: Object.create(null), paused_queues: Object.create(null) };
+      }
+      const raw = fs.readFileSync(DATA_FILE, 'utf8');
+      const data = JSON.parse(raw);
+      if (!Array.isArray(data.jobs)) data.jobs = [];
+      if (!Array.isArray(data.dlq)) data.dlq = [];
+      if (!Array.isArray(data.workflows)) data.workflows = [];
+      if (!Array.isArray(data.batches)) data.batches = [];
+      // keyed by tenant id, so no prototype
+      data.tenant_leases = Object.assign(Object.create(null), typeof data.tenant_leases === 'object' ? data.tenant_leases : {});
+      data.paused_queues = Object.assign(Object.create(null), typeof data.paused_queues === 'object' ? data.paused_queues : {});
+      return data;
+    }
+  } catch (e) {
+    console.error('store load error:', e.message);
+  }
+  return { jobs: [...DEFAULT_DATA.jobs], dlq: [...DEFAULT_DATA.dlq], workflows: [...DEFAULT_DATA.workflows], batches: [...DEFAULT_DATA.batches], tenant_leases: Object.create(null), paused_queues: Object.create(null) };
+}
+
+/** Save all jobs and DLQ items — no trimming; full job history is kept in jobs.json. */
+function save(data) {
+  try {
+    const out = {
+      jobs: Array.isArray(data.jobs) ? data.jobs : [],
+      dlq: Array.isArray(data.dlq) ? data.dlq : [],
+      workflows: Array.isArray(data.workflows) ? data.workflows : [], // workflow rows; their jobs are in `jobs`
+      batches: Array.isArray(data.batches) ? data.batches : [], // batch rows (POST /jobs/batch) with their job ids
+      tenant_leases: data.tenant_leases || {}, // tenant → last lease time (round-robin between tenants)
+      paused_queues: data.paused_queues || {}, // queue → paused_at (POST /queues/:name/pause)
+    };
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(DATA_FILE, JSON.stringify(out, null, 2));
+  } catch (e) {
+    console.error('store save error:', e.message);
+  }
+}
+
+/** Run fn(data) while holding the jobs.json lock; fn calls save(data) itself if it changed anything. */
+function transact(fn) {
+  return withFileLock(DATA_LOCK_FILE, () => fn(load()));
+}
+
+function getData() {
+  return load();
+}
+
+function setData(data) {
+  transact(() => save(data));
+}
+
+// --- Jobs
+function getJob(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  const data = load();
+  return data.jobs.find((j) => j.id === sid) || null;
+}
+
+/** Newest first; sort 'priority' orders by priority (highest first), then newest. Optional priority and tenant filters. */
+function getJobs(status, limit = 1000, offset = 0, { priority = null, sort = 'created_at', tenantId = null } = {}) {
+  const data = load();
+  let list = data.jobs;
+  if (status) list = list.filter((j) => j.status === status);
+  if (tenantId) list = list.filter((j) => j.tenant_id === tenantId);
+  if (priority != null) list = list.filter((j) => (j.priority || 0) === priority);
+  list = list.sort((a, b) => {
+    if (sort === 'priority' && (b.priority || 0) !== (a.priority || 0)) return (b.priority || 0) - (a.priority || 0);
+    return new Date(b.created_at) - new Date(a.created_at);
+  });
+  const off = Math.max(0, Number(offset) || 0);
+  const lim = Math.max(1, Math.min(Number(limit) || 100, 500));
+  return list.slice(off, off + lim);
+}
+
+/** Running jobs whose lease expired (no heartbeat for the lease duration; see isLeaseExpired). Used to re-queue stuck jobs. */
+function getStaleRunningJobs(maxAgeMs) {
+  const now = Date.now();
+  return load().jobs.filter((j) => isLeaseExpired(j, now, maxAgeMs));
+}
+
+/** Fields cleared whenever a job stops being leased. */
+const CLEARED_LEASE = { leased_at: null, lease_token: null, worker_id: null, lease_expires_at: null };
+
+function releaseStaleJob(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return updateJob(sid, {
+    status: 'pending',
+    ...CLEARED_LEASE,
+    updated_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Atomically re-queue every running job whose lease expired (see isLeaseExpired; jobs with a pending cancel request
+ * become "cancelled" instead). Returns the released jobs (pre-release state).
+ */
+function releaseStaleLeases(maxAgeMs) {
+  return transact((data) => {
+    const now = Date.now();
+    const released = [];
+    for (let i = 0; i < data.jobs.length; i++) {
+      const j = data.jobs[i];
+      if (!isLeaseExpired(j, now, maxAgeMs)) continue;
+      released.push(j);
+      data.jobs[i] = { ...j, ...CLEARED_LEASE, ...releasedStatus(j, new Date(now).toISOString()) };
+    }
+    if (released.length > 0) save(data);
+    return released;
+  });
+}
+
+function createJob(job) {
+  return transact((data) => {
+    data.jobs.push(job);
+    save(data);
+    return job;
+  });
+}
+
+/**
+ * Atomically insert job unless a job with the same idempotency_key exists.
+ * Returns { job, created } where job is the existing one when created is false.
+ */
+function createJobIfAbsent(job) {
+  return transact((data) => {
+    const existing = job.idempotency_key ? data.jobs.find((j) => j.idempotency_key === job.idempotency_key) : null;
+    if (existing) return { job: existing, created: false };
+    data.jobs.push(job);
+    save(data);
+    return { job, created: true };
+  });
+}
+
+function updateJob(id, updates) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return transact((data) => {
+    const i = data.jobs.findIndex((j) => j.id === sid);
+    if (i === -1) return null;
+    data.jobs[i] = { ...data.jobs[i], ...updates };
+    save(data);
+    return data.jobs[i];
+  });
+}
+
+/** Atomically move scheduled jobs with run_at <= now to pending. Returns the promoted jobs. */
+function promoteDueJobs() {
+  return transact((data) => {
+    const now = Date.now();
+    const promoted = [];
+    for (let i = 0; i < data.jobs.length; i++) {
+      const j = data.jobs[i];
+      if (j.status !== 'scheduled' || !j.run_at || new Date(j.run_at).getTime() > now) continue;
+      data.jobs[i] = { ...j, status: 'pending', updated_at: new Date(now).toISOString() };
+      promoted.push(data.jobs[i]);
+    }
+    if (promoted.length > 0) save(data);
+    return promoted;
+  });
+}
+
+// --- Batches (rows in jobs.json next to their jobs, so a batch is written in one save)
+/**
+ * Atomically insert a batch ({ id, name, tenant_id, created_at }) and its jobs. A job whose idempotency_key is
+ * already taken (also by an earlier job of the same batch) is not inserted; the existing job takes its place.
+ * Sets batch.total and batch.job_ids (JSON, in item order). Returns { batch, results: [{ job, created }] }, or
+ * { conflict: index } without writing anything if job `index` has a key used by another tenant's job.
+ */
+function createBatch(batch, jobs) {
+  return transact((data) => {
+    const byKey = new Map(data.jobs.filter((j) => j.idempotency_key).map((j) => [j.idempotency_key, j]));
+    const conflict = jobs.findIndex((job) => {
+      const existing = job.idempotency_key ? byKey.get(job.idempotency_key) : null;
+      return existing && existing.tenant_id !== job.tenant_id;
+    });
+    if (conflict !== -1) return { conflict };
+    const results = jobs.map((job) => {
+      const existing = job.idempotency_key ? byKey.get(job.idempotency_key) : null;
+      if (existing) return { job: existing, created: false };
+      data.jobs.push(job);
+      if (job.idempotency_key) byKey.set(job.idempotency_key, job);
+      return { job, created: true };
+    });
+    const row = { ...batch, total: results.length, job_ids: JSON.stringify(results.map((r) => r.job.id)) };
+    data.batches.push(row);
+    save(data);
+    return { batch: row, results };
+  });
+}
+
+function getBatch(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return load().batches.find((b) => b.id === sid) || null;
+}
+
+/** A batch's jobs in item order (jobs deleted since are left out). */
+function listBatchJobs(batch) {
+  const byId = new Map(load().jobs.map((j) => [j.id, j]));
+  return parseIdList(batch.job_ids).map((id) => byId.get(id)).filter(Boolean);
+}
+
+// --- Workflows (rows in jobs.json next to their jobs, so a workflow and its jobs are written together)
+/** Atomically insert a workflow ({ id, name, tenant_id, on_failure, created_at }) and its jobs. */
+function createWorkflow(workflow, jobs) {
+  return transact((data) => {
+    data.workflows.push(workflow);
+    data.jobs.push(...jobs);
+    save(data);
+    return workflow;
+  });
+}
+
+function getWorkflow(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return load().workflows.find((w) => w.id === sid) || null;
+}
+
+/** Newest first; optionally one tenant's. */
+function listWorkflows(tenantId = null, limit = 100) {
+  return load().workflows
+    .filter((w) => !tenantId || w.tenant_id === tenantId)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, limit);
+}
+
+/** A workflow's jobs in creation (topological) order. */
+function listWorkflowJobs(workflowId) {
+  return load().jobs.filter((j) => j.workflow_id === workflowId);
+}
+
+/**
+ * Atomically move blocked workflow jobs on: pending once all parents are done, cancelled / skipped (on_failure) when
+ * a parent failed, was cancelled or skipped (see workflowTransitions). Returns the changed jobs.
+ */
+function advanceWorkflows() {
+  return transact((data) => {
+    const ids = new Set(data.jobs.filter((j) => j.status === 'blocked' && j.workflow_id).map((j) => j.workflow_id));
+    if (ids.size === 0) return [];
+    const onFailure = Object.fromEntries(data.workflows.filter((w) => ids.has(w.id)).map((w) => [w.id, w.on_failure]));
+    const changes = workflowTransitions(data.jobs.filter((j) => ids.has(j.workflow_id)), onFailure, new Date().toISOString());
+    if (changes.length === 0) return [];
+    const index = new Map(data.jobs.map((j, i) => [j.id, i]));
+    const updated = changes.map(({ id, updates }) => {
+      const i = index.get(id);
+      data.jobs[i] = { ...data.jobs[i], ...updates };
+      return data.jobs[i];
+    });
+    save(data);
+    return updated;
+  });
+}
+
+/**
+ * Atomically lease the next job for workerId (see pickNextPending: priority, per-tenant limits, tenant round-robin).
+ * queues limits it to those queues (null = any); paused queues are always skipped.
+ * The returned job carries a fresh lease_token that completeLease() requires; the lease lasts leaseMs unless renewed.
+ */
+function leaseNext(workerId, leaseMs, queues = null) {
+  return transact((data) => {
+    const nowMs = Date.now();
+    const next = pickNextPending(data.jobs, nowMs, data.tenant_leases, { paused: data.paused_queues, queues });
+    if (next === -1) return null;
+    const now = new Date().toISOString();
+    data.tenant_leases[data.jobs[next].tenant_id] = now;
+    data.jobs[next] = {
+      ...data.jobs[next],
+      status: 'running',
+      updated_at: now,
+      leased_at: now,
+      worker_id: workerId || null,
+      lease_token: crypto.randomUUID(),
+      heartbeat_at: now,
+      lease_expires_at: leaseMs ? new Date(nowMs + leaseMs).toISOString() : null,
+      progress: null,
+      progress_message: null,
+      attempts: startAttempt(data.jobs[next], workerId, now),
+    };
+    save(data);
+    return data.jobs[next];
+  });
+}
+
+/**
+ * Give up leases (worker shutdown): each { id, lease_token } still held goes back to pending (or cancelled if a
+ * cancel was requested). Returns the released jobs (pre-release state).
+ */
+function releaseLeases(leases) {
+  if (leases.length === 0) return [];
+  return transact((data) => {
+    const now = new Date().toISOString();
+    const released = [];
+    for (const { id, lease_token: token } of leases) {
+      const i = data.jobs.findIndex((j) => j.id === id);
+      if (i === -1 || data.jobs[i].status !== 'running' || !token || data.jobs[i].lease_token !== token) continue;
+      released.push(data.jobs[i]);
+      data.jobs[i] = { ...data.jobs[i], ...CLEARED_LEASE, ...releasedStatus(data.jobs[i], now, 'released') };
+    }
+    if (released.length > 0) save(data);
+    return released;
+  });
+}
+
+/**
+ * Heartbeat: for each { id, lease_token } still held, set heartbeat_at = now and push lease_expires_at to at least
+ * now + durationMs. Returns the ids whose lease is still held (others were reclaimed).
+ */
+function renewLeases(leases, durationMs) {
+  if (leases.length === 0) return [];
+  return transact((data) => {
+    const now = Date.now();
+    const held = [];
+    for (const { id, lease_token: token } of leases) {
+      const i = data.jobs.findIndex((j) => j.id === id);
+      if (i === -1 || data.jobs[i].status !== 'running' || !token || data.jobs[i].lease_token !== token) continue;
+      data.jobs[i] = { ...data.jobs[i], ...renewedLease(data.jobs[i], now, durationMs) };
+      held.push(id);
+    }
+    if (held.length > 0) save(data);
+    return held;
+  });
+}
+
+/** Record handler progress (0-100 and an optional message) if the job is still running under leaseToken. */
+function reportProgress(id, leaseToken, progress, message) {
+  const sid = sanitizeJobId(id);
+  if (!sid || !leaseToken) return null;
+  return transact((data) => {
+    const i = data.jobs.findIndex((j) => j.id === sid);
+    if (i === -1 || data.jobs[i].status !== 'running' || data.jobs[i].lease_token !== leaseToken) return null;
+    data.jobs[i] = { ...data.jobs[i], progress, progress_message: message ?? null, updated_at: new Date().toISOString() };
+    save(data);
+    return data.jobs[i];
+  });
+}
+
+/**
+ * Finish a lease: apply updates (and optionally append dlqItem) only if the job is still running under leaseToken.
+ * Returns the updated job, or null if the lease was lost (reclaimed as stale and possibly re-leased by another worker).
+ */
+function completeLease(id, leaseToken, updates, dlqItem = null) {
+  const sid = sanitizeJobId(id);
+  if (!sid || !leaseToken) return null;
+  return transact((data) => {
+    const i = data.jobs.findIndex((j) => j.id === sid);
+    if (i === -1) return null;
+    const job = data.jobs[i];
+    if (job.status !== 'running' || job.lease_token !== leaseToken) return null;
+    data.jobs[i] = { ...job, lease_token: null, ...updates };
+    if (dlqItem) data.dlq.push(dlqItem);
+    save(data);
+    return data.jobs[i];
+  });
+}
+
+function countByStatus(status) {
+  const data = load();
+  return data.jobs.filter((j) => j.status === status).length;
+}
+
+/** { tenantId: { pending, running } } for every tenant with pending or running jobs. */
+function countByTenant() {
+  const counts = Object.create(null); // keyed by tenant id
+  for (const j of load().jobs) {
+    if (j.status !== 'pending' && j.status !== 'running') continue;
+    const c = counts[j.tenant_id] || (counts[j.tenant_id] = { pending: 0, running: 0 });
+    c[j.status]++;
+  }
+  return counts;
+}
+
+/** { queue: { scheduled, blocked, pending, running } } for every queue with such jobs; optional tenant filter. */
+function countByQueue(tenantId = null) {
+  const counts = Object.create(null); // keyed by queue name
+  for (const j of load().jobs) {
+    if (!['scheduled', 'blocked', 'pending', 'running'].includes(j.status)) continue;
+    if (tenantId && j.tenant_id !== tenantId) continue;
+    const queue = j.queue || DEFAULT_QUEUE;
+    const c = counts[queue] || (counts[queue] = { scheduled: 0, blocked: 0, pending: 0, running: 0 });
+    c[j.status]++;
+  }
+  return counts;
+}
+
+/** { queue: paused_at } for every paused queue. */
+function listPausedQueues() {
+  return { ...load().paused_queues };
+}
+
+/** Stop workers leasing from queue (already-running jobs finish). Returns paused_at (the original one if already paused). */
+function pauseQueue(queue) {
+  return transact((data) => {
+    if (!data.paused_queues[queue]) {
+      data.paused_queues[queue] = new Date().toISOString();
+      save(data);
+    }
+    return data.paused_queues[queue];
+  });
+}
+
+/** Let workers lease from queue again. Returns false if it was not paused. */
+function resumeQueue(queue) {
+  return transact((data) => {
+    if (!data.paused_queues[queue]) return false;
+    delete data.paused_queues[queue];
+    save(data);
+    return true;
+  });
+}
+
+function countRunningByTenant(tenantId) {
+  if (tenantId == null || typeof tenantId !== 'string' || tenantId.length > MAX_ID_LEN) return 0;
+  const data = load();
+  return data.jobs.filter((j) => j.tenant_id === tenantId && j.status === 'running').length;
+}
+
+function findJobByIdempotencyKey(key) {
+  if (key == null || typeof key !== 'string' || key.length > MAX_IDEMPOTENCY_KEY_LEN) return null;
+  const data = load();
+  return data.jobs.find((j) => j.idempotency_key === key) || null;
+}
+
+/**
+ * Index of the job leaseNext should take, -1 if none. Eligible: pending, not backing off, in a queue that is not
+ * paused (and in `queues`, if given), and the tenant is below its running-job limit. Order: highest effective
+ * priority (with aging); among tenants tied on priority, the one leased least recently (round-robin, tenantLeases =
+ * tenant → last lease ISO time); then oldest first.
+ */
+function pickNextPending(jobs, nowMs, tenantLeases = Object.create(null), { paused = {}, queues = null } = {}) {
+  const running = Object.create(null);
+  for (const j of jobs) if (j.status === 'running') running[j.tenant_id] = (running[j.tenant_id] || 0) + 1;
+
+  let next = -1;
+  let best = null;
+  for (let i = 0; i < jobs.length; i++) {
+    const j = jobs[i];
+    if (j.status !== 'pending') continue;
+    if (j.next_attempt_at && new Date(j.next_attempt_at).getTime() > nowMs) continue; // backing off
+    const queue = j.queue || DEFAULT_QUEUE;
+    if (paused[queue] || (queues && !queues.includes(queue))) continue;
+    if ((running[j.tenant_id] || 0) >= tenantConcurrencyLimit(j.tenant_id)) continue; // tenant at its limit
+    const key = { priority: effectivePriority(j, nowMs), lastLease: tenantLeases[j.tenant_id] || '', created: new Date(j.created_at) };
+    const better = !best
+      || key.priority > best.priority
+      || (key.priority === best.priority && (key.lastLease < best.lastLease
+        || (key.lastLease === best.lastLease && key.created < best.created)));
+    if (better) {
+      next = i;
+      best = key;
+    }
+  }
+  return next;
+}
+
+/**
+ * The job leaseNext would take next: aged priority, then tenant round-robin (see pickNextPending).
+ * Read-only peek; workers must lease with leaseNext().
+ */
+function getNextPendingJob() {
+  const data = load();
+  const next = pickNextPending(data.jobs, Date.now(), data.tenant_leases, { paused: data.paused_queues });
+  return next === -1 ? null : data.jobs[next];
+}
+
+// --- DLQ
+/** Items matching filter (see dlqMatches), newest first, paginated when limit is set. Returns { items, total }. */
+function listDlq(filter = {}, limit = null, offset = 0) {
+  const data = load();
+  const items = data.dlq.filter((d) => dlqMatches(d, filter)).sort((a, b) => new Date(b.failed_at) - new Date(a.failed_at));
+  return { items: limit == null ? items.slice(offset) : items.slice(offset, offset + limit), total: items.length };
+}
+
+function addToDlq(item) {
+  return transact((data) => {
+    data.dlq.push(item);
+    save(data);
+    return item;
+  });
+}
+
+function getDlqItem(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  const data = load();
+  return data.dlq.find((d) => d.id === sid) || null;
+}
+
+/** DLQ items not yet redriven (redriven items stay listed for history but no longer count). */
+function getDlqCount() {
+  const data = load();
+  return data.dlq.filter((d) => !d.redriven_at).length;
+}
+
+/**
+ * Atomically re-enqueue a failed job: apply updates (status → pending etc.) only if it is still "failed",
+ * and mark its outstanding DLQ items as redriven. Returns the updated job, or null if it is not failed.
+ */
+function redriveJob(id, updates) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return transact((data) => {
+    const i = data.jobs.findIndex((j) => j.id === sid);
+    if (i === -1 || data.jobs[i].status !== 'failed') return null;
+    const now = updates.updated_at || new Date().toISOString();
+    data.jobs[i] = { ...data.jobs[i], ...updates };
+    for (const item of data.dlq) {
+      if (item.job_id === sid && !item.redriven_at) item.redriven_at = now;
+    }
+    save(data);
+    return data.jobs[i];
+  });
+}
+
+/**
+ * Atomically redrive every job with an open DLQ item matching filter (redriven items are ignored): apply updates to
+ * each job that is still "failed" and mark all its open DLQ items as redriven. Returns the updated jobs.
+ */
+function redriveDlq(filter, updates) {
+  return transact((data) => {
+    const jobIds = new Set(data.dlq.filter((d) => !d.redriven_at && dlqMatches(d, filter)).map((d) => d.job_id));
+    const now = updates.updated_at || new Date().toISOString();
+    const redriven = [];
+    for (const [i, job] of data.jobs.entries()) {
+      if (!jobIds.has(job.id) || job.status !== 'failed') continue;
+      data.jobs[i] = { ...job, ...updates };
+      redriven.push(data.jobs[i]);
+    }
+    if (redriven.length === 0) return redriven;
+    const done = new Set(redriven.map((j) => j.id));
+    for (const item of data.dlq) {
+      if (done.has(item.job_id) && !item.redriven_at) item.redriven_at = now;
+    }
+    save(data);
+    return redriven;
+  });
+}
+
+/** Delete the DLQ items matching filter (their jobs stay "failed"). Returns the number deleted. */
+function deleteDlqItems(filter) {
+  return transact((data) => {
+    const before = data.dlq.length;
+    data.dlq = data.dlq.filter((d) => !dlqMatches(d, filter));
+    const deleted = before - data.dlq.length;
+    if (deleted > 0) save(data);
+    return deleted;
+  });
+}
+
+/**
+ * Atomically cancel a job: scheduled/blocked/pending jobs become "cancelled" at once; running jobs get cancel_requested_at
+ * and are stopped by their worker (see listCancelRequested). Other statuses are left unchanged.
+ * Returns { job, previousStatus }, or null if the job does not exist.
+ */
+function cancelJob(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return transact((data) => {
+    const i = data.jobs.findIndex((j) => j.id === sid);
+    if (i === -1) return null;
+    const job = data.jobs[i];
+    const updates = cancelUpdates(job, new Date().toISOString());
+    if (updates) {
+      data.jobs[i] = { ...job, ...updates };
+      save(data);
+    }
+    return { job: data.jobs[i], previousStatus: job.status };
+  });
+}
+
+/** Ids (of those given) of running jobs with a pending cancel request; workers poll this for their in-flight jobs. */
+function listCancelRequested(ids) {
+  const wanted = new Set(ids);
+  if (wanted.size === 0) return [];
+  return load().jobs.filter((j) => wanted.has(j.id) && j.status === 'running' && j.cancel_requested_at).map((j) => j.id);
+}
+
+// --- Cron schedules (persisted in data/schedules.json)
+function loadSchedules() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (fs.existsSync(SCHEDULES_FILE)) {
+      const data = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+      return Array.isArray(data.schedules) ? data.schedules : [];
+    }
+  } catch (e) {
+    console.error('store loadSchedules error:', e.message);
+  }
+  return [];
+}
+
+function saveSchedules(schedules) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(SCHEDULES_FILE, JSON.stringify({ schedules }, null, 2));
+  } catch (e) {
+    console.error('store saveSchedules error:', e.message);
+  }
+}
+
+function listSchedules() {
+  return loadSchedules().sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+function getSchedule(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return loadSchedules().find((s) => s.id === sid) || null;
+}
+
+function createSchedule(schedule) {
+  return withFileLock(SCHEDULES_LOCK_FILE, () => {
+    const schedules = loadSchedules();
+    schedules.push(schedule);
+    saveSchedules(schedules);
+    return schedule;
+  });
+}
+
+function updateSchedule(id, updates) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return withFileLock(SCHEDULES_LOCK_FILE, () => {
+    const schedules = loadSchedules();
+    const i = schedules.findIndex((s) => s.id === sid);
+    if (i === -1) return null;
+    schedules[i] = { ...schedules[i], ...updates };
+    saveSchedules(schedules);
+    return schedules[i];
+  });
+}
+
+/** Returns true if a schedule was deleted. */
+function deleteSchedule(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return false;
+  return withFileLock(SCHEDULES_LOCK_FILE, () => {
+    const schedules = loadSchedules();
+    const rest = schedules.filter((s) => s.id !== sid);
+    if (rest.length === schedules.length) return false;
+    saveSchedules(rest);
+    return true;
+  });
+}
+
+// --- Worker registry (persisted in data/workers.json; each worker upserts itself on every heartbeat)
+function loadWorkers() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (fs.existsSync(WORKERS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(WORKERS_FILE, 'utf8'));
+      return Array.isArray(data.workers) ? data.workers : [];
+    }
+  } catch (e) {
+    console.error('store loadWorkers error:', e.message);
+  }
+  return [];
+}
+
+function saveWorkers(workers) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(WORKERS_FILE, JSON.stringify({ workers }, null, 2));
+  } catch (e) {
+    console.error('store saveWorkers error:', e.message);
+  }
+}
+
+/**
+ * Insert or update a worker row ({ id, hostname, pid, started_at, heartbeat_at, concurrency, in_flight, state }),
+ * keeping fields set by the API (drain_requested_at). Returns the merged row. Prunes long-dead workers.
+ */
+function upsertWorker(worker) {
+  return withFileLock(WORKERS_LOCK_FILE, () => {
+    const cutoff = Date.now() - WORKER_RETENTION_MS;
+    const all = loadWorkers();
+    const existing = all.find((w) => w.id === worker.id);
+    const workers = all.filter((w) => w.id !== worker.id && new Date(w.heartbeat_at).getTime() >= cutoff);
+    const row = { ...existing, ...worker };
+    workers.push(row);
+    saveWorkers(workers);
+    return row;
+  });
+}
+
+function getWorker(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return loadWorkers().find((w) => w.id === sid) || null;
+}
+
+/** Merge updates into a worker row (e.g. drain_requested_at). Returns the row, or null if unknown. */
+function updateWorker(id, updates) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return withFileLock(WORKERS_LOCK_FILE, () => {
+    const workers = loadWorkers();
+    const i = workers.findIndex((w) => w.id === sid);
+    if (i === -1) return null;
+    workers[i] = { ...workers[i], ...updates };
+    saveWorkers(workers);
+    return workers[i];
+  });
+}
+
+/** Drop a worker from the registry (clean shutdown). */
+function removeWorker(id) {
+  return withFileLock(WORKERS_LOCK_FILE, () => {
+    const workers = loadWorkers();
+    const remaining = workers.filter((w) => w.id !== id);
+    if (remaining.length !== workers.length) saveWorkers(remaining);
+    return remaining.length !== workers.length;
+  });
+}
+
+/** Workers with a heartbeat at or after sinceIso, most recent first. */
+function listWorkers(sinceIso) {
+  const since = new Date(sinceIso).getTime();
+  return loadWorkers()
+    .filter((w) => new Date(w.heartbeat_at).getTime() >= since)
+    .sort((a, b) => new Date(b.heartbeat_at) - new Date(a.heartbeat_at));
+}
+
+// --- Job logs (persisted in data/joblogs.json; handler log lines and failure stacks, per job and attempt)
+function loadJobLogs() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (fs.existsSync(JOB_LOGS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(JOB_LOGS_FILE, 'utf8'));
+      return Array.isArray(data.logs) ? data.logs : [];
+    }
+  } catch (e) {
+    console.error('store loadJobLogs error:', e.message);
+  }
+  return [];
+}
+
+function saveJobLogs(logs) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(JOB_LOGS_FILE, JSON.stringify({ logs }, null, 2));
+  } catch (e) {
+    console.error('store saveJobLogs error:', e.message);
+  }
+}
+
+/** Append log lines ({ job_id, tenant_id, attempt, ts, level, message }); prunes lines past retention. */
+function appendJobLogs(lines) {
+  if (lines.length === 0) return;
+  withFileLock(JOB_LOGS_LOCK_FILE, () => {
+    const cutoff = Date.now() - JOB_LOG_RETENTION_MS;
+    const logs = loadJobLogs().filter((l) => new Date(l.ts).getTime() >= cutoff);
+    saveJobLogs(logs.concat(lines));
+  });
+}
+
+/** A job's log lines in the order written, optionally one attempt: { logs, total }. */
+function listJobLogs(jobId, { limit = 100, offset = 0, attempt = null } = {}) {
+  const sid = sanitizeJobId(jobId);
+  if (!sid) return { logs: [], total: 0 };
+  const all = loadJobLogs().filter((l) => l.job_id === sid && (attempt == null || l.attempt === attempt));
+  return { logs: all.slice(offset, offset + limit), total: all.length };
+}
+
+/** All log lines in the order written (used by the JSON → SQLite migration). */
+function getJobLogs() {
+  return loadJobLogs();
+}
+
+/** Replace all log lines (used by the JSON → SQLite migration on the other side). */
+function setJobLogs(lines) {
+  withFileLock(JOB_LOGS_LOCK_FILE, () => saveJobLogs(lines));
+}
+
+// --- API keys (persisted in data/apikeys.json; only the SHA-256 hash of each key is stored)
+function loadApiKeys() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (fs.existsSync(API_KEYS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+      return Array.isArray(data.keys) ? data.keys : [];
+    }
+  } catch (e) {
+    console.error('store loadApiKeys error:', e.message);
+  }
+  return [];
+}
+
+function saveApiKeys(keys) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(API_KEYS_FILE, JSON.stringify({ keys }, null, 2));
+  } catch (e) {
+    console.error('store saveApiKeys error:', e.message);
+  }
+}
+
+function listApiKeys() {
+  return loadApiKeys().sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+function findApiKeyByHash(keyHash) {
+  if (typeof keyHash !== 'string') return null;
+  return loadApiKeys().find((k) => k.key_hash === keyHash) || null;
+}
+
+/** Number of keys not revoked. */
+function countApiKeys() {
+  return loadApiKeys().filter((k) => !k.revoked_at).length;
+}
+
+function createApiKey(key) {
+  return withFileLock(API_KEYS_LOCK_FILE, () => {
+    const keys = loadApiKeys();
+    keys.push(key);
+    saveApiKeys(keys);
+    return key;
+  });
+}
+
+/** Mark a key revoked. Returns the key, or null if unknown. */
+function revokeApiKey(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return withFileLock(API_KEYS_LOCK_FILE, () => {
+    const keys = loadApiKeys();
+    const i = keys.findIndex((k) => k.id === sid);
+    if (i === -1) return null;
+    if (!keys[i].revoked_at) keys[i] = { ...keys[i], revoked_at: new Date().toISOString() };
+    saveApiKeys(keys);
+    return keys[i];
+  });
+}
+
+// --- Webhooks (persisted in data/webhooks.json: tenant subscriptions and the delivery queue / log)
+function loadWebhooks() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (fs.existsSync(WEBHOOKS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(WEBHOOKS_FILE, 'utf8'));
+      return {
+        webhooks: Array.isArray(data.webhooks) ? data.webhooks : [],
+        deliveries: Array.isArray(data.deliveries) ? data.deliveries : [],
+      };
+    }
+  } catch (e) {
+    console.error('store loadWebhooks error:', e.message);
+  }
+  return { webhooks: [], deliveries: [] };
+}
+
+function saveWebhooks(data) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(WEBHOOKS_FILE, JSON.stringify(data, null, 2));
+  } catch (e) {
+    console.error('store saveWebhooks error:', e.message);
+  }
+}
+
+/** Subscriptions, oldest first; optionally one tenant's. */
+function listWebhooks(tenantId = null) {
+  return loadWebhooks().webhooks
+    .filter((w) => !tenantId || w.tenant_id === tenantId)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+function getWebhook(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return loadWebhooks().webhooks.find((w) => w.id === sid) || null;
+}
+
+function createWebhook(webhook) {
+  return withFileLock(WEBHOOKS_LOCK_FILE, () => {
+    const data = loadWebhooks();
+    data.webhooks.push(webhook);
+    saveWebhooks(data);
+    return webhook;
+  });
+}
+
+/** Returns true if a subscription was deleted. Its queued deliveries fail when they are next attempted. */
+function deleteWebhook(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return false;
+  return withFileLock(WEBHOOKS_LOCK_FILE, () => {
+    const data = loadWebhooks();
+    const rest = data.webhooks.filter((w) => w.id !== sid);
+    if (rest.length === data.webhooks.length) return false;
+    saveWebhooks({ ...data, webhooks: rest });
+    return true;
+  });
+}
+
+/** Queue deliveries ({ id, job_id, webhook_id, url, event, body, status: 'pending', next_attempt_at, ... }); prunes old ones. */
+function createWebhookDeliveries(deliveries) {
+  if (deliveries.length === 0) return;
+  withFileLock(WEBHOOKS_LOCK_FILE, () => {
+    const data = loadWebhooks();
+    const cutoff = Date.now() - WEBHOOK_DELIVERY_RETENTION_MS;
+    const kept = data.deliveries.filter((d) => new Date(d.created_at).getTime() >= cutoff);
+    saveWebhooks({ ...data, deliveries: kept.concat(deliveries) });
+  });
+}
+
+/**
+ * Atomically claim up to `limit` pending deliveries that are due, oldest first, by pushing their next_attempt_at
+ * leaseMs ahead (so no other worker sends them meanwhile; if this one dies they are retried after that).
+ */
+function claimWebhookDeliveries(limit, leaseMs) {
+  return withFileLock(WEBHOOKS_LOCK_FILE, () => {
+    const data = loadWebhooks();
+    const now = Date.now();
+    const due = data.deliveries
+      .filter((d) => d.status === 'pending' && new Date(d.next_attempt_at).getTime() <= now)
+      .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at))
+      .slice(0, limit);
+    if (due.length === 0) return [];
+    const leasedUntil = new Date(now + leaseMs).toISOString();
+    for (const d of due) d.next_attempt_at = leasedUntil;
+    saveWebhooks(data);
+    return due.map((d) => ({ ...d }));
+  });
+}
+
+/** Merge updates into a delivery. Returns the delivery, or null if unknown (e.g. pruned). */
+function updateWebhookDelivery(id, updates) {
+  return withFileLock(WEBHOOKS_LOCK_FILE, () => {
+    const data = loadWebhooks();
+    const i = data.deliveries.findIndex((d) => d.id === id);
+    if (i === -1) return null;
+    data.deliveries[i] = { ...data.deliveries[i], ...updates };
+    saveWebhooks(data);
+    return data.deliveries[i];
+  });
+}
+
+/** A job's deliveries, oldest first. */
+function listWebhookDeliveries(jobId) {
+  const sid = sanitizeJobId(jobId);
+  if (!sid) return [];
+  return loadWebhooks().deliveries
+    .filter((d) => d.job_id === sid)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+// --- Metrics (persisted in data/metrics.json so counts survive restart; API and worker both update)
+// Besides the four lifetime counters the file holds `series`: [{ name, labels, value }] for GET /metrics/prometheus.
+function loadMetrics() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (fs.existsSync(METRICS_FILE)) {
+      const raw = fs.readFileSync(METRICS_FILE, 'utf8');
+      const m = JSON.parse(raw);
+      return {
+        jobs_submitted: Number(m.jobs_submitted) || 0,
+        jobs_done: Number(m.jobs_done) || 0,
+        jobs_failed: Number(m.jobs_failed) || 0,
+        retries: Number(m.retries) || 0,
+        series: Array.isArray(m.series) ? m.series : [],
+      };
+    }
+  } catch (e) {
+    console.error('store loadMetrics error:', e.message);
+  }
+  return { ...DEFAULT_METRICS, series: [] };
+}
+
+function saveMetrics(metrics) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(METRICS_FILE, JSON.stringify(metrics, null, 2));
+  } catch (e) {
+    console.error('store saveMetrics error:', e.message);
+  }
+}
+
+function getMetrics() {
+  const { series, ...counters } = loadMetrics();
+  return counters;
+}
+
+/** Overwrite all counters (labelled series are kept). */
+function setMetrics(metrics) {
+  withFileLock(METRICS_LOCK_FILE, () => {
+    const { series } = loadMetrics();
+    saveMetrics({ ...DEFAULT_METRICS, ...metrics, series });
+  });
+}
+
+/** Add each { name, labels, value } increment to its series in m.series (created at 0). */
+function addSeries(m, updates) {
+  for (const { name, labels, value } of updates) {
+    const key = metricLabels(labels);
+    const series = m.series.find((s) => s.name === name && metricLabels(s.labels) === key);
+    if (series) series.value = (Number(series.value) || 0) + (Number(value) || 0);
+    else m.series.push({ name, labels: JSON.parse(key), value: Number(value) || 0 });
+  }
+}
+
+/**
+ * Increment counter `name` and, if tenantId is given, its series labelled { tenant, type }. Also counted in the
+ * current minute of the metrics history.
+ */
+function incrementMetric(name, tenantId, type, count = 1) {
+  const counters = withFileLock(METRICS_LOCK_FILE, () => {
+    const m = loadMetrics();
+    m[name] = (m[name] || 0) + count;
+    if (tenantId) addSeries(m, [{ name, labels: { tenant: tenantId, type }, value: count }]);
+    saveMetrics(m);
+    const { series, ...rest } = m;
+    return rest;
+  });
+  addMetricHistory({ [HISTORY_COUNTERS[name]]: count });
+  return counters;
+}
+
+/** `count` > 1 records several jobs of one type in a single write (POST /jobs/batch). */
+function incrementJobSubmitted(tenantId, type, count = 1) {
+  return incrementMetric('jobs_submitted', tenantId, type, count);
+}
+
+function incrementJobDone(tenantId, type) {
+  return incrementMetric('jobs_done', tenantId, type);
+}
+
+function incrementJobFailed(tenantId, type) {
+  return incrementMetric('jobs_failed', tenantId, type);
+}
+
+function incrementRetries(tenantId, type) {
+  return incrementMetric('retries', tenantId, type);
+}
+
+/** Labelled series [{ name, labels, value }] (counters by tenant/type, histogram buckets). */
+function getMetricSeries() {
+  return loadMetrics().series;
+}
+
+/** Apply increments [{ name, labels, value }] to the labelled series in one write. */
+function addMetricSeries(updates) {
+  if (updates.length === 0) return;
+  withFileLock(METRICS_LOCK_FILE, () => {
+    const m = loadMetrics();
+    addSeries(m, updates);
+    saveMetrics(m);
+  });
+}
+
+/** Replace all labelled series (used by the JSON → SQLite migration on the other side). */
+function setMetricSeries(series) {
+  withFileLock(METRICS_LOCK_FILE, () => {
+    const m = loadMetrics();
+    m.series = [];
+    addSeries(m, series);
+    saveMetrics(m);
+  });
+}
+
+// --- Metrics history (persisted in data/metrichistory.json: one row per minute for the last 24h)
+function loadMetricHistory() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (fs.existsSync(METRIC_HISTORY_FILE)) {
+      const data = JSON.parse(fs.readFileSync(METRIC_HISTORY_FILE, 'utf8'));
+      return Array.isArray(data.minutes) ? data.minutes : [];
+    }
+  } catch (e) {
+    console.error('store loadMetricHistory error:', e.message);
+  }
+  return [];
+}
+
+function saveMetricHistory(minutes) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(METRIC_HISTORY_FILE, JSON.stringify({ minutes }, null, 2));
+  } catch (e) {
+    console.error('store saveMetricHistory error:', e.message);
+  }
+}
+
+/**
+ * Record `fields` ({ submitted, done, failed, retried, pending, running, wait_seconds, run_seconds }, see
+ * applyHistory) in the minute containing atMs; prunes minutes past retention.
+ */
+function addMetricHistory(fields, atMs = Date.now()) {
+  withFileLock(METRIC_HISTORY_LOCK_FILE, () => {
+    const cutoff = historyMinute(atMs - METRIC_HISTORY_RETENTION_MS);
+    const minutes = loadMetricHistory().filter((row) => row.minute >= cutoff);
+    const minute = historyMinute(atMs);
+    let row = minutes.find((r) => r.minute === minute);
+    if (!row) {
+      row = emptyHistoryRow(minute);
+      minutes.push(row);
+    }
+    applyHistory(row, fields);
+    saveMetricHistory(minutes);
+  });
+}
+
+/** History rows from sinceIso on, oldest first. */
+function listMetricHistory(sinceIso) {
+  return loadMetricHistory()
+    .filter((row) => row.minute >= sinceIso)
+    .sort((a, b) => a.minute.localeCompare(b.minute));
+}
+
+/** Replace all history rows (used by the JSON → SQLite migration on the other side). */
+function setMetricHistory(rows) {
+  withFileLock(METRIC_HISTORY_LOCK_FILE, () => saveMetricHistory(rows));
+}
+
+// --- Rate limit (persisted so max N jobs per minute per tenant is enforced across restarts)
+const RATE_LIMIT_WINDOW_SEC = 60;
+
+function loadRateLimit() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (fs.existsSync(RATELIMIT_FILE)) {
+      const raw = fs.readFileSync(RATELIMIT_FILE, 'utf8');
+      return JSON.parse(raw);
+    }
+  } catch (e) {
+    console.error('store loadRateLimit error:', e.message);
+  }
+  return {};
+}
+
+function saveRateLimit(data) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(RATELIMIT_FILE, JSON.stringify(data, null, 2));
+  } catch (e) {
+    console.error('store saveRateLimit error:', e.message);
+  }
+}
+
+/** Returns true if tenant has fewer than maxPerMinute submissions in the last 60 seconds. */
+function canSubmitJob(tenantId, maxPerMinute) {
+  if (!tenantId || typeof tenantId !== 'string' || tenantId.length > MAX_ID_LEN) return true;
+  const data = loadRateLimit();
+  const now = Math.floor(Date.now() / 1000);
+  const list = (data[tenantId] || []).filter((t) => now - t < RATE_LIMIT_WINDOW_SEC);
+  return list.length < maxPerMinute;
+}
+
+/** Record a new job submission for tenant (call after canSubmitJob returns true). */
+function addRateLimitTimestamp(tenantId) {
+  if (!tenantId || typeof tenantId !== 'string' || tenantId.length > MAX_ID_LEN) return;
+  withFileLock(RATELIMIT_LOCK_FILE, () => {
+    const data = loadRateLimit();
+    const now = Math.floor(Date.now() / 1000);
+    if (!data[tenantId]) data[tenantId] = [];
+    data[tenantId] = data[tenantId].filter((t) => now - t < RATE_LIMIT_WINDOW_SEC);
+    data[tenantId].push(now);
+    saveRateLimit(data);
+  });
+}
+
+// --- Batch quota (jobs submitted through POST /jobs/batch per tenant per minute; data/batchquota.json)
+/** Tenant → [[unix seconds, job count], ...]; keyed by tenant id, so no prototype (a tenant may be named "constructor"). */
+function loadBatchQuota() {
+  try {
+    if (fs.existsSync(BATCH_QUOTA_FILE)) return Object.assign(Object.create(null), JSON.parse(fs.readFileSync(BATCH_QUOTA_FILE, 'utf8')));
+  } catch (e) {
+    console.error('store loadBatchQuota error:', e.message);
+  }
+  return Object.create(null);
+}
+
+/** Jobs the tenant submitted in batches during the last 60 seconds. */
+function countBatchJobs(tenantId) {
+  const now = Math.floor(Date.now() / 1000);
+  return (loadBatchQuota()[tenantId] || [])
+    .filter(([t]) => now - t < RATE_LIMIT_WINDOW_SEC)
+    .reduce((sum, [, n]) => sum + n, 0);
+}
+
+/** Record `count` jobs submitted in a batch for the tenant (after countBatchJobs left room for them). */
+function addBatchJobs(tenantId, count) {
+  if (!tenantId || typeof tenantId !== 'string' || tenantId.length > MAX_ID_LEN) return;
+  withFileLock(BATCH_QUOTA_LOCK_FILE, () => {
+    const data = loadBatchQuota();
+    const now = Math.floor(Date.now() / 1000);
+    data[tenantId] = (data[tenantId] || []).filter(([t]) => now - t < RATE_LIMIT_WINDOW_SEC).concat([[now, count]]);
+    try {
+      writeFileAtomic(BATCH_QUOTA_FILE, JSON.stringify(data, null, 2));
+    } catch (e) {
+      console.error('store saveBatchQuota error:', e.message);
+    }
+  });
+}
+
+module.exports = {
+  BACKEND: 'json',
+  getData,
+  setData,
+  getJob,
+  getJobs,
+  createJob,
+  createJobIfAbsent,
+  updateJob,
+  countByStatus,
+  countRunningByTenant,
+  countByTenant,
+  countByQueue,
+  listPausedQueues,
+  pauseQueue,
+  resumeQueue,
+  findJobByIdempotencyKey,
+  getNextPendingJob,
+  getStaleRunningJobs,
+  releaseStaleJob,
+  releaseStaleLeases,
+  promoteDueJobs,
+  leaseNext,
+  completeLease,
+  listDlq,
+  addToDlq,
+  getDlqItem,
+  getDlqCount,
+  redriveJob,
+  redriveDlq,
+  deleteDlqItems,
+  cancelJob,
+  listCancelRequested,
+  createBatch,
+  getBatch,
+  listBatchJobs,
+  createWorkflow,
+  getWorkflow,
+  listWorkflows,
+  listWorkflowJobs,
+  advanceWorkflows,
+  parseIdList,
+  renewLeases,
+  releaseLeases,
+  reportProgress,
+  appendJobLogs,
+  listJobLogs,
+  getJobLogs,
+  setJobLogs,
+  upsertWorker,
+  getWorker,
+  updateWorker,
+  removeWorker,
+  listWorkers,
+  sanitizeJobId,
+  parseAttempts,
+  finishAttempt,
+  DEFAULT_QUEUE,
+  MIN_PRIORITY,
+  MAX_PRIORITY,
+  getMetrics,
+  setMetrics,
+  incrementJobSubmitted,
+  incrementJobDone,
+  incrementJobFailed,
+  incrementRetries,
+  getMetricSeries,
+  addMetricSeries,
+  setMetricSeries,
+  addMetricHistory,
+  listMetricHistory,
+  setMetricHistory,
+  LATENCY_BOUNDS,
+  canSubmitJob,
+  addRateLimitTimestamp,
+  countBatchJobs,
+  addBatchJobs,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listApiKeys,
+  findApiKeyByHash,
+  countApiKeys,
+  createApiKey,
+  revokeApiKey,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  deleteWebhook,
+  createWebhookDeliveries,
+  claimWebhookDeliveries,
+  updateWebhookDelivery,
+  listWebhookDeliveries,
+  DATA_FILE,
+  METRICS_FILE,
+  RATELIMIT_FILE,
+  SCHEDULES_FILE,
+};
@@ -0,0 +1,1281 @@
+/**
+ * SQLite store (STORE_BACKEND=sqlite): jobs, DLQ, metrics and rate-limit timestamps in one database file (default data/jobs.db).
+ * Implements the schema in db/schema.md with indexes on status, tenant_id and idempotency_key, so lookups and counts
+ * no longer re-read the whole data set. Same exports as stores/json.js.
+ * Multi-process safe: writes from the API, workers and scheduler run in IMMEDIATE transactions, so a transaction never
+ * has to upgrade a read lock; other processes wait on the SQLite lock (busy timeout).
+ */
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config');
+const { DATA_DIR, sanitizeJobId, tenantConcurrencyLimit, cancelUpdates, releasedStatus, parseIdList, workflowTransitions, renewedLease, parseAttempts, startAttempt, finishAttempt, metricLabels, METRIC_HISTORY_RETENTION_MS, LATENCY_BOUNDS, HISTORY_COUNTERS, historyMinute, emptyHistoryRow, applyHistory, WORKER_RETENTION_MS, JOB_LOG_RETENTION_MS, WEBHOOK_DELIVERY_RETENTION_MS, MAX_ID_LEN, MAX_IDEMPOTENCY_KEY_LEN, DEFAULT_QUEUE, MIN_PRIORITY, MAX_PRIORITY } = require('./common');
+
+let Database;
+try {
+  Database = require('better-sqlite3');
+} catch (e) {
+  throw new Error('STORE_BACKEND=sqlite requires the better-sqlite3 package (cd backend && npm install better-sqlite3)');
+}
+
+const DATA_FILE = config.SQLITE_FILE
+  ? path.resolve(__dirname, '..', config.SQLITE_FILE)
+  : path.join(DATA_DIR, 'jobs.db');
+
+/** Wait this long for another process's write lock before failing with SQLITE_BUSY. */
+const BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * Column name → SQL definition. New job fields are added here; missing columns are added to
+ * existing databases on startup (so they must be nullable or have a DEFAULT).
+ */
+const JOB_COLUMNS = {
+  id: 'TEXT PRIMARY KEY',
+  type: "TEXT NOT NULL DEFAULT 'text'",
+  status: "TEXT NOT NULL DEFAULT 'pending'",
+  payload: 'TEXT',
+  retries: 'INTEGER NOT NULL DEFAULT 0',
+  max_retries: 'INTEGER NOT NULL DEFAULT 3',
+  timeout_seconds: 'INTEGER',
+  idempotency_key: 'TEXT',
+  tenant_id: "TEXT NOT NULL DEFAULT 'default'",
+  priority: 'INTEGER NOT NULL DEFAULT 0',
+  schedule_id: 'TEXT',
+  created_at: 'TEXT NOT NULL',
+  updated_at: 'TEXT NOT NULL',
+  run_at: 'TEXT',
+  next_attempt_at: 'TEXT',
+  backoff: 'TEXT',
+  cancel_requested_at: 'TEXT',
+  leased_at: 'TEXT',
+  completed_at: 'TEXT',
+  result: 'TEXT',
+  error_message: 'TEXT',
+  worker_id: 'TEXT',
+  lease_token: 'TEXT',
+  heartbeat_at: 'TEXT',
+  lease_expires_at: 'TEXT',
+  progress: 'INTEGER',
+  progress_message: 'TEXT',
+  attempts: 'TEXT',
+  callback_url: 'TEXT',
+  workflow_id: 'TEXT',
+  workflow_key: 'TEXT',
+  depends_on: 'TEXT',
+  batch_id: 'TEXT',
+  queue: `TEXT NOT NULL DEFAULT '${DEFAULT_QUEUE}'`,
+};
+
+const DLQ_COLUMNS = {
+  id: 'TEXT PRIMARY KEY',
+  job_id: 'TEXT NOT NULL',
+  type: "TEXT NOT NULL DEFAULT 'text'",
+  payload: 'TEXT',
+  retries: 'INTEGER NOT NULL DEFAULT 0',
+  last_error: 'TEXT',
+  failed_at: 'TEXT NOT NULL',
+  tenant_id: "TEXT NOT NULL DEFAULT 'default'",
+  redriven_at: 'TEXT',
+  attempts: 'TEXT',
+};
+
+const SCHEDULE_COLUMNS = {
+  id: 'TEXT PRIMARY KEY',
+  name: 'TEXT',
+  cron: 'TEXT NOT NULL',
+  type: "TEXT NOT NULL DEFAULT 'text'",
+  payload: 'TEXT',
+  tenant_id: "TEXT NOT NULL DEFAULT 'default'",
+  status: "TEXT NOT NULL DEFAULT 'active'",
+  created_at: 'TEXT NOT NULL',
+  updated_at: 'TEXT NOT NULL',
+  next_fire_at: 'TEXT',
+  last_fire_at: 'TEXT',
+  last_job_id: 'TEXT',
+};
+
+const API_KEY_COLUMNS = {
+  id: 'TEXT PRIMARY KEY',
+  name: 'TEXT',
+  tenant_id: "TEXT NOT NULL DEFAULT 'default'",
+  scopes: "TEXT NOT NULL DEFAULT '[]'",
+  key_hash: 'TEXT NOT NULL',
+  prefix: 'TEXT',
+  created_at: 'TEXT NOT NULL',
+  revoked_at: 'TEXT',
+};
+
+const WORKER_COLUMNS = {
+  id: 'TEXT PRIMARY KEY',
+  hostname: 'TEXT',
+  pid: 'INTEGER',
+  started_at: 'TEXT',
+  heartbeat_at: 'TEXT NOT NULL',
+  concurrency: 'INTEGER',
+  in_flight: 'INTEGER NOT NULL DEFAULT 0',
+  state: "TEXT NOT NULL DEFAULT 'running'",
+  drain_requested_at: 'TEXT',
+  queues: 'TEXT',
+};
+
+const JOB_LOG_COLUMNS = {
+  id: 'INTEGER PRIMARY KEY',
+  job_id: 'TEXT NOT NULL',
+  tenant_id: 'TEXT',
+  attempt: 'INTEGER NOT NULL',
+  ts: 'TEXT NOT NULL',
+  level: "TEXT NOT NULL DEFAULT 'info'",
+  message: 'TEXT',
+};
+
+const WEBHOOK_COLUMNS = {
+  id: 'TEXT PRIMARY KEY',
+  tenant_id: "TEXT NOT NULL DEFAULT 'default'",
+  url: 'TEXT NOT NULL',
+  events: "TEXT NOT NULL DEFAULT '[]'",
+  secret: 'TEXT NOT NULL',
+  created_at: 'TEXT NOT NULL',
+};
+
+const WEBHOOK_DELIVERY_COLUMNS = {
+  id: 'TEXT PRIMARY KEY',
+  job_id: 'TEXT NOT NULL',
+  tenant_id: 'TEXT',
+  webhook_id: 'TEXT',
+  url: 'TEXT NOT NULL',
+  event: 'TEXT NOT NULL',
+  body: 'TEXT NOT NULL',
+  status: "TEXT NOT NULL DEFAULT 'pending'",
+  attempts: 'INTEGER NOT NULL DEFAULT 0',
+  next_attempt_at: 'TEXT',
+  last_status_code: 'INTEGER',
+  last_error: 'TEXT',
+  log: 'TEXT',
+  created_at: 'TEXT NOT NULL',
+  delivered_at: 'TEXT',
+};
+
+const WORKFLOW_COLUMNS = {
+  id: 'TEXT PRIMARY KEY',
+  name: 'TEXT',
+  tenant_id: "TEXT NOT NULL DEFAULT 'default'",
+  on_failure: "TEXT NOT NULL DEFAULT 'cancel'",
+  created_at: 'TEXT NOT NULL',
+};
+
+const BATCH_COLUMNS = {
+  id: 'TEXT PRIMARY KEY',
+  name: 'TEXT',
+  tenant_id: "TEXT NOT NULL DEFAULT 'default'",
+  total: 'INTEGER NOT NULL DEFAULT 0',
+  job_ids: "TEXT NOT NULL DEFAULT '[]'",
+  created_at: 'TEXT NOT NULL',
+};
+
+const METRIC_NAMES = ['jobs_submitted', 'jobs_done', 'jobs_failed', 'retries'];
+
+fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+const db = new Database(DATA_FILE, { timeout: BUSY_TIMEOUT_MS });
+db.pragma('journal_mode = WAL');
+db.pragma('synchronous = NORMAL');
+
+/** CREATE TABLE IF NOT EXISTS, then ADD COLUMN for any column the existing table lacks. */
+function ensureTable(name, columns) {
+  const defs = Object.entries(columns).map(([col, def]) => `${col} ${def}`).join(', ');
+  db.exec(`CREATE TABLE IF NOT EXISTS ${name} (${defs})`);
+  const existing = new Set(db.prepare(`PRAGMA table_info(${name})`).all().map((c) => c.name));
+  for (const [col, def] of Object.entries(columns)) {
+    if (!existing.has(col)) db.exec(`ALTER TABLE ${name} ADD COLUMN ${col} ${def}`);
+  }
+}
+
+ensureTable('jobs', JOB_COLUMNS);
+ensureTable('dlq', DLQ_COLUMNS);
+ensureTable('schedules', SCHEDULE_COLUMNS);
+ensureTable('api_keys', API_KEY_COLUMNS);
+ensureTable('workers', WORKER_COLUMNS);
+ensureTable('job_logs', JOB_LOG_COLUMNS);
+ensureTable('webhooks', WEBHOOK_COLUMNS);
+ensureTable('webhook_deliveries', WEBHOOK_DELIVERY_COLUMNS);
+ensureTable('workflows', WORKFLOW_COLUMNS);
+ensureTable('batches', BATCH_COLUMNS);
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_jobs_status_created ON jobs (status, created_at);
+  CREATE INDEX IF NOT EXISTS idx_jobs_tenant_status ON jobs (tenant_id, status);
+  CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs (status, run_at);
+  CREATE INDEX IF NOT EXISTS idx_jobs_status_priority ON jobs (status, priority DESC, created_at);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_idempotency_key ON jobs (idempotency_key);
+  CREATE INDEX IF NOT EXISTS idx_dlq_failed_at ON dlq (failed_at);
+  CREATE INDEX IF NOT EXISTS idx_dlq_tenant_failed_at ON dlq (tenant_id, failed_at);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys (key_hash);
+  CREATE INDEX IF NOT EXISTS idx_job_logs_job ON job_logs (job_id, attempt, id);
+  CREATE INDEX IF NOT EXISTS idx_job_logs_ts ON job_logs (ts);
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_job ON webhook_deliveries (job_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_jobs_workflow ON jobs (workflow_id);
+  CREATE INDEX IF NOT EXISTS idx_jobs_queue_status ON jobs (queue, status);
+  CREATE INDEX IF NOT EXISTS idx_workflows_tenant ON workflows (tenant_id, created_at);
+  CREATE TABLE IF NOT EXISTS metrics (name TEXT PRIMARY KEY, value INTEGER NOT NULL DEFAULT 0);
+  CREATE TABLE IF NOT EXISTS metric_series (name TEXT NOT NULL, labels TEXT NOT NULL, value REAL NOT NULL DEFAULT 0, PRIMARY KEY (name, labels));
+  CREATE TABLE IF NOT EXISTS metric_history (
+    minute TEXT PRIMARY KEY,
+    submitted INTEGER NOT NULL DEFAULT 0,
+    done INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    retried INTEGER NOT NULL DEFAULT 0,
+    pending INTEGER,
+    running INTEGER,
+    wait TEXT NOT NULL,
+    run TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS rate_limit (tenant_id TEXT NOT NULL, ts INTEGER NOT NULL);
+  CREATE TABLE IF NOT EXISTS tenant_leases (tenant_id TEXT PRIMARY KEY, last_leased_at TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS paused_queues (name TEXT PRIMARY KEY, paused_at TEXT NOT NULL);
+  CREATE INDEX IF NOT EXISTS idx_rate_limit_tenant_ts ON rate_limit (tenant_id, ts);
+  CREATE TABLE IF NOT EXISTS batch_quota (tenant_id TEXT NOT NULL, ts INTEGER NOT NULL, jobs INTEGER NOT NULL);
+  CREATE INDEX IF NOT EXISTS idx_batch_quota_tenant_ts ON batch_quota (tenant_id, ts);
+`);
+
+/** Prepared statements keyed by SQL text (column lists vary with the fields being written). */
+const statements = new Map();
+
+function stmt(sql) {
+  let s = statements.get(sql);
+  if (!s) {
+    s = db.prepare(sql);
+    statements.set(sql, s);
+  }
+  return s;
+}
+
+/** Known columns present in obj, with undefined dropped so column DEFAULTs apply. */
+function knownFields(obj, columns) {
+  const out = {};
+  for (const col of Object.keys(columns)) {
+    if (obj[col] !== undefined) out[col] = obj[col];
+  }
+  return out;
+}
+
+function insertRow(table, columns, obj) {
+  const row = knownFields(obj, columns);
+  const cols = Object.keys(row);
+  stmt(`INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map((c) => `@${c}`).join(', ')})`).run(row);
+}
+
+/** UPDATE table SET ... WHERE id = @id [AND extra]. Returns number of rows changed. */
+function updateTableRow(table, columns, id, updates, extraWhere = '', extraParams = {}) {
+  const fields = knownFields(updates, columns);
+  delete fields.id;
+  const cols = Object.keys(fields);
+  if (cols.length === 0) return stmt(`SELECT COUNT(*) AS n FROM ${table} WHERE id = ?`).get(id).n;
+  const sql = `UPDATE ${table} SET ${cols.map((c) => `${c} = @${c}`).join(', ')} WHERE id = @__id ${extraWhere}`;
+  return stmt(sql).run({ ...fields, ...extraParams, __id: id }).changes;
+}
+
+function updateRow(id, updates, extraWhere = '', extraParams = {}) {
+  return updateTableRow('jobs', JOB_COLUMNS, id, updates, extraWhere, extraParams);
+}
+
+// --- Whole data set (used by the JSON → SQLite migration)
+function getData() {
+  return {
+    jobs: stmt('SELECT * FROM jobs ORDER BY created_at').all(),
+    dlq: stmt('SELECT * FROM dlq ORDER BY failed_at').all(),
+    workflows: stmt('SELECT * FROM workflows ORDER BY created_at').all(),
+    batches: stmt('SELECT * FROM batches ORDER BY created_at').all(),
+  };
+}
+
+/** Replace all jobs, DLQ items, workflows and batches in one transaction. */
+const setData = db.transaction((data) => {
+  db.exec('DELETE FROM jobs; DELETE FROM dlq; DELETE FROM workflows; DELETE FROM batches;');
+  for (const job of Array.isArray(data.jobs) ? data.jobs : []) insertRow('jobs', JOB_COLUMNS, job);
+  for (const item of Array.isArray(data.dlq) ? data.dlq : []) insertRow('dlq', DLQ_COLUMNS, item);
+  for (const workflow of Array.isArray(data.workflows) ? data.workflows : []) insertRow('workflows', WORKFLOW_COLUMNS, workflow);
+  for (const batch of Array.isArray(data.batches) ? data.batches : []) insertRow('batches', BATCH_COLUMNS, batch);
+});
+
+// --- Jobs
+function getJob(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return stmt('SELECT * FROM jobs WHERE id = ?').get(sid) || null;
+}
+
+/** Newest first; sort 'priority' orders by priority (highest first), then newest. Optional priority and tenant filters. */
+function getJobs(status, limit = 1000, offset = 0, { priority = null, sort = 'created_at', tenantId = null } = {}) {
+  const off = Math.max(0, Number(offset) || 0);
+  const lim = Math.max(1, Math.min(Number(limit) || 100, 500));
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (priority != null) {
+    where.push('priority = ?');
+    params.push(priority);
+  }
+  if (tenantId) {
+    where.push('tenant_id = ?');
+    params.push(tenantId);
+  }
+  const order = sort === 'priority' ? 'priority DESC, created_at DESC' : 'created_at DESC';
+  const sql = `SELECT * FROM jobs ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY ${order} LIMIT ? OFFSET ?`;
+  return stmt(sql).all(...params, lim, off);
+}
+
+/**
+ * Running jobs whose lease expired (see isLeaseExpired in common.js): lease_expires_at has passed or, for leases
+ * without one, leased_at is older than maxAgeMs. Used to re-queue stuck jobs. ISO timestamps compare as strings.
+ */
+function getStaleRunningJobs(maxAgeMs) {
+  const now = Date.now();
+  return stmt(
+    `SELECT * FROM jobs WHERE status = 'running' AND (
+       (lease_expires_at IS NOT NULL AND lease_expires_at < @now)
+       OR (lease_expires_at IS NULL AND leased_at IS NOT NULL AND leased_at < @cutoff))`,
+  ).all({ now: new Date(now).toISOString(), cutoff: new Date(now - maxAgeMs).toISOString() });
+}
+
+/** Fields cleared whenever a job stops being leased. */
+const CLEARED_LEASE = { leased_at: null, lease_token: null, worker_id: null, lease_expires_at: null };
+
+function releaseStaleJob(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return updateJob(sid, {
+    status: 'pending',
+    ...CLEARED_LEASE,
+    updated_at: new Date().toISOString(),
+  });
+}
+
+const releaseStaleLeasesTx = db.transaction((maxAgeMs) => {
+  const stale = getStaleRunningJobs(maxAgeMs);
+  const now = new Date().toISOString();
+  for (const job of stale) updateRow(job.id, { ...CLEARED_LEASE, ...releasedStatus(job, now) });
+  return stale;
+});
+
+/**
+ * Atomically re-queue every running job whose lease expired (jobs with a pending cancel request
+ * become "cancelled" instead). Returns the released jobs (pre-release state).
+ */
+function releaseStaleLeases(maxAgeMs) {
+  return releaseStaleLeasesTx.immediate(maxAgeMs);
+}
+
+function createJob(job) {
+  insertRow('jobs', JOB_COLUMNS, job);
+  return job;
+}
+
+/**
+ * Atomically insert job unless a job with the same idempotency_key exists (unique index).
+ * Returns { job, created } where job is the existing one when created is false.
+ */
+function createJobIfAbsent(job) {
+  const row = knownFields(job, JOB_COLUMNS);
+  const cols = Object.keys(row);
+  const sql = `INSERT INTO jobs (${cols.join(', ')}) VALUES (${cols.map((c) => `@${c}`).join(', ')}) ON CONFLICT(idempotency_key) DO NOTHING`;
+  if (stmt(sql).run(row).changes > 0) return { job, created: true };
+  return { job: findJobByIdempotencyKey(job.idempotency_key), created: false };
+}
+
+function updateJob(id, updates) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  if (updateRow(sid, updates) === 0) return null;
+  return getJob(sid);
+}
+
+const promoteDueJobsTx = db.transaction(() => {
+  const now = new Date().toISOString();
+  const due = stmt("SELECT id FROM jobs WHERE status = 'scheduled' AND run_at <= ?").all(now);
+  for (const { id } of due) updateRow(id, { status: 'pending', updated_at: now });
+  return due.map(({ id }) => getJob(id));
+});
+
+/** Atomically move scheduled jobs with run_at <= now to pending. Returns the promoted jobs. */
+function promoteDueJobs() {
+  return promoteDueJobsTx.immediate();
+}
+
+/**
+ * Same order as pickNextPending() in stores/json.js: pending, not backing off, queue not paused (and in @queues
+ * unless NULL), tenant not in @full (at its running-job limit); highest effective priority (priority + 1 per
+ * PRIORITY_AGING_SEC waited), then the tenant leased least recently (round-robin), then oldest first.
+ * Params: @now (ISO), @nowSec, @full, @queues (JSON arrays).
+ */
+const NEXT_PENDING_SQL = `SELECT j.* FROM jobs j
+  LEFT JOIN tenant_leases t ON t.tenant_id = j.tenant_id
+  WHERE j.status = 'pending' AND (j.next_attempt_at IS NULL OR j.next_attempt_at <= @now)
+    AND j.tenant_id NOT IN (SELECT value FROM json_each(@full))
+    AND j.queue NOT IN (SELECT name FROM paused_queues)
+    AND (@queues IS NULL OR j.queue IN (SELECT value FROM json_each(@queues)))
+  ORDER BY ${config.PRIORITY_AGING_SEC > 0
+    ? `j.priority + MAX(0, (@nowSec - CAST(strftime('%s', j.created_at) AS INTEGER)) / ${Math.floor(config.PRIORITY_AGING_SEC)}) DESC,`
+    : 'j.priority DESC,'} COALESCE(t.last_leased_at, '') ASC, j.created_at ASC
+  LIMIT 1`;
+
+/** Tenants with pending jobs whose running count has reached tenantConcurrencyLimit(). */
+function tenantsAtLimit() {
+  const running = Object.create(null);
+  for (const r of stmt("SELECT tenant_id, COUNT(*) AS n FROM jobs WHERE status = 'running' GROUP BY tenant_id").all()) {
+    running[r.tenant_id] = r.n;
+  }
+  return stmt("SELECT DISTINCT tenant_id FROM jobs WHERE status = 'pending'").all()
+    .map((r) => r.tenant_id)
+    .filter((tenantId) => (running[tenantId] || 0) >= tenantConcurrencyLimit(tenantId));
+}
+
+function nextPendingParams(queues = null) {
+  const nowMs = Date.now();
+  return {
+    now: new Date(nowMs).toISOString(),
+    nowSec: Math.floor(nowMs / 1000),
+    full: JSON.stringify(tenantsAtLimit()),
+    queues: queues ? JSON.stringify(queues) : null,
+  };
+}
+
+const leaseNextTx = db.transaction((workerId, leaseMs, queues) => {
+  const params = nextPendingParams(queues);
+  const now = params.now;
+  const next = stmt(NEXT_PENDING_SQL).get(params);
+  if (!next) return null;
+  stmt(
+    'INSERT INTO tenant_leases (tenant_id, last_leased_at) VALUES (?, ?) ON CONFLICT(tenant_id) DO UPDATE SET last_leased_at = excluded.last_leased_at',
+  ).run(next.tenant_id, now);
+  updateRow(next.id, {
+    status: 'running',
+    updated_at: now,
+    leased_at: now,
+    worker_id: workerId || null,
+    lease_token: crypto.randomUUID(),
+    heartbeat_at: now,
+    lease_expires_at: leaseMs ? new Date(Date.parse(now) + leaseMs).toISOString() : null,
+    progress: null,
+    progress_message: null,
+    attempts: startAttempt(next, workerId, now),
+  });
+  return getJob(next.id);
+});
+
+/**
+ * Atomically lease the next job for workerId (see NEXT_PENDING_SQL: priority, per-tenant limits, tenant round-robin).
+ * queues limits it to those queues (null = any); paused queues are always skipped.
+ * The returned job carries a fresh lease_token that completeLease() requires; the lease lasts leaseMs unless renewed
+ * (renewLeases).
+ */
+function leaseNext(workerId, leaseMs, queues = null) {
+  return leaseNextTx.immediate(workerId, leaseMs, queues);
+}
+
+const renewLeasesTx = db.transaction((leases, durationMs) => {
+  const now = Date.now();
+  const held = [];
+  for (const { id, lease_token: token } of leases) {
+    const job = getJob(id);
+    if (!job || job.status !== 'running' || !token || job.lease_token !== token) continue;
+    updateRow(id, renewedLease(job, now, durationMs));
+    held.push(id);
+  }
+  return held;
+});
+
+const releaseLeasesTx = db.transaction((leases) => {
+  const now = new Date().toISOString();
+  const released = [];
+  for (const { id, lease_token: token } of leases) {
+    const job = getJob(id);
+    if (!job || job.status !== 'running' || !token || job.lease_token !== token) continue;
+    updateRow(id, { ...CLEARED_LEASE, ...releasedStatus(job, now, 'released') });
+    released.push(job);
+  }
+  return released;
+});
+
+/**
+ * Give up leases (worker shutdown): each { id, lease_token } still held goes back to pending (or cancelled if a
+ * cancel was requested). Returns the released jobs (pre-release state).
+ */
+function releaseLeases(leases) {
+  if (leases.length === 0) return [];
+  return releaseLeasesTx.immediate(leases);
+}
+
+/**
+ * Heartbeat: for each { id, lease_token } still held, set heartbeat_at = now and push lease_expires_at to at least
+ * now + durationMs. Returns the ids whose lease is still held (others were reclaimed).
+ */
+function renewLeases(leases, durationMs) {
+  if (leases.length === 0) return [];
+  return renewLeasesTx.immediate(leases, durationMs);
+}
+
+/** Record handler progress (0-100 and an optional message) if the job is still running under leaseToken. */
+function reportProgress(id, leaseToken, progress, message) {
+  const sid = sanitizeJobId(id);
+  if (!sid || !leaseToken) return null;
+  const changed = updateRow(
+    sid,
+    { progress, progress_message: message ?? null, updated_at: new Date().toISOString() },
+    "AND status = 'running' AND lease_token = @__token",
+    { __token: leaseToken },
+  );
+  return changed === 0 ? null : getJob(sid);
+}
+
+const completeLeaseTx = db.transaction((sid, leaseToken, updates, dlqItem) => {
+  const changed = updateRow(
+    sid,
+    { lease_token: null, ...updates },
+    "AND status = 'running' AND lease_token = @__token",
+    { __token: leaseToken },
+  );
+  if (changed === 0) return null;
+  if (dlqItem) insertRow('dlq', DLQ_COLUMNS, dlqItem);
+  return getJob(sid);
+});
+
+/**
+ * Finish a lease: apply updates (and optionally append dlqItem) only if the job is still running under leaseToken.
+ * Returns the updated job, or null if the lease was lost (reclaimed as stale and possibly re-leased by another worker).
+ */
+function completeLease(id, leaseToken, updates, dlqItem = null) {
+  const sid = sanitizeJobId(id);
+  if (!sid || !leaseToken) return null;
+  return completeLeaseTx.immediate(sid, leaseToken, updates, dlqItem);
+}
+
+function countByStatus(status) {
+  return stmt('SELECT COUNT(*) AS n FROM jobs WHERE status = ?').get(status).n;
+}
+
+/** { tenantId: { pending, running } } for every tenant with pending or running jobs. */
+function countByTenant() {
+  const counts = Object.create(null); // keyed by tenant id
+  const rows = stmt("SELECT tenant_id, status, COUNT(*) AS n FROM jobs WHERE status IN ('pending', 'running') GROUP BY tenant_id, status").all();
+  for (const r of rows) {
+    const c = counts[r.tenant_id] || (counts[r.tenant_id] = { pending: 0, running: 0 });
+    c[r.status] = r.n;
+  }
+  return counts;
+}
+
+/** { queue: { scheduled, blocked, pending, running } } for every queue with such jobs; optional tenant filter. */
+function countByQueue(tenantId = null) {
+  const counts = Object.create(null); // keyed by queue name
+  const rows = stmt(`SELECT queue, status, COUNT(*) AS n FROM jobs
+    WHERE status IN ('scheduled', 'blocked', 'pending', 'running') AND (@tenantId IS NULL OR tenant_id = @tenantId)
+    GROUP BY queue, status`).all({ tenantId });
+  for (const r of rows) {
+    const c = counts[r.queue] || (counts[r.queue] = { scheduled: 0, blocked: 0, pending: 0, running: 0 });
+    c[r.status] = r.n;
+  }
+  return counts;
+}
+
+/** { queue: paused_at } for every paused queue. */
+function listPausedQueues() {
+  const paused = Object.create(null);
+  for (const r of stmt('SELECT name, paused_at FROM paused_queues').all()) paused[r.name] = r.paused_at;
+  return paused;
+}
+
+/** Stop workers leasing from queue (already-running jobs finish). Returns paused_at (the original one if already paused). */
+function pauseQueue(queue) {
+  stmt('INSERT INTO paused_queues (name, paused_at) VALUES (?, ?) ON CONFLICT(name) DO NOTHING').run(queue, new Date().toISOString());
+  return stmt('SELECT paused_at FROM paused_queues WHERE name = ?').get(queue).paused_at;
+}
+
+/** Let workers lease from queue again. Returns false if it was not paused. */
+function resumeQueue(queue) {
+  return stmt('DELETE FROM paused_queues WHERE name = ?').run(queue).changes > 0;
+}
+
+function countRunningByTenant(tenantId) {
+  if (tenantId == null || typeof tenantId !== 'string' || tenantId.length > MAX_ID_LEN) return 0;
+  return stmt("SELECT COUNT(*) AS n FROM jobs WHERE tenant_id = ? AND status = 'running'").get(tenantId).n;
+}
+
+function findJobByIdempotencyKey(key) {
+  if (key == null || typeof key !== 'string' || key.length > MAX_IDEMPOTENCY_KEY_LEN) return null;
+  return stmt('SELECT * FROM jobs WHERE idempotency_key = ?').get(key) || null;
+}
+
+/**
+ * The job leaseNext would take next: aged priority, then tenant round-robin (see NEXT_PENDING_SQL).
+ * Read-only peek; workers must lease with leaseNext().
+ */
+function getNextPendingJob() {
+  return stmt(NEXT_PENDING_SQL).get(nextPendingParams()) || null;
+}
+
+// --- DLQ
+/** WHERE clause and parameters for a DLQ filter (same semantics as dlqMatches in stores/common.js). */
+function dlqWhere(filter) {
+  const clauses = [];
+  const params = [];
+  if (filter.tenantId) {
+    clauses.push('tenant_id = ?');
+    params.push(filter.tenantId);
+  }
+  if (filter.ids) {
+    clauses.push('id IN (SELECT value FROM json_each(?))');
+    params.push(JSON.stringify(filter.ids));
+  }
+  if (filter.error) {
+    clauses.push("instr(lower(COALESCE(last_error, '')), lower(?)) > 0");
+    params.push(filter.error);
+  }
+  if (filter.since) {
+    clauses.push('failed_at >= ?');
+    params.push(filter.since);
+  }
+  if (filter.until) {
+    clauses.push('failed_at < ?');
+    params.push(filter.until);
+  }
+  if (filter.state === 'open') clauses.push('redriven_at IS NULL');
+  if (filter.state === 'redriven') clauses.push('redriven_at IS NOT NULL');
+  return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/** Items matching filter (see dlqMatches), newest first, paginated when limit is set. Returns { items, total }. */
+function listDlq(filter = {}, limit = null, offset = 0) {
+  const { where, params } = dlqWhere(filter);
+  const total = stmt(`SELECT COUNT(*) AS n FROM dlq ${where}`).get(...params).n;
+  const page = limit == null ? 'LIMIT -1 OFFSET ?' : 'LIMIT ? OFFSET ?';
+  const pageParams = limit == null ? [offset] : [limit, offset];
+  const items = stmt(`SELECT * FROM dlq ${where} ORDER BY failed_at DESC ${page}`).all(...params, ...pageParams);
+  return { items, total };
+}
+
+function addToDlq(item) {
+  insertRow('dlq', DLQ_COLUMNS, item);
+  return item;
+}
+
+function getDlqItem(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return stmt('SELECT * FROM dlq WHERE id = ?').get(sid) || null;
+}
+
+/** DLQ items not yet redriven (redriven items stay listed for history but no longer count). */
+function getDlqCount() {
+  return stmt('SELECT COUNT(*) AS n FROM dlq WHERE redriven_at IS NULL').get().n;
+}
+
+const redriveJobTx = db.transaction((sid, updates) => {
+  if (updateRow(sid, updates, "AND status = 'failed'") === 0) return null;
+  const now = updates.updated_at || new Date().toISOString();
+  stmt('UPDATE dlq SET redriven_at = ? WHERE job_id = ? AND redriven_at IS NULL').run(now, sid);
+  return getJob(sid);
+});
+
+/**
+ * Atomically re-enqueue a failed job: apply updates (status → pending etc.) only if it is still "failed",
+ * and mark its outstanding DLQ items as redriven. Returns the updated job, or null if it is not failed.
+ */
+function redriveJob(id, updates) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return redriveJobTx.immediate(sid, updates);
+}
+
+const redriveDlqTx = db.transaction((filter, updates) => {
+  const { where, params } = dlqWhere({ ...filter, state: 'open' });
+  const jobIds = stmt(`SELECT DISTINCT job_id FROM dlq ${where}`).all(...params).map((r) => r.job_id);
+  const now = updates.updated_at || new Date().toISOString();
+  const redriven = [];
+  for (const jobId of jobIds) {
+    if (updateRow(jobId, updates, "AND status = 'failed'") === 0) continue;
+    stmt('UPDATE dlq SET redriven_at = ? WHERE job_id = ? AND redriven_at IS NULL').run(now, jobId);
+    redriven.push(getJob(jobId));
+  }
+  return redriven;
+});
+
+/**
+ * Atomically redrive every job with an open DLQ item matching filter (redriven items are ignored): apply updates to
+ * each job that is still "failed" and mark all its open DLQ items as redriven. Returns the updated jobs.
+ */
+function redriveDlq(filter, updates) {
+  return redriveDlqTx.immediate(filter, updates);
+}
+
+/** Delete the DLQ items matching filter (their jobs stay "failed"). Returns the number deleted. */
+function deleteDlqItems(filter) {
+  const { where, params } = dlqWhere(filter);
+  return stmt(`DELETE FROM dlq ${where}`).run(...params).changes;
+}
+
+const cancelJobTx = db.transaction((sid) => {
+  const job = getJob(sid);
+  if (!job) return null;
+  const updates = cancelUpdates(job, new Date().toISOString());
+  if (updates) updateRow(sid, updates);
+  return { job: updates ? getJob(sid) : job, previousStatus: job.status };
+});
+
+/**
+ * Atomically cancel a job: scheduled/blocked/pending jobs become "cancelled" at once; running jobs get cancel_requested_at
+ * and are stopped by their worker (see listCancelRequested). Other statuses are left unchanged.
+ * Returns { job, previousStatus }, or null if the job does not exist.
+ */
+function cancelJob(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return cancelJobTx.immediate(sid);
+}
+
+/** Ids (of those given) of running jobs with a pending cancel request; workers poll this for their in-flight jobs. */
+function listCancelRequested(ids) {
+  if (ids.length === 0) return [];
+  return stmt(
+    "SELECT id FROM jobs WHERE status = 'running' AND cancel_requested_at IS NOT NULL AND id IN (SELECT value FROM json_each(?))",
+  )
+    .all(JSON.stringify(ids))
+    .map((r) => r.id);
+}
+
+// --- Batches
+const createBatchTx = db.transaction((batch, jobs) => {
+  const keys = jobs.map((j) => j.idempotency_key).filter(Boolean);
+  const owners = new Map(
+    stmt('SELECT idempotency_key, tenant_id FROM jobs WHERE idempotency_key IN (SELECT value FROM json_each(?))')
+      .all(JSON.stringify(keys))
+      .map((r) => [r.idempotency_key, r.tenant_id]),
+  );
+  const conflict = jobs.findIndex((job) => owners.has(job.idempotency_key) && owners.get(job.idempotency_key) !== job.tenant_id);
+  if (conflict !== -1) return { conflict };
+  const results = jobs.map((job) => createJobIfAbsent(job));
+  const row = { ...batch, total: results.length, job_ids: JSON.stringify(results.map((r) => r.job.id)) };
+  insertRow('batches', BATCH_COLUMNS, row);
+  return { batch: row, results };
+});
+
+/**
+ * Atomically insert a batch ({ id, name, tenant_id, created_at }) and its jobs. A job whose idempotency_key is
+ * already taken (also by an earlier job of the same batch) is not inserted; the existing job takes its place.
+ * Sets batch.total and batch.job_ids (JSON, in item order). Returns { batch, results: [{ job, created }] }, or
+ * { conflict: index } without writing anything if job `index` has a key used by another tenant's job.
+ */
+function createBatch(batch, jobs) {
+  return createBatchTx.immediate(batch, jobs);
+}
+
+function getBatch(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return stmt('SELECT * FROM batches WHERE id = ?').get(sid) || null;
+}
+
+/** A batch's jobs in item order (jobs deleted since are left out). */
+function listBatchJobs(batch) {
+  const ids = parseIdList(batch.job_ids);
+  const byId = new Map(stmt('SELECT * FROM jobs WHERE id IN (SELECT value FROM json_each(?))').all(JSON.stringify(ids)).map((j) => [j.id, j]));
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+}
+
+// --- Workflows
+const createWorkflowTx = db.transaction((workflow, jobs) => {
+  insertRow('workflows', WORKFLOW_COLUMNS, workflow);
+  for (const job of jobs) insertRow('jobs', JOB_COLUMNS, job);
+});
+
+/** Atomically insert a workflow ({ id, name, tenant_id, on_failure, created_at }) and its jobs. */
+function createWorkflow(workflow, jobs) {
+  createWorkflowTx.immediate(workflow, jobs);
+  return workflow;
+}
+
+function getWorkflow(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return stmt('SELECT * FROM workflows WHERE id = ?').get(sid) || null;
+}
+
+/** Newest first; optionally one tenant's. */
+function listWorkflows(tenantId = null, limit = 100) {
+  if (tenantId) return stmt('SELECT * FROM workflows WHERE tenant_id = ? ORDER BY created_at DESC LIMIT ?').all(tenantId, limit);
+  return stmt('SELECT * FROM workflows ORDER BY created_at DESC LIMIT ?').all(limit);
+}
+
+/** A workflow's jobs in creation (topological) order. */
+function listWorkflowJobs(workflowId) {
+  return stmt('SELECT * FROM jobs WHERE workflow_id = ? ORDER BY rowid').all(workflowId);
+}
+
+const advanceWorkflowsTx = db.transaction(() => {
+  const ids = stmt("SELECT DISTINCT workflow_id FROM jobs WHERE status = 'blocked' AND workflow_id IS NOT NULL").all().map((r) => r.workflow_id);
+  if (ids.length === 0) return [];
+  const list = JSON.stringify(ids);
+  const jobs = stmt('SELECT * FROM jobs WHERE workflow_id IN (SELECT value FROM json_each(?))').all(list);
+  const onFailure = Object.fromEntries(
+    stmt('SELECT id, on_failure FROM workflows WHERE id IN (SELECT value FROM json_each(?))').all(list).map((w) => [w.id, w.on_failure]),
+  );
+  const changes = workflowTransitions(jobs, onFailure, new Date().toISOString());
+  for (const { id, updates } of changes) updateRow(id, updates, "AND status = 'blocked'");
+  return changes.map(({ id }) => getJob(id));
+});
+
+/**
+ * Atomically move blocked workflow jobs on: pending once all parents are done, cancelled / skipped (on_failure) when
+ * a parent failed, was cancelled or skipped (see workflowTransitions). Returns the changed jobs.
+ */
+function advanceWorkflows() {
+  return advanceWorkflowsTx.immediate();
+}
+
+// --- Cron schedules
+function listSchedules() {
+  return stmt('SELECT * FROM schedules ORDER BY created_at').all();
+}
+
+function getSchedule(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return stmt('SELECT * FROM schedules WHERE id = ?').get(sid) || null;
+}
+
+function createSchedule(schedule) {
+  insertRow('schedules', SCHEDULE_COLUMNS, schedule);
+  return schedule;
+}
+
+function updateSchedule(id, updates) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  if (updateTableRow('schedules', SCHEDULE_COLUMNS, sid, updates) === 0) return null;
+  return getSchedule(sid);
+}
+
+/** Returns true if a schedule was deleted. */
+function deleteSchedule(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return false;
+  return stmt('DELETE FROM schedules WHERE id = ?').run(sid).changes > 0;
+}
+
+// --- Job logs (handler log lines and failure stacks, per job and attempt)
+const appendJobLogsTx = db.transaction((lines) => {
+  stmt('DELETE FROM job_logs WHERE ts < ?').run(new Date(Date.now() - JOB_LOG_RETENTION_MS).toISOString());
+  for (const line of lines) insertRow('job_logs', JOB_LOG_COLUMNS, line);
+});
+
+/** Append log lines ({ job_id, tenant_id, attempt, ts, level, message }); prunes lines past retention. */
+function appendJobLogs(lines) {
+  if (lines.length === 0) return;
+  appendJobLogsTx.immediate(lines);
+}
+
+/** A job's log lines in the order written, optionally one attempt: { logs, total }. */
+function listJobLogs(jobId, { limit = 100, offset = 0, attempt = null } = {}) {
+  const sid = sanitizeJobId(jobId);
+  if (!sid) return { logs: [], total: 0 };
+  const where = attempt == null ? 'job_id = @jobId' : 'job_id = @jobId AND attempt = @attempt';
+  const params = { jobId: sid, attempt, limit, offset };
+  const logs = stmt(`SELECT job_id, tenant_id, attempt, ts, level, message FROM job_logs WHERE ${where} ORDER BY id LIMIT @limit OFFSET @offset`).all(params);
+  const { n } = stmt(`SELECT COUNT(*) AS n FROM job_logs WHERE ${where}`).get(params);
+  return { logs, total: n };
+}
+
+/** All log lines in the order written (used by the JSON → SQLite migration). */
+function getJobLogs() {
+  return stmt('SELECT job_id, tenant_id, attempt, ts, level, message FROM job_logs ORDER BY id').all();
+}
+
+/** Replace all log lines (used by the JSON → SQLite migration). */
+const setJobLogs = db.transaction((lines) => {
+  stmt('DELETE FROM job_logs').run();
+  for (const line of lines) insertRow('job_logs', JOB_LOG_COLUMNS, line);
+});
+
+// --- API keys (only the SHA-256 hash of each key is stored)
+function listApiKeys() {
+  return stmt('SELECT * FROM api_keys ORDER BY created_at').all();
+}
+
+function findApiKeyByHash(keyHash) {
+  if (typeof keyHash !== 'string') return null;
+  return stmt('SELECT * FROM api_keys WHERE key_hash = ?').get(keyHash) || null;
+}
+
+/** Number of keys not revoked. */
+function countApiKeys() {
+  return stmt('SELECT COUNT(*) AS n FROM api_keys WHERE revoked_at IS NULL').get().n;
+}
+
+function createApiKey(key) {
+  insertRow('api_keys', API_KEY_COLUMNS, key);
+  return key;
+}
+
+/** Mark a key revoked. Returns the key, or null if unknown. */
+function revokeApiKey(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  stmt('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(new Date().toISOString(), sid);
+  return stmt('SELECT * FROM api_keys WHERE id = ?').get(sid) || null;
+}
+
+// --- Worker registry
+const upsertWorkerTx = db.transaction((worker) => {
+  stmt('DELETE FROM workers WHERE id != ? AND heartbeat_at < ?').run(worker.id, new Date(Date.now() - WORKER_RETENTION_MS).toISOString());
+  if (updateTableRow('workers', WORKER_COLUMNS, worker.id, worker) === 0) insertRow('workers', WORKER_COLUMNS, worker);
+  return getWorker(worker.id);
+});
+
+/**
+ * Insert or update a worker row ({ id, hostname, pid, started_at, heartbeat_at, concurrency, in_flight, state }),
+ * keeping fields set by the API (drain_requested_at). Returns the merged row. Prunes long-dead workers.
+ */
+function upsertWorker(worker) {
+  return upsertWorkerTx.immediate(worker);
+}
+
+function getWorker(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return stmt('SELECT * FROM workers WHERE id = ?').get(sid) || null;
+}
+
+/** Merge updates into a worker row (e.g. drain_requested_at). Returns the row, or null if unknown. */
+function updateWorker(id, updates) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  if (updateTableRow('workers', WORKER_COLUMNS, sid, updates) === 0) return null;
+  return getWorker(sid);
+}
+
+/** Drop a worker from the registry (clean shutdown). */
+function removeWorker(id) {
+  return stmt('DELETE FROM workers WHERE id = ?').run(id).changes > 0;
+}
+
+/** Workers with a heartbeat at or after sinceIso, most recent first. */
+function listWorkers(sinceIso) {
+  return stmt('SELECT * FROM workers WHERE heartbeat_at >= ? ORDER BY heartbeat_at DESC').all(sinceIso);
+}
+
+// --- Webhooks (tenant subscriptions and the delivery queue / log)
+/** Subscriptions, oldest first; optionally one tenant's. */
+function listWebhooks(tenantId = null) {
+  if (tenantId) return stmt('SELECT * FROM webhooks WHERE tenant_id = ? ORDER BY created_at').all(tenantId);
+  return stmt('SELECT * FROM webhooks ORDER BY created_at').all();
+}
+
+function getWebhook(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return null;
+  return stmt('SELECT * FROM webhooks WHERE id = ?').get(sid) || null;
+}
+
+function createWebhook(webhook) {
+  insertRow('webhooks', WEBHOOK_COLUMNS, webhook);
+  return webhook;
+}
+
+/** Returns true if a subscription was deleted. Its queued deliveries fail when they are next attempted. */
+function deleteWebhook(id) {
+  const sid = sanitizeJobId(id);
+  if (!sid) return false;
+  return stmt('DELETE FROM webhooks WHERE id = ?').run(sid).changes > 0;
+}
+
+const createWebhookDeliveriesTx = db.transaction((deliveries) => {
+  stmt('DELETE FROM webhook_deliveries WHERE created_at < ?').run(new Date(Date.now() - WEBHOOK_DELIVERY_RETENTION_MS).toISOString());
+  for (const delivery of deliveries) insertRow('webhook_deliveries', WEBHOOK_DELIVERY_COLUMNS, delivery);
+});
+
+/** Queue deliveries ({ id, job_id, webhook_id, url, event, body, status: 'pending', next_attempt_at, ... }); prunes old ones. */
+function createWebhookDeliveries(deliveries) {
+  if (deliveries.length === 0) return;
+  createWebhookDeliveriesTx.immediate(deliveries);
+}
+
+const claimWebhookDeliveriesTx = db.transaction((limit, leaseMs) => {
+  const now = Date.now();
+  const due = stmt("SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?")
+    .all(new Date(now).toISOString(), limit);
+  const leasedUntil = new Date(now + leaseMs).toISOString();
+  for (const d of due) {
+    stmt('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?').run(leasedUntil, d.id);
+    d.next_attempt_at = leasedUntil;
+  }
+  return due;
+});
+
+/**
+ * Atomically claim up to `limit` pending deliveries that are due, oldest first, by pushing their next_attempt_at
+ * leaseMs ahead (so no other worker sends them meanwhile; if this one dies they are retried after that).
+ */
+function claimWebhookDeliveries(limit, leaseMs) {
+  return claimWebhookDeliveriesTx.immediate(limit, leaseMs);
+}
+
+/** Merge updates into a delivery. Returns the delivery, or null if unknown (e.g. pruned). */
+function updateWebhookDelivery(id, updates) {
+  if (updateTableRow('webhook_deliveries', WEBHOOK_DELIVERY_COLUMNS, id, updates) === 0) return null;
+  return stmt('SELECT * FROM webhook_deliveries WHERE id = ?').get(id) || null;
+}
+
+/** A job's deliveries, oldest first. */
+function listWebhookDeliveries(jobId) {
+  const sid = sanitizeJobId(jobId);
+  if (!sid) return [];
+  return stmt('SELECT * FROM webhook_deliveries WHERE job_id = ? ORDER BY created_at').all(sid);
+}
+
+// --- Metrics (lifetime counters in the metrics table)
+function getMetrics() {
+  const m = {};
+  for (const name of METRIC_NAMES) m[name] = 0;
+  for (const row of stmt('SELECT name, value FROM metrics').all()) {
+    if (Object.prototype.hasOwnProperty.call(m, row.name)) m[row.name] = Number(row.value) || 0;
+  }
+  return m;
+}
+
+/** Overwrite all counters (used by the JSON → SQLite migration). */
+const setMetrics = db.transaction((metrics) => {
+  for (const name of METRIC_NAMES) {
+    stmt('INSERT INTO metrics (name, value) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET value = excluded.value')
+      .run(name, Number(metrics?.[name]) || 0);
+  }
+});
+
+const addMetricSeriesTx = db.transaction((updates) => {
+  for (const { name, labels, value } of updates) {
+    stmt('INSERT INTO metric_series (name, labels, value) VALUES (?, ?, ?) ON CONFLICT(name, labels) DO UPDATE SET value = value + excluded.value')
+      .run(name, metricLabels(labels), Number(value) || 0);
+  }
+});
+
+/** Apply increments [{ name, labels, value }] to the labelled series (metric_series; labels as sorted JSON). */
+function addMetricSeries(updates) {
+  addMetricSeriesTx.immediate(updates);
+}
+
+const incrementMetricTx = db.transaction((name, tenantId, type, count) => {
+  stmt('INSERT INTO metrics (name, value) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET value = value + excluded.value').run(name, count);
+  if (tenantId) addMetricSeries([{ name, labels: { tenant: tenantId, type }, value: count }]);
+  addMetricHistory({ [HISTORY_COUNTERS[name]]: count });
+  return getMetrics();
+});
+
+/**
+ * Increment counter `name` by `count` and, if tenantId is given, its series labelled { tenant, type }. Also counted in
+ * the current minute of the metrics history.
+ */
+function incrementMetric(name, tenantId, type, count = 1) {
+  return incrementMetricTx.immediate(name, tenantId, type, count);
+}
+
+/** `count` > 1 records several jobs of one type in a single write (POST /jobs/batch). */
+function incrementJobSubmitted(tenantId, type, count = 1) {
+  return incrementMetric('jobs_submitted', tenantId, type, count);
+}
+
+function incrementJobDone(tenantId, type) {
+  return incrementMetric('jobs_done', tenantId, type);
+}
+
+function incrementJobFailed(tenantId, type) {
+  return incrementMetric('jobs_failed', tenantId, type);
+}
+
+function incrementRetries(tenantId, type) {
+  return incrementMetric('retries', tenantId, type);
+}
+
+/** Labelled series [{ name, labels, value }] (counters by tenant/type, histogram buckets). */
+function getMetricSeries() {
+  return stmt('SELECT name, labels, value FROM metric_series ORDER BY name, labels').all()
+    .map((row) => ({ name: row.name, labels: JSON.parse(row.labels), value: row.value }));
+}
+
+/** Replace all labelled series (used by the JSON → SQLite migration). */
+const setMetricSeries = db.transaction((series) => {
+  stmt('DELETE FROM metric_series').run();
+  addMetricSeries(series);
+});
+
+// --- Metrics history (metric_history: one row per minute for the last 24h; wait/run bucket counts as JSON)
+function rowToHistory(row) {
+  return { ...row, wait: JSON.parse(row.wait), run: JSON.parse(row.run) };
+}
+
+function writeHistoryRow(row) {
+  stmt(`INSERT OR REPLACE INTO metric_history (minute, submitted, done, failed, retried, pending, running, wait, run)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+    .run(row.minute, row.submitted, row.done, row.failed, row.retried, row.pending, row.running, JSON.stringify(row.wait), JSON.stringify(row.run));
+}
+
+const addMetricHistoryTx = db.transaction((fields, atMs) => {
+  const minute = historyMinute(atMs);
+  const existing = stmt('SELECT * FROM metric_history WHERE minute = ?').get(minute);
+  writeHistoryRow(applyHistory(existing ? rowToHistory(existing) : emptyHistoryRow(minute), fields));
+  if (!existing) stmt('DELETE FROM metric_history WHERE minute < ?').run(historyMinute(atMs - METRIC_HISTORY_RETENTION_MS));
+});
+
+/**
+ * Record `fields` ({ submitted, done, failed, retried, pending, running, wait_seconds, run_seconds }, see
+ * applyHistory) in the minute containing atMs; prunes minutes past retention.
+ */
+function addMetricHistory(fields, atMs = Date.now()) {
+  addMetricHistoryTx.immediate(fields, atMs);
+}
+
+/** History rows from sinceIso on, oldest first. */
+function listMetricHistory(sinceIso) {
+  return stmt('SELECT * FROM metric_history WHERE minute >= ? ORDER BY minute').all(sinceIso).map(rowToHistory);
+}
+
+/** Replace all history rows (used by the JSON → SQLite migration). */
+const setMetricHistory = db.transaction((rows) => {
+  stmt('DELETE FROM metric_history').run();
+  for (const row of rows) writeHistoryRow(row);
+});
+
+// --- Rate limit (one row per submission; rows older than the window are pruned on insert)
+const RATE_LIMIT_WINDOW_SEC = 60;
+
+/** Returns true if tenant has fewer than maxPerMinute submissions in the last 60 seconds. */
+function canSubmitJob(tenantId, maxPerMinute) {
+  if (!tenantId || typeof tenantId !== 'string' || tenantId.length > MAX_ID_LEN) return true;
+  const since = Math.floor(Date.now() / 1000) - RATE_LIMIT_WINDOW_SEC;
+  return stmt('SELECT COUNT(*) AS n FROM rate_limit WHERE tenant_id = ? AND ts > ?').get(tenantId, since).n < maxPerMinute;
+}
+
+const addRateLimitTimestampTx = db.transaction((tenantId, now) => {
+  stmt('DELETE FROM rate_limit WHERE tenant_id = ? AND ts <= ?').run(tenantId, now - RATE_LIMIT_WINDOW_SEC);
+  stmt('INSERT INTO rate_limit (tenant_id, ts) VALUES (?, ?)').run(tenantId, now);
+});
+
+/** Record a new job submission for tenant (call after canSubmitJob returns true). */
+function addRateLimitTimestamp(tenantId) {
+  if (!tenantId || typeof tenantId !== 'string' || tenantId.length > MAX_ID_LEN) return;
+  addRateLimitTimestampTx.immediate(tenantId, Math.floor(Date.now() / 1000));
+}
+
+/** Jobs the tenant submitted in batches during the last 60 seconds. */
+function countBatchJobs(tenantId) {
+  const since = Math.floor(Date.now() / 1000) - RATE_LIMIT_WINDOW_SEC;
+  return stmt('SELECT COALESCE(SUM(jobs), 0) AS n FROM batch_quota WHERE tenant_id = ? AND ts > ?').get(tenantId, since).n;
+}
+
+const addBatchJobsTx = db.transaction((tenantId, now, count) => {
+  stmt('DELETE FROM batch_quota WHERE tenant_id = ? AND ts <= ?').run(tenantId, now - RATE_LIMIT_WINDOW_SEC);
+  stmt('INSERT INTO batch_quota (tenant_id, ts, jobs) VALUES (?, ?, ?)').run(tenantId, now, count);
+});
+
+/** Record `count` jobs submitted in a batch for the tenant (after countBatchJobs left room for them). */
+function addBatchJobs(tenantId, count) {
+  if (!tenantId || typeof tenantId !== 'string' || tenantId.length > MAX_ID_LEN) return;
+  addBatchJobsTx.immediate(tenantId, Math.floor(Date.now() / 1000), count);
+}
+
+module.exports = {
+  BACKEND: 'sqlite',
+  getData,
+  setData,
+  getJob,
+  getJobs,
+  createJob,
+  createJobIfAbsent,
+  updateJob,
+  countByStatus,
+  countRunningByTenant,
+  countByTenant,
+  countByQueue,
+  listPausedQueues,
+  pauseQueue,
+  resumeQueue,
+  findJobByIdempotencyKey,
+  getNextPendingJob,
+  getStaleRunningJobs,
+  releaseStaleJob,
+  releaseStaleLeases,
+  promoteDueJobs,
+  leaseNext,
+  completeLease,
+  listDlq,
+  addToDlq,
+  getDlqItem,
+  getDlqCount,
+  redriveJob,
+  redriveDlq,
+  deleteDlqItems,
+  cancelJob,
+  listCancelRequested,
+  createBatch,
+  getBatch,
+  listBatchJobs,
+  createWorkflow,
+  getWorkflow,
+  listWorkflows,
+  listWorkflowJobs,
+  advanceWorkflows,
+  parseIdList,
+  renewLeases,
+  releaseLeases,
+  reportProgress,
+  appendJobLogs,
+  listJobLogs,
+  getJobLogs,
+  setJobLogs,
+  upsertWorker,
+  getWorker,
+  updateWorker,
+  removeWorker,
+  listWorkers,
+  sanitizeJobId,
+  parseAttempts,
+  finishAttempt,
+  DEFAULT_QUEUE,
+  MIN_PRIORITY,
+  MAX_PRIORITY,
+  getMetrics,
+  setMetrics,
+  incrementJobSubmitted,
+  incrementJobDone,
+  incrementJobFailed,
+  incrementRetries,
+  getMetricSeries,
+  addMetricSeries,
+  setMetricSeries,
+  addMetricHistory,
+  listMetricHistory,
+  setMetricHistory,
+  LATENCY_BOUNDS,
+  canSubmitJob,
+  addRateLimitTimestamp,
+  countBatchJobs,
+  addBatchJobs,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listApiKeys,
+  findApiKeyByHash,
+  countApiKeys,
+  createApiKey,
+  revokeApiKey,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  deleteWebhook,
+  createWebhookDeliveries,
+  claimWebhookDeliveries,
+  updateWebhookDelivery,
+  listWebhookDeliveries,
+  DATA_FILE,
+};
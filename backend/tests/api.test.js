@@ -28,7 +28,7 @@ function request(method, path, body = null, headers = {}) {
             const json = data ? JSON.parse(data) : null;
             resolve({ status: res.statusCode, headers: res.headers, data: json });
           } catch {
-            resolve({ status: res.statusCode, data });
+            resolve({ status: res.statusCode, headers: res.headers, data });
           }
         });
       }
@@ -51,10 +51,76 @@ describe('Job API', () => {
     assert.strictEqual(create.status, 201);
     assert.ok(create.data?.id);
     assert.strictEqual(create.data?.status, 'pending');
+    assert.strictEqual(create.data?.type, 'text');
 
     const get = await request('GET', `/jobs/${create.data.id}`);
     assert.strictEqual(get.status, 200);
     assert.strictEqual(get.data?.status, create.data.status);
+    assert.strictEqual(get.data?.progress, null); // set by the handler once the job runs
+  });
+
+  it('POST /jobs rejects unknown job type and invalid payload with 400', async () => {
+    const unknown = await request('POST', '/jobs', { type: 'no-such-type', payload: {} });
+    assert.strictEqual(unknown.status, 400);
+    assert.match(unknown.data?.error, /Unknown job type/);
+
+    const invalid = await request('POST', '/jobs', { type: 'text', payload: { text: 42 } });
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  it('POST /jobs with delay_seconds creates a scheduled job listed under status=scheduled', async () => {
+    const create = await request('POST', '/jobs', { text: 'later', delay_seconds: 3600 });
+    assert.strictEqual(create.status, 201);
+    assert.strictEqual(create.data?.status, 'scheduled');
+    assert.ok(Date.parse(create.data.run_at) > Date.now());
+
+    const list = await request('GET', '/jobs?status=scheduled');
+    assert.ok(list.data.jobs.some((j) => j.id === create.data.id));
+
+    const both = await request('POST', '/jobs', { text: 'x', delay_seconds: 1, run_at: new Date().toISOString() });
+    assert.strictEqual(both.status, 400);
+  });
+
+  it('POST /jobs accepts a per-job backoff override and rejects an invalid one', async () => {
+    const backoff = { policy: 'fixed', base_seconds: 5, jitter: false };
+    const create = await request('POST', '/jobs', { text: 'backoff', backoff });
+    assert.strictEqual(create.status, 201);
+    assert.deepStrictEqual(create.data?.backoff, backoff);
+    assert.strictEqual(create.data.next_attempt_at, null);
+
+    const invalid = await request('POST', '/jobs', { text: 'backoff', backoff: { policy: 'random' } });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.data?.error, /backoff\.policy/);
+  });
+
+  it('POST /jobs accepts priority; GET /jobs filters and sorts by it', async () => {
+    const create = await request('POST', '/jobs', { text: 'urgent', priority: 7 });
+    assert.strictEqual(create.status, 201);
+    assert.strictEqual(create.data?.priority, 7);
+
+    const filtered = await request('GET', '/jobs?priority=7');
+    assert.ok(filtered.data.jobs.every((j) => j.priority === 7));
+    assert.ok(filtered.data.jobs.some((j) => j.id === create.data.id));
+
+    const sorted = await request('GET', '/jobs?sort=priority');
+    assert.strictEqual(sorted.data.jobs[0].priority, 7);
+
+    const invalid = await request('POST', '/jobs', { text: 'x', priority: 1.5 });
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  it('POST /jobs accepts timeout_seconds up to the configured maximum', async () => {
+    const headers = { 'X-Tenant-Id': 'timeouts-' + Date.now() };
+    const create = await request('POST', '/jobs', { text: 'bounded', timeout_seconds: 5 }, headers);
+    assert.strictEqual(create.status, 201);
+    assert.strictEqual(create.data?.timeout_seconds, 5);
+
+    const defaulted = await request('POST', '/jobs', { text: 'default timeout' }, headers);
+    assert.ok(defaulted.data?.timeout_seconds > 0);
+
+    const tooLong = await request('POST', '/jobs', { text: 'x', timeout_seconds: 10 ** 9 }, headers);
+    assert.strictEqual(tooLong.status, 400);
+    assert.match(tooLong.data?.error, /timeout_seconds/);
   });
 
   it('idempotency key returns same job on duplicate submit', async () => {
@@ -68,6 +134,267 @@ describe('Job API', () => {
     assert.strictEqual(second.data.id, id);
   });
 
+  it('concurrent submits with one idempotency key create one job; another tenant gets 409', async () => {
+    const key = 'idem-race-' + Date.now();
+    const headers = { 'Idempotency-Key': key, 'X-Tenant-Id': 'race-' + Date.now() };
+    const results = await Promise.all([1, 2, 3, 4].map(() => request('POST', '/jobs', { text: 'race' }, headers)));
+    assert.deepStrictEqual(results.map((r) => r.status).sort(), [200, 200, 200, 201]);
+    assert.strictEqual(new Set(results.map((r) => r.data.id)).size, 1);
+
+    const other = await request('POST', '/jobs', { text: 'race' }, { 'Idempotency-Key': key, 'X-Tenant-Id': 'other-' + Date.now() });
+    assert.strictEqual(other.status, 409);
+  });
+
+  it('POST /jobs/:id/retry returns 404 for unknown id and 409 for a job that has not failed', async () => {
+    const missing = await request('POST', '/jobs/no-such-job/retry');
+    assert.strictEqual(missing.status, 404);
+
+    const create = await request('POST', '/jobs', { text: 'retry me' });
+    const retry = await request('POST', `/jobs/${create.data.id}/retry`);
+    assert.strictEqual(retry.status, 409);
+  });
+
+  it('GET /jobs/:id/logs pages through a job\'s log lines and 404s for unknown jobs', async () => {
+    const create = await request('POST', '/jobs', { text: 'logged', delay_seconds: 3600 }, { 'X-Tenant-Id': 'logs-' + Date.now() });
+    const logs = await request('GET', `/jobs/${create.data.id}/logs?limit=10`);
+    assert.strictEqual(logs.status, 200);
+    assert.deepStrictEqual(logs.data?.logs, []); // nothing until a worker runs it
+    assert.strictEqual(logs.data.total, 0);
+    assert.strictEqual(logs.data.limit, 10);
+
+    const missing = await request('GET', '/jobs/no-such-job/logs');
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('GET /jobs/:id/attempts is empty until the job is leased', async () => {
+    const create = await request('POST', '/jobs', { text: 'attempted', delay_seconds: 3600 }, { 'X-Tenant-Id': 'attempts-' + Date.now() });
+    const res = await request('GET', `/jobs/${create.data.id}/attempts`);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.data?.attempts, []);
+
+    const missing = await request('GET', '/jobs/no-such-job/attempts');
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('POST /jobs/:id/cancel cancels a pending job and rejects a second cancel with 409', async () => {
+    const create = await request('POST', '/jobs', { text: 'cancel me', delay_seconds: 3600 });
+    const cancel = await request('POST', `/jobs/${create.data.id}/cancel`);
+    assert.strictEqual(cancel.status, 200);
+    assert.strictEqual(cancel.data?.status, 'cancelled');
+
+    const again = await request('POST', `/jobs/${create.data.id}/cancel`);
+    assert.strictEqual(again.status, 409);
+
+    const list = await request('GET', '/jobs?status=cancelled');
+    assert.ok(list.data.jobs.some((j) => j.id === create.data.id));
+    const metrics = await request('GET', '/metrics');
+    assert.ok(metrics.data?.cancelled >= 1);
+  });
+
+  it('POST /schedules validates cron; pause, resume and delete a schedule', async () => {
+    const invalid = await request('POST', '/schedules', { cron: '61 * * * *', text: 'x' });
+    assert.strictEqual(invalid.status, 400);
+
+    const create = await request('POST', '/schedules', { name: 'every-minute', cron: '* * * * *', text: 'tick' });
+    assert.strictEqual(create.status, 201);
+    assert.strictEqual(create.data?.status, 'active');
+    assert.ok(Date.parse(create.data.next_fire_at) > Date.now());
+    const id = create.data.id;
+
+    const paused = await request('POST', `/schedules/${id}/pause`);
+    assert.strictEqual(paused.data?.status, 'paused');
+    const resumed = await request('POST', `/schedules/${id}/resume`);
+    assert.strictEqual(resumed.data?.status, 'active');
+
+    const list = await request('GET', '/schedules');
+    assert.ok(list.data.schedules.some((s) => s.id === id));
+
+    const del = await request('DELETE', `/schedules/${id}`);
+    assert.strictEqual(del.status, 204);
+    const gone = await request('GET', `/schedules/${id}`);
+    assert.strictEqual(gone.status, 404);
+  });
+
+  it('POST /jobs validates callback_url; webhook subscriptions can be created, listed and deleted', async () => {
+    const tenant = { 'X-Tenant-Id': 'hooks-' + Date.now() };
+    const badUrl = await request('POST', '/jobs', { text: 'x', callback_url: 'ftp://example.com/hook' }, tenant);
+    assert.strictEqual(badUrl.status, 400);
+    const job = await request('POST', '/jobs', { text: 'x', delay_seconds: 3600, callback_url: 'http://127.0.0.1:9/hook' }, tenant);
+    if (job.status === 400) {
+      // API started without WEBHOOK_SECRET: callbacks could not be signed, so callback_url is refused
+      assert.match(job.data?.error, /WEBHOOK_SECRET/);
+    } else {
+      assert.strictEqual(job.status, 201);
+      assert.strictEqual(job.data?.callback_url, 'http://127.0.0.1:9/hook');
+      const deliveries = await request('GET', `/jobs/${job.data.id}/webhooks`, null, tenant);
+      assert.deepStrictEqual(deliveries.data?.deliveries, []);
+    }
+
+    const badEvents = await request('POST', '/webhooks', { url: 'https://example.com/hook', events: ['started'] }, tenant);
+    assert.strictEqual(badEvents.status, 400);
+    const create = await request('POST', '/webhooks', { url: 'https://example.com/hook', events: ['done', 'dead_lettered'] }, tenant);
+    assert.strictEqual(create.status, 201);
+    assert.match(create.data?.secret, /^whsec_/);
+    assert.deepStrictEqual(create.data.events, ['done', 'dead_lettered']);
+
+    const list = await request('GET', '/webhooks', null, tenant);
+    const listed = list.data.webhooks.find((w) => w.id === create.data.id);
+    assert.strictEqual(listed?.tenant_id, tenant['X-Tenant-Id']);
+    assert.strictEqual(listed.secret, undefined);
+
+    const del = await request('DELETE', `/webhooks/${create.data.id}`, null, tenant);
+    assert.strictEqual(del.status, 204);
+    const again = await request('DELETE', `/webhooks/${create.data.id}`, null, tenant);
+    assert.strictEqual(again.status, 404);
+  });
+
+  it('POST /jobs/batch creates jobs in one call outside the per-request limit; GET /batches/:id summarizes them', async () => {
+    const tenant = { 'X-Tenant-Id': 'batch-' + Date.now() };
+    const invalid = await request('POST', '/jobs/batch', { jobs: [{ text: 'ok' }, { type: 'no-such-type' }] }, tenant);
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.data?.error, /^jobs\[1\]: /);
+    const empty = await request('POST', '/jobs/batch', { jobs: [] }, tenant);
+    assert.strictEqual(empty.status, 400);
+
+    const key = 'batch-key-' + Date.now();
+    const items = Array.from({ length: 14 }, (_, i) => ({ text: `item ${i}`, delay_seconds: 3600 }));
+    items.push({ text: 'keyed', delay_seconds: 3600, idempotency_key: key }, { text: 'keyed again', idempotency_key: key });
+    const create = await request('POST', '/jobs/batch', { name: 'import', jobs: items }, tenant);
+    assert.strictEqual(create.status, 201);
+    assert.ok(create.data?.batch_id);
+    assert.strictEqual(create.data.total, 16);
+    assert.strictEqual(create.data.created, 15);
+    assert.strictEqual(create.data.jobs[15].id, create.data.jobs[14].id);
+    assert.strictEqual(create.data.jobs[15].created, false);
+
+    const job = await request('GET', `/jobs/${create.data.jobs[0].id}`, null, tenant);
+    assert.strictEqual(job.data?.batch_id, create.data.batch_id);
+    const cancel = await request('POST', `/jobs/${create.data.jobs[0].id}/cancel`, null, tenant);
+    assert.strictEqual(cancel.status, 200);
+
+    const summary = await request('GET', `/batches/${create.data.batch_id}`, null, tenant);
+    assert.strictEqual(summary.status, 200);
+    assert.strictEqual(summary.data.name, 'import');
+    assert.deepStrictEqual(summary.data.counts, { cancelled: 1, scheduled: 15 });
+    assert.strictEqual(summary.data.finished, 1);
+    assert.strictEqual(summary.data.completion_percent, 6.3);
+    assert.deepStrictEqual(summary.data.failures, []);
+
+    const replay = await request('POST', '/jobs/batch', { jobs: [{ text: 'keyed', idempotency_key: key }] }, { 'X-Tenant-Id': 'other-' + Date.now() });
+    assert.strictEqual(replay.status, 409);
+    const missing = await request('GET', '/batches/does-not-exist');
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('GET /dlq paginates and filters; bulk actions need a filter; export and delete', async () => {
+    const tenant = 'dlq-' + Date.now();
+    const list = await request('GET', `/dlq?tenant_id=${tenant}&error=timeout&limit=5`);
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.data, { items: [], total: 0, limit: 5, offset: 0 });
+    const badTime = await request('GET', '/dlq?since=yesterday');
+    assert.strictEqual(badTime.status, 400);
+    const badState = await request('GET', '/dlq?state=gone');
+    assert.strictEqual(badState.status, 400);
+
+    const unfiltered = await request('POST', '/dlq/purge', {});
+    assert.strictEqual(unfiltered.status, 400);
+    const purge = await request('POST', '/dlq/purge', { tenant_id: tenant, until: new Date().toISOString() });
+    assert.deepStrictEqual([purge.status, purge.data], [200, { deleted: 0 }]);
+    const redrive = await request('POST', '/dlq/redrive', { tenant_id: tenant });
+    assert.deepStrictEqual([redrive.status, redrive.data], [200, { redriven: 0, job_ids: [] }]);
+    const badIds = await request('POST', '/dlq/redrive', { ids: [] });
+    assert.strictEqual(badIds.status, 400);
+
+    const csv = await request('GET', `/dlq/export?tenant_id=${tenant}`);
+    assert.strictEqual(csv.status, 200);
+    assert.match(csv.headers['content-type'], /text\/csv/);
+    assert.match(csv.headers['content-disposition'], /attachment; filename="dlq-.*\.csv"/);
+    assert.strictEqual(csv.data, 'id,job_id,tenant_id,type,failed_at,retries,last_error,redriven_at,payload\r\n');
+    const ndjson = await request('GET', `/dlq/export?tenant_id=${tenant}&format=ndjson`);
+    assert.strictEqual(ndjson.status, 200);
+    assert.match(ndjson.headers['content-type'], /application\/x-ndjson/);
+    const badFormat = await request('GET', '/dlq/export?format=xml');
+    assert.strictEqual(badFormat.status, 400);
+
+    const missing = await request('DELETE', '/dlq/does-not-exist');
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('POST /workflows validates the graph; dependent jobs stay blocked and can be cancelled', async () => {
+    const tenant = { 'X-Tenant-Id': 'workflow-' + Date.now() };
+    const cycle = await request('POST', '/workflows', {
+      jobs: [{ key: 'a', text: 'a', depends_on: ['b'] }, { key: 'b', text: 'b', depends_on: ['a'] }],
+    }, tenant);
+    assert.strictEqual(cycle.status, 400);
+    assert.match(cycle.data?.error, /cycle/);
+    const unknown = await request('POST', '/workflows', { jobs: [{ key: 'a', text: 'a', depends_on: ['missing'] }] }, tenant);
+    assert.strictEqual(unknown.status, 400);
+    const badSpec = await request('POST', '/workflows', { jobs: [{ key: 'a', type: 'no-such-type' }] }, tenant);
+    assert.strictEqual(badSpec.status, 400);
+    assert.match(badSpec.data?.error, /^Job "a"/);
+
+    const create = await request('POST', '/workflows', {
+      name: 'diamond',
+      on_failure: 'skip',
+      jobs: [
+        { key: 'report', text: 'd', depends_on: ['left', 'right'] },
+        { key: 'left', text: 'b', depends_on: ['fetch'] },
+        { key: 'right', text: 'c', depends_on: ['fetch'] },
+        { key: 'fetch', text: 'a' },
+      ],
+    }, tenant);
+    assert.strictEqual(create.status, 201);
+    assert.strictEqual(create.data?.status, 'running');
+    assert.deepStrictEqual(create.data.jobs.map((j) => [j.key, j.status]), [
+      ['fetch', 'pending'], ['left', 'blocked'], ['right', 'blocked'], ['report', 'blocked'],
+    ]);
+    assert.deepStrictEqual(create.data.jobs.find((j) => j.key === 'report').depends_on, ['left', 'right']);
+
+    const got = await request('GET', `/workflows/${create.data.id}`, null, tenant);
+    assert.strictEqual(got.data?.on_failure, 'skip');
+    assert.strictEqual(got.data.total, 4);
+    const report = got.data.jobs.find((j) => j.key === 'report');
+    const job = await request('GET', `/jobs/${report.job_id}`, null, tenant);
+    assert.strictEqual(job.data?.workflow_id, create.data.id);
+    assert.strictEqual(job.data.depends_on.length, 2);
+
+    const cancel = await request('POST', `/jobs/${report.job_id}/cancel`, null, tenant);
+    assert.strictEqual(cancel.data?.status, 'cancelled');
+    const list = await request('GET', '/workflows', null, tenant);
+    assert.deepStrictEqual(list.data?.workflows.map((w) => w.id), [create.data.id]);
+    assert.strictEqual(list.data.workflows[0].counts.cancelled, 1);
+    const missing = await request('GET', '/workflows/does-not-exist');
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('GET /events streams a submitted event for a new job', async () => {
+    const received = new Promise((resolve, reject) => {
+      const req = http.get(new URL('/events', BASE), (res) => {
+        assert.match(res.headers['content-type'], /text\/event-stream/);
+        let buf = '';
+        res.on('data', (c) => {
+          buf += c;
+          const match = buf.match(/data: (.*)\n\n/);
+          if (match) {
+            clearTimeout(timer);
+            req.destroy();
+            resolve(JSON.parse(match[1]));
+          }
+        });
+      });
+      req.on('error', reject);
+      const timer = setTimeout(() => {
+        req.destroy();
+        reject(new Error('no event received'));
+      }, 3000);
+    });
+    await new Promise((r) => setTimeout(r, 100)); // let the subscription register
+    const create = await request('POST', '/jobs', { text: 'stream me' });
+    const event = await received;
+    assert.strictEqual(event.type, 'submitted');
+    assert.strictEqual(event.job_id, create.data.id);
+  });
+
   it('GET /jobs returns list, GET /metrics returns counts', async () => {
     const list = await request('GET', '/jobs');
     assert.strictEqual(list.status, 200);
@@ -78,4 +405,120 @@ describe('Job API', () => {
     assert.ok(typeof metrics.data?.pending === 'number');
     assert.ok(typeof metrics.data?.dlq_count === 'number');
   });
+
+  it('GET /workers lists live workers', async () => {
+    const res = await request('GET', '/workers');
+    assert.strictEqual(res.status, 200);
+    assert.ok(Array.isArray(res.data?.workers));
+  });
+
+  it('POST /workers/:id/drain returns 404 for an unknown worker', async () => {
+    const res = await request('POST', '/workers/no-such-worker/drain');
+    assert.strictEqual(res.status, 404);
+  });
+
+  it('named queues: jobs carry their queue, paused queues still accept jobs, GET /queues reports depth', async () => {
+    const headers = { 'X-Tenant-Id': 'queues-' + Date.now() };
+    const queue = 'q-' + Date.now();
+    const invalid = await request('POST', '/jobs', { text: 'bad queue', queue: 'no spaces' }, headers);
+    assert.strictEqual(invalid.status, 400);
+    const defaulted = await request('POST', '/jobs', { text: 'default queue', delay_seconds: 3600 }, headers);
+    assert.strictEqual((await request('GET', `/jobs/${defaulted.data.id}`)).data?.queue, 'default');
+
+    const paused = await request('POST', `/queues/${queue}/pause`);
+    assert.strictEqual(paused.status, 200);
+    assert.strictEqual(paused.data?.paused, true);
+    const create = await request('POST', '/jobs', { text: 'waits', queue }, headers);
+    assert.strictEqual(create.status, 201);
+    const job = await request('GET', `/jobs/${create.data.id}`);
+    assert.strictEqual(job.data?.queue, queue);
+    assert.strictEqual(job.data.status, 'pending');
+
+    const list = await request('GET', '/queues');
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.data?.queues?.[0]?.name, 'default');
+    const row = list.data.queues.find((q) => q.name === queue);
+    assert.strictEqual(row?.paused, true);
+    assert.strictEqual(row.depth, 1);
+    assert.strictEqual(row.in_flight, 0);
+
+    const resumed = await request('POST', `/queues/${queue}/resume`);
+    assert.strictEqual(resumed.data?.paused, false);
+    assert.strictEqual(resumed.data.depth, 1);
+    assert.strictEqual((await request('POST', '/queues/bad%20name/pause')).status, 400);
+    await request('POST', `/jobs/${create.data.id}/cancel`);
+  });
+
+  it('GET /metrics reports pending and running counts per tenant', async () => {
+    const tenant = 'tenant-' + Date.now();
+    await request('POST', '/jobs', { text: 'per tenant' }, { 'X-Tenant-Id': tenant });
+    const metrics = await request('GET', '/metrics');
+    assert.strictEqual(metrics.data?.tenants?.[tenant]?.pending, 1);
+    assert.strictEqual(metrics.data.tenants[tenant].running, 0);
+  });
+
+  it('GET /metrics/prometheus returns labelled counters and gauges in text format', async () => {
+    const tenant = 'prom-' + Date.now();
+    await request('POST', '/jobs', { text: 'scrape me' }, { 'X-Tenant-Id': tenant });
+    const res = await request('GET', '/metrics/prometheus');
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.data, /# TYPE jobqueue_jobs_submitted_total counter/);
+    assert.ok(res.data.includes(`jobqueue_jobs_submitted_total{tenant="${tenant}",type="text"} 1\n`));
+    assert.ok(res.data.includes(`jobqueue_tenant_jobs{tenant="${tenant}",status="pending"} 1\n`));
+    assert.match(res.data, /^jobqueue_jobs\{status="pending"\} \d+$/m);
+    assert.match(res.data, /# TYPE jobqueue_queue_wait_seconds histogram/);
+  });
+
+  it('GET /metrics/history returns per-minute buckets for the window and rejects unknown windows', async () => {
+    await request('POST', '/jobs', { text: 'history' }, { 'X-Tenant-Id': 'history-' + Date.now() });
+    const res = await request('GET', '/metrics/history?window=1h');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.data?.bucket_seconds, 60);
+    assert.strictEqual(res.data.buckets.length, 60);
+    assert.ok(res.data.buckets.slice(-2).reduce((sum, b) => sum + b.submitted, 0) >= 1);
+    assert.ok('wait_p95' in res.data.buckets[0]);
+
+    const invalid = await request('GET', '/metrics/history?window=2d');
+    assert.strictEqual(invalid.status, 400);
+  });
+
+  it('tenant API keys are bound to their tenant and scopes; admin keys manage the registry', async () => {
+    const tenant = 'keyed-' + Date.now();
+    // The first key is created in open mode; from then on every request needs a key.
+    const admin = await request('POST', '/admin/keys', { name: 'ops', scopes: ['admin'] });
+    assert.strictEqual(admin.status, 201);
+    assert.match(admin.data?.key, /^jq_/);
+    assert.strictEqual(admin.data.key_hash, undefined);
+    const asAdmin = { 'X-API-Key': admin.data.key };
+    const created = await request('POST', '/admin/keys', { name: 'ci', tenant_id: tenant, scopes: ['jobs:submit', 'jobs:read'] }, asAdmin);
+    assert.strictEqual(created.status, 201);
+    const asTenant = { 'X-API-Key': created.data.key };
+
+    try {
+      const anonymous = await request('GET', '/jobs');
+      assert.strictEqual(anonymous.status, 401);
+
+      const job = await request('POST', '/jobs', { text: 'mine' }, { ...asTenant, 'X-Tenant-Id': 'someone-else' });
+      assert.strictEqual(job.data?.tenant_id, tenant);
+      const list = await request('GET', '/jobs', null, asTenant);
+      assert.ok(list.data.jobs.length > 0);
+      assert.ok(list.data.jobs.every((j) => j.tenant_id === tenant));
+
+      const other = await request('POST', '/jobs', { text: 'theirs' }, asAdmin);
+      const hidden = await request('GET', `/jobs/${other.data.id}`, null, asTenant);
+      assert.strictEqual(hidden.status, 404);
+
+      const retry = await request('POST', `/jobs/${job.data.id}/retry`, null, asTenant);
+      assert.strictEqual(retry.status, 403);
+      const keys = await request('GET', '/admin/keys', null, asTenant);
+      assert.strictEqual(keys.status, 403);
+    } finally {
+      await request('DELETE', `/admin/keys/${created.data.id}`, null, asAdmin);
+      const revoked = await request('DELETE', `/admin/keys/${admin.data.id}`, null, asAdmin);
+      assert.strictEqual(revoked.status, 204);
+    }
+    const open = await request('GET', '/jobs');
+    assert.strictEqual(open.status, 200);
+  });
 });
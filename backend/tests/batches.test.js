@@ -0,0 +1,44 @@
+/**
+ * Batch request validation and GET /batches/:id summaries (no API needed).
+ * Run: npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { MAX_BATCH_SIZE, parseBatchRequest, batchToJson } = require('../batches');
+
+describe('Batches', () => {
+  it('splits items into job specs and idempotency keys and rejects bad shapes', () => {
+    const { name, items } = parseBatchRequest({ name: 'import', jobs: [{ text: 'a', idempotency_key: 'k1' }, { payload: { text: 'b' } }] });
+    assert.strictEqual(name, 'import');
+    assert.deepStrictEqual(items, [
+      { spec: { text: 'a' }, idempotencyKey: 'k1' },
+      { spec: { payload: { text: 'b' } }, idempotencyKey: null },
+    ]);
+    assert.throws(() => parseBatchRequest({ jobs: [] }), /1 to/);
+    assert.throws(() => parseBatchRequest({ jobs: new Array(MAX_BATCH_SIZE + 1).fill({ text: 'x' }) }), /1 to/);
+    assert.throws(() => parseBatchRequest({ jobs: [{ text: 'a' }, 'b'] }), /jobs\[1\] must be an object/);
+    assert.throws(() => parseBatchRequest({ jobs: [{ text: 'a', idempotency_key: 7 }] }), /idempotency_key/);
+  });
+
+  it('summarizes counts, completion and failures by item index', () => {
+    const row = { id: 'b1', name: null, tenant_id: 't', created_at: '2026-01-01T00:00:00.000Z', total: 4 };
+    const jobs = [
+      { id: 'j0', type: 'text', status: 'done' },
+      { id: 'j1', type: 'text', status: 'failed', error_message: 'boom', completed_at: '2026-01-01T00:01:00.000Z' },
+      { id: 'j2', type: 'text', status: 'running' },
+      { id: 'j3', type: 'text', status: 'pending' },
+    ];
+    const summary = batchToJson(row, jobs);
+    assert.strictEqual(summary.status, 'running');
+    assert.deepStrictEqual(summary.counts, { done: 1, failed: 1, running: 1, pending: 1 });
+    assert.strictEqual(summary.finished, 2);
+    assert.strictEqual(summary.completion_percent, 50);
+    assert.deepStrictEqual(summary.failures, [
+      { index: 1, job_id: 'j1', type: 'text', error_message: 'boom', completed_at: '2026-01-01T00:01:00.000Z' },
+    ]);
+
+    const finished = batchToJson(row, jobs.map((j) => ({ ...j, status: j.status === 'failed' ? 'failed' : 'done' })));
+    assert.strictEqual(finished.status, 'failed');
+    assert.strictEqual(finished.completion_percent, 100);
+  });
+});
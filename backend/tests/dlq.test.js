@@ -0,0 +1,55 @@
+/**
+ * DLQ filters and CSV / NDJSON export (no API needed).
+ * Run: npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseDlqFilter, parseBulkFilter, toCsv, toNdjson } = require('../dlq');
+const { dlqMatches } = require('../stores/common');
+
+const ITEMS = [
+  { id: 'd1', job_id: 'j1', tenant_id: 'acme', type: 'text', failed_at: '2026-01-01T10:00:00.000Z', retries: 3, last_error: 'Timeout after 60s', redriven_at: null },
+  { id: 'd2', job_id: 'j2', tenant_id: 'acme', type: 'text', failed_at: '2026-01-02T10:00:00.000Z', retries: 3, last_error: 'Text length exceeds maximum', redriven_at: '2026-01-03T00:00:00.000Z' },
+  { id: 'd3', job_id: 'j3', tenant_id: 'other', type: 'text', failed_at: '2026-01-03T10:00:00.000Z', retries: 0, last_error: null, redriven_at: null },
+];
+
+function matching(source) {
+  const filter = parseDlqFilter(source);
+  return ITEMS.filter((item) => dlqMatches(item, filter)).map((item) => item.id);
+}
+
+describe('DLQ', () => {
+  it('filters by tenant, error substring, failed_at range, state and ids', () => {
+    assert.deepStrictEqual(matching({}), ['d1', 'd2', 'd3']);
+    assert.deepStrictEqual(matching({ tenant_id: 'acme' }), ['d1', 'd2']);
+    assert.deepStrictEqual(matching({ error: 'TIMEOUT' }), ['d1']);
+    assert.deepStrictEqual(matching({ since: '2026-01-02T10:00:00Z' }), ['d2', 'd3']);
+    assert.deepStrictEqual(matching({ until: '2026-01-02T10:00:00Z' }), ['d1']);
+    assert.deepStrictEqual(matching({ state: 'open' }), ['d1', 'd3']);
+    assert.deepStrictEqual(matching({ state: 'redriven' }), ['d2']);
+    assert.deepStrictEqual(matching({ ids: ['d3', 'd1'] }), ['d1', 'd3']);
+    assert.throws(() => parseDlqFilter({ since: 'last week' }), /since must be an ISO 8601 timestamp/);
+    assert.throws(() => parseDlqFilter({ state: 'closed' }), /state must be one of/);
+    assert.throws(() => parseDlqFilter({ ids: 'd1' }), /ids must be an array/);
+  });
+
+  it('requires a filter or all: true for bulk actions', () => {
+    assert.throws(() => parseBulkFilter({}), /all: true/);
+    assert.throws(() => parseBulkFilter({ state: 'all' }), /all: true/);
+    assert.deepStrictEqual(parseBulkFilter({ all: true }), { state: 'all', since: null, until: null });
+    assert.strictEqual(parseBulkFilter({ error: 'timeout' }).error, 'timeout');
+  });
+
+  it('exports CSV with quoting and formula guarding, and NDJSON one item per line', () => {
+    const rows = [{ ...ITEMS[0], payload: '{"text":"a, \\"b\\""}', last_error: '=HYPERLINK("x")' }];
+    const csv = toCsv(rows).split('\r\n');
+    assert.strictEqual(csv[0], 'id,job_id,tenant_id,type,failed_at,retries,last_error,redriven_at,payload');
+    assert.strictEqual(csv[1], 'd1,j1,acme,text,2026-01-01T10:00:00.000Z,3,"\'=HYPERLINK(""x"")",,"{""text"":""a, \\""b\\""""}"');
+    assert.strictEqual(csv[2], '');
+
+    const lines = toNdjson(ITEMS.slice(0, 2)).split('\n');
+    assert.strictEqual(lines.length, 3);
+    assert.deepStrictEqual(JSON.parse(lines[0]), { ...ITEMS[0], attempts: [] });
+    assert.strictEqual(lines[2], '');
+  });
+});
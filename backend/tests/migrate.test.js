@@ -0,0 +1,85 @@
+/**
+ * migrate-to-sqlite.js on sample JSON files in a temp data directory, checked through the sqlite adapter (no API needed).
+ * Run: npm test
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Before any store is loaded: keep the test data out of backend/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobqueue-migrate-'));
+process.env.DATA_DIR = dataDir;
+process.env.SQLITE_FILE = path.join(dataDir, 'jobs.db');
+
+const { buildJob } = require('../jobs');
+const { emptyHistoryRow } = require('../stores/common');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const done = { ...buildJob({ type: 'text', payload: { text: 'hello' }, tenantId: 'acme', idempotencyKey: 'k-done' }), status: 'done', result: '{"word_count":1}', completed_at: '2026-01-01T10:00:01.000Z' };
+const pending = buildJob({ type: 'text', payload: { text: 'later' }, tenantId: 'acme', priority: 5 });
+const failed = { ...buildJob({ type: 'text', payload: { fail: true }, tenantId: 'other' }), status: 'failed', retries: 3, error_message: 'Simulated failure for testing' };
+const dlqItem = { id: 'dlq-1', job_id: failed.id, type: 'text', payload: failed.payload, retries: 3, last_error: failed.error_message, failed_at: '2026-01-01T10:05:00.000Z', tenant_id: 'other' };
+
+fs.writeFileSync(path.join(dataDir, 'jobs.json'), JSON.stringify({ jobs: [done, pending, failed], dlq: [dlqItem], workflows: [], batches: [], paused_queues: { reports: '2026-01-01T11:00:00.000Z' } }));
+const logLines = [1, 2].map((attempt) => ({ job_id: failed.id, tenant_id: 'other', attempt, ts: new Date().toISOString(), level: 'error', message: `attempt ${attempt} failed` }));
+fs.writeFileSync(path.join(dataDir, 'joblogs.json'), JSON.stringify({ logs: logLines }));
+const historyRows = ['2026-01-01T10:00:00.000Z', '2026-01-01T10:01:00.000Z'].map((minute, i) => ({ ...emptyHistoryRow(minute), submitted: 2 - i, done: i, pending: 1 }));
+fs.writeFileSync(path.join(dataDir, 'metrichistory.json'), JSON.stringify({ minutes: historyRows }));
+fs.writeFileSync(path.join(dataDir, 'metrics.json'), JSON.stringify({ jobs_submitted: 3, jobs_done: 1, jobs_failed: 1, retries: 3 }));
+
+/** Run the migration in a child process; it inherits DATA_DIR and SQLITE_FILE. */
+function migrate(...args) {
+  return spawnSync(process.execPath, [path.join(__dirname, '..', 'migrate-to-sqlite.js'), ...args], {
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+}
+
+describe('migrate-to-sqlite', () => {
+  it('imports jobs.json, metrics.json, metrichistory.json and joblogs.json', () => {
+    const run = migrate();
+    assert.strictEqual(run.status, 0, run.stderr);
+    assert.match(run.stdout, /Imported 3 jobs, 1 DLQ items, .* 2 job log lines, .* 2 metrics history minutes/);
+  });
+
+  it('refuses to overwrite a database that has jobs unless --force is given', () => {
+    const refused = migrate();
+    assert.strictEqual(refused.status, 1);
+    assert.match(refused.stderr, /already has 3 jobs and 1 DLQ items\. Re-run with --force/);
+
+    const forced = migrate('--force');
+    assert.strictEqual(forced.status, 0, forced.stderr);
+    assert.match(forced.stdout, /Imported 3 jobs, 1 DLQ items, .* 2 job log lines, .* 2 metrics history minutes/);
+  });
+
+  it('leaves the imported rows readable through the sqlite adapter', () => {
+    const sqliteStore = require('../stores/sqlite');
+    assert.strictEqual(sqliteStore.DATA_FILE, process.env.SQLITE_FILE);
+
+    const job = sqliteStore.getJob(done.id);
+    assert.strictEqual(job.status, 'done');
+    assert.strictEqual(job.result, done.result);
+    assert.strictEqual(job.tenant_id, 'acme');
+    assert.strictEqual(sqliteStore.findJobByIdempotencyKey('k-done').id, done.id);
+    assert.strictEqual(sqliteStore.getJob(pending.id).priority, 5);
+    assert.strictEqual(sqliteStore.countByStatus('pending'), 1);
+    assert.deepStrictEqual(sqliteStore.listDlq().items.map((item) => item.job_id), [failed.id]);
+
+    const metrics = sqliteStore.getMetrics();
+    assert.strictEqual(metrics.jobs_submitted, 3);
+    assert.strictEqual(metrics.jobs_done, 1);
+    assert.strictEqual(metrics.retries, 3);
+    assert.deepStrictEqual(Object.keys(sqliteStore.listPausedQueues()), ['reports']);
+    // --force replaced the log lines and history rows instead of importing them twice
+    assert.deepStrictEqual(sqliteStore.listJobLogs(failed.id), { logs: logLines, total: 2 });
+    assert.deepStrictEqual(sqliteStore.listMetricHistory('2026-01-01T00:00:00.000Z'), historyRows);
+
+    const leased = sqliteStore.leaseNext('worker-1', 60000);
+    assert.strictEqual(leased.id, pending.id);
+    assert.strictEqual(sqliteStore.completeLease(leased.id, leased.lease_token, { status: 'done' })?.status, 'done');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Queue names, WORKER_QUEUES parsing and GET /queues rows (no API needed).
+ * Run: npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_QUEUE, parseQueue, parseQueueLimits, listQueues, queueToJson } = require('../queues');
+
+describe('Queues', () => {
+  it('defaults the queue and rejects invalid names', () => {
+    assert.strictEqual(parseQueue(undefined), DEFAULT_QUEUE);
+    assert.strictEqual(parseQueue(''), DEFAULT_QUEUE);
+    assert.strictEqual(parseQueue('emails.v2'), 'emails.v2');
+    assert.throws(() => parseQueue('has space'), (err) => err.status === 400);
+    assert.throws(() => parseQueue(7), (err) => err.status === 400);
+    assert.throws(() => parseQueue('x'.repeat(65)), (err) => err.status === 400);
+  });
+
+  it('parses WORKER_QUEUES with optional per-queue limits', () => {
+    assert.strictEqual(parseQueueLimits(undefined), null);
+    assert.strictEqual(parseQueueLimits(' '), null);
+    assert.deepStrictEqual(parseQueueLimits('default, emails=2'), { default: null, emails: 2 });
+    assert.throws(() => parseQueueLimits('emails=0'), /emails=0/);
+    assert.throws(() => parseQueueLimits('emails=two'), /emails=two/);
+    assert.throws(() => parseQueueLimits('bad name'), /bad name/);
+  });
+
+  it('lists the default queue first, plus queues with jobs, paused or named by workers', () => {
+    const counts = { reports: { scheduled: 1, blocked: 0, pending: 3, running: 1 } };
+    const paused = { archive: '2026-01-01T00:00:00.000Z' };
+    const workers = [{ id: 'w1', queues: null }, { id: 'w2', queues: JSON.stringify({ emails: 2 }) }];
+    const rows = listQueues(counts, paused, workers);
+    assert.deepStrictEqual(rows.map((q) => q.name), ['default', 'archive', 'emails', 'reports']);
+    assert.deepStrictEqual(rows[3], {
+      name: 'reports',
+      paused: false,
+      paused_at: null,
+      depth: 3,
+      in_flight: 1,
+      scheduled: 1,
+      blocked: 0,
+      workers: 1,
+    });
+    assert.strictEqual(rows[1].paused, true);
+    assert.strictEqual(rows[1].paused_at, '2026-01-01T00:00:00.000Z');
+    assert.strictEqual(rows[2].workers, 2);
+    assert.strictEqual(queueToJson('idle').depth, 0);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Store behaviour on both backends (json and sqlite) against a temp data directory (no API needed).
+ * Run: npm test
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Before any store is loaded: keep the test data out of backend/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobqueue-stores-'));
+process.env.DATA_DIR = dataDir;
+process.env.SQLITE_FILE = path.join(dataDir, 'jobs.db');
+
+const { buildJob } = require('../jobs');
+
+const BACKENDS = {
+  json: require('../stores/json'),
+  sqlite: require('../stores/sqlite'),
+};
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+for (const [name, store] of Object.entries(BACKENDS)) {
+  describe(`${name} store: leases`, () => {
+    it('never leases the same job twice', () => {
+      const jobs = [1, 2, 3].map((i) => buildJob({ type: 'text', payload: { text: `job ${i}` }, tenantId: `${name}-lease` }));
+      for (const job of jobs) store.createJob(job);
+
+      const leased = [1, 2, 3, 4].map((i) => store.leaseNext(`worker-${i}`, 60000));
+      const ids = leased.filter(Boolean).map((j) => j.id);
+      assert.strictEqual(leased[3], null);
+      assert.deepStrictEqual([...ids].sort(), jobs.map((j) => j.id).sort());
+      assert.strictEqual(new Set(leased.filter(Boolean).map((j) => j.lease_token)).size, 3);
+      for (const job of leased.filter(Boolean)) {
+        assert.strictEqual(store.getJob(job.id).status, 'running');
+        assert.strictEqual(store.completeLease(job.id, job.lease_token, { status: 'done' })?.status, 'done');
+      }
+    });
+
+    it('re-queues an expired lease and rejects completions with the old lease_token', async () => {
+      const job = buildJob({ type: 'text', payload: { text: 'stale' }, tenantId: `${name}-stale` });
+      store.createJob(job);
+
+      const first = store.leaseNext('worker-old', 1);
+      assert.strictEqual(first.id, job.id);
+      await sleep(10);
+      const released = store.releaseStaleLeases(60000);
+      assert.ok(released.some((j) => j.id === job.id));
+      const requeued = store.getJob(job.id);
+      assert.strictEqual(requeued.status, 'pending');
+      assert.strictEqual(requeued.lease_token, null);
+
+      const second = store.leaseNext('worker-new', 60000);
+      assert.strictEqual(second.id, job.id);
+      assert.notStrictEqual(second.lease_token, first.lease_token);
+
+      // ack, retry and the DLQ move of the old owner all go through completeLease with its stale token
+      const now = new Date().toISOString();
+      const dlqBefore = store.getDlqCount();
+      assert.strictEqual(store.completeLease(job.id, first.lease_token, { status: 'done', completed_at: now }), null);
+      assert.strictEqual(store.completeLease(job.id, first.lease_token, { status: 'pending', retries: 1, error_message: 'boom' }), null);
+      const dlqItem = { id: `dlq-${job.id}`, job_id: job.id, type: 'text', payload: job.payload, retries: 1, last_error: 'boom', failed_at: now, tenant_id: job.tenant_id };
+      assert.strictEqual(store.completeLease(job.id, first.lease_token, { status: 'failed', completed_at: now }, dlqItem), null);
+      assert.strictEqual(store.getDlqCount(), dlqBefore);
+
+      const current = store.getJob(job.id);
+      assert.strictEqual(current.status, 'running');
+      assert.strictEqual(current.worker_id, 'worker-new');
+      assert.strictEqual(current.lease_token, second.lease_token);
+      assert.strictEqual(current.retries, 0);
+      assert.strictEqual(current.error_message, null);
+
+      const done = store.completeLease(job.id, second.lease_token, { status: 'done', completed_at: now });
+      assert.strictEqual(done?.status, 'done');
+      assert.strictEqual(store.completeLease(job.id, second.lease_token, { status: 'done' }), null);
+    });
+  });
+
+  describe(`${name} store: idempotency`, () => {
+    it('createJobIfAbsent inserts one job per idempotency key and returns the existing one after that', () => {
+      const key = `${name}-key`;
+      const first = store.createJobIfAbsent(buildJob({ type: 'text', payload: { text: 'first' }, tenantId: `${name}-idem`, idempotencyKey: key }));
+      const second = store.createJobIfAbsent(buildJob({ type: 'text', payload: { text: 'second' }, tenantId: `${name}-idem`, idempotencyKey: key }));
+      assert.strictEqual(first.created, true);
+      assert.strictEqual(second.created, false);
+      assert.strictEqual(second.job.id, first.job.id);
+      assert.strictEqual(second.job.payload, first.job.payload);
+      assert.strictEqual(store.findJobByIdempotencyKey(key).id, first.job.id);
+
+      const unkeyed = [1, 2].map((i) => store.createJobIfAbsent(buildJob({ type: 'text', payload: { text: `unkeyed ${i}` }, tenantId: `${name}-idem` })));
+      assert.deepStrictEqual(unkeyed.map((r) => r.created), [true, true]);
+    });
+  });
+
+  describe(`${name} store: job logs`, () => {
+    it('pages a job\'s lines across attempts with limit / offset and filters by attempt', () => {
+      const jobId = `${name}-logs-${Date.now()}`;
+      const line = (attempt, i) => ({ job_id: jobId, tenant_id: 'acme', attempt, ts: new Date().toISOString(), level: 'info', message: `attempt ${attempt} line ${i}` });
+      store.appendJobLogs([line(1, 1), line(1, 2), line(1, 3)]);
+      store.appendJobLogs([line(2, 1), line(2, 2)]);
+      store.appendJobLogs([{ ...line(1, 1), job_id: `${jobId}-other` }]);
+
+      const all = store.listJobLogs(jobId);
+      assert.strictEqual(all.total, 5);
+      assert.deepStrictEqual(all.logs.map((l) => l.message), ['attempt 1 line 1', 'attempt 1 line 2', 'attempt 1 line 3', 'attempt 2 line 1', 'attempt 2 line 2']);
+
+      const page = store.listJobLogs(jobId, { limit: 2, offset: 2 });
+      assert.strictEqual(page.total, 5);
+      assert.deepStrictEqual(page.logs.map((l) => l.message), ['attempt 1 line 3', 'attempt 2 line 1']);
+      assert.deepStrictEqual(page.logs.map((l) => l.attempt), [1, 2]);
+
+      const second = store.listJobLogs(jobId, { limit: 1, offset: 1, attempt: 2 });
+      assert.strictEqual(second.total, 2);
+      assert.deepStrictEqual(second.logs.map((l) => l.message), ['attempt 2 line 2']);
+      assert.deepStrictEqual(store.listJobLogs(jobId, { offset: 5 }).logs, []);
+    });
+  });
+
+  describe(`${name} store: batch quota`, () => {
+    it('counts batch jobs per tenant, including tenants named like Object.prototype members', () => {
+      for (const tenantId of ['constructor', '__proto__', 'toString']) {
+        assert.strictEqual(store.countBatchJobs(tenantId), 0);
+        store.addBatchJobs(tenantId, 3);
+        store.addBatchJobs(tenantId, 2);
+        assert.strictEqual(store.countBatchJobs(tenantId), 5);
+      }
+      assert.strictEqual(store.countBatchJobs('hasOwnProperty'), 0);
+    });
+  });
+}
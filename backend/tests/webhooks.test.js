@@ -0,0 +1,119 @@
+/**
+ * Webhook delivery against a local HTTP stand-in, with the store in a temp data directory (no API or worker needed).
+ * Run: npm test
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+
+// Before any store is loaded: keep the test deliveries out of backend/data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobqueue-webhooks-'));
+process.env.DATA_DIR = dataDir;
+process.env.SQLITE_FILE = path.join(dataDir, 'jobs.db');
+process.env.WEBHOOK_SECRET = 'whsec_callbacks';
+
+const config = require('../config');
+const store = require('../store');
+const { buildJob } = require('../jobs');
+const webhooks = require('../webhooks');
+
+/** Stand-in receiver: records each request and answers with the next queued status (default 200). */
+function createReceiver() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => (body += c));
+    req.on('end', () => {
+      received.push({ method: req.method, path: req.url, headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+  return { server, received, statuses };
+}
+
+describe('Webhook delivery', () => {
+  const receiver = createReceiver();
+  let url;
+
+  before(async () => {
+    await new Promise((resolve) => receiver.server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => receiver.server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('POSTs the body with headers and a signature the receiver can verify', async () => {
+    const body = JSON.stringify({ id: 'd1', event: 'done', job: { id: 'job-1', status: 'done' } });
+    const outcome = await webhooks.send({ id: 'd1', event: 'done', url, body }, 'whsec_test');
+    assert.strictEqual(outcome.ok, true);
+    assert.strictEqual(outcome.status_code, 200);
+
+    const req = receiver.received.at(-1);
+    assert.strictEqual(req.method, 'POST');
+    assert.strictEqual(req.path, '/hook');
+    assert.strictEqual(req.body, body);
+    assert.strictEqual(req.headers['content-type'], 'application/json');
+    assert.strictEqual(req.headers['x-webhook-id'], 'd1');
+    assert.strictEqual(req.headers['x-webhook-event'], 'done');
+    const signed = { signature: req.headers['x-webhook-signature'], timestamp: req.headers['x-webhook-timestamp'], body: req.body };
+    assert.match(signed.signature, /^sha256=[0-9a-f]{64}$/);
+    assert.strictEqual(webhooks.verifySignature('whsec_test', signed), true);
+    assert.strictEqual(webhooks.verifySignature('whsec_other', signed), false);
+    assert.strictEqual(webhooks.verifySignature('whsec_test', { ...signed, body: `${body} ` }), false);
+    assert.strictEqual(webhooks.verifySignature('whsec_test', signed, Date.now() + 3600 * 1000), false);
+  });
+
+  it('reports non-2xx responses and unreachable URLs as failures', async () => {
+    receiver.statuses.push(503);
+    const rejected = await webhooks.send({ id: 'd2', event: 'failed', url, body: '{}' }, 'whsec_test');
+    assert.deepStrictEqual([rejected.ok, rejected.status_code, rejected.error], [false, 503, 'HTTP 503']);
+
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+    const unreachable = await webhooks.send({ id: 'd3', event: 'failed', url: `http://127.0.0.1:${port}/`, body: '{}' }, 'whsec_test');
+    assert.strictEqual(unreachable.ok, false);
+    assert.strictEqual(unreachable.status_code, null);
+    assert.ok(unreachable.error);
+  });
+
+  it('signs a job\'s callback_url delivery with WEBHOOK_SECRET', async () => {
+    const job = { ...buildJob({ type: 'text', payload: { text: 'hi' }, tenantId: 'acme', callbackUrl: webhooks.parseCallbackUrl(url) }), status: 'done' };
+    store.createJob(job);
+    const [queued] = webhooks.enqueue(job, 'done');
+    assert.strictEqual(queued.webhook_id, null);
+    await webhooks.deliverDue();
+
+    const req = receiver.received.at(-1);
+    assert.strictEqual(req.headers['x-webhook-id'], queued.id);
+    const signed = { signature: req.headers['x-webhook-signature'], timestamp: req.headers['x-webhook-timestamp'], body: req.body };
+    assert.strictEqual(webhooks.verifySignature('whsec_callbacks', signed), true);
+    assert.strictEqual(store.listWebhookDeliveries(job.id)[0].status, 'delivered');
+  });
+
+  it('refuses callback_url and never sends a callback unsigned while WEBHOOK_SECRET is unset', async () => {
+    const job = { ...buildJob({ type: 'text', payload: { text: 'hi' }, tenantId: 'acme', callbackUrl: url }), status: 'done' };
+    store.createJob(job);
+    const [queued] = webhooks.enqueue(job, 'done');
+    const sent = receiver.received.length;
+    config.WEBHOOK_SECRET = null;
+    try {
+      assert.throws(() => webhooks.parseCallbackUrl(url), (e) => e.status === 400 && /WEBHOOK_SECRET/.test(e.message));
+      await webhooks.deliverDue();
+    } finally {
+      config.WEBHOOK_SECRET = 'whsec_callbacks';
+    }
+    assert.strictEqual(receiver.received.length, sent);
+    const delivery = store.listWebhookDeliveries(job.id).find((d) => d.id === queued.id);
+    assert.deepStrictEqual([delivery.status, delivery.last_error], ['failed', 'WEBHOOK_SECRET is not set']);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Workflow graph validation and blocked-job transitions (no API or worker needed).
+ * Run: npm test
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseWorkflowRequest } = require('../workflows');
+const { workflowTransitions } = require('../stores/common');
+
+const NOW = '2026-01-01T00:00:00.000Z';
+
+/** Diamond fetch → left, right → report as store rows with the given statuses. */
+function diamond(statuses, workflowId = 'wf') {
+  const row = (key, parents) => ({
+    id: key,
+    workflow_id: workflowId,
+    workflow_key: key,
+    status: statuses[key] || 'blocked',
+    depends_on: parents.length ? JSON.stringify(parents) : null,
+  });
+  return [row('fetch', []), row('left', ['fetch']), row('right', ['fetch']), row('report', ['left', 'right'])];
+}
+
+describe('Workflows', () => {
+  it('orders jobs parents first and rejects cycles, unknown keys and duplicates', () => {
+    const { nodes, on_failure } = parseWorkflowRequest({
+      jobs: [{ key: 'c', depends_on: ['b'] }, { key: 'b', depends_on: ['a'] }, { key: 'a', text: 'x' }],
+    });
+    assert.deepStrictEqual(nodes.map((n) => n.key), ['a', 'b', 'c']);
+    assert.deepStrictEqual(nodes[0].spec, { text: 'x' });
+    assert.strictEqual(on_failure, 'cancel');
+
+    assert.throws(() => parseWorkflowRequest({ jobs: [{ key: 'a', depends_on: ['a'] }] }), /itself/);
+    assert.throws(() => parseWorkflowRequest({ jobs: [{ key: 'a', depends_on: ['b'] }, { key: 'b', depends_on: ['a'] }] }), /cycle between jobs: a, b/);
+    assert.throws(() => parseWorkflowRequest({ jobs: [{ key: 'a', depends_on: ['z'] }] }), /unknown job "z"/);
+    assert.throws(() => parseWorkflowRequest({ jobs: [{ key: 'a' }, { key: 'a' }] }), /Duplicate/);
+    assert.throws(() => parseWorkflowRequest({ jobs: [{ key: 'a' }], on_failure: 'ignore' }), /on_failure/);
+  });
+
+  it('unblocks a job only once every parent is done', () => {
+    assert.deepStrictEqual(workflowTransitions(diamond({ fetch: 'running' }), {}, NOW), []);
+    const afterFetch = workflowTransitions(diamond({ fetch: 'done' }), {}, NOW);
+    assert.deepStrictEqual(afterFetch.map((c) => [c.id, c.updates.status]), [['left', 'pending'], ['right', 'pending']]);
+    const oneBranch = workflowTransitions(diamond({ fetch: 'done', left: 'done', right: 'running' }), {}, NOW);
+    assert.deepStrictEqual(oneBranch, []);
+    const both = workflowTransitions(diamond({ fetch: 'done', left: 'done', right: 'done' }), {}, NOW);
+    assert.deepStrictEqual(both, [{ id: 'report', updates: { status: 'pending', updated_at: NOW, run_at: NOW } }]);
+  });
+
+  it('cascades a failed parent to every descendant as the workflow\'s on_failure says', () => {
+    const skipped = workflowTransitions(diamond({ fetch: 'failed' }), { wf: 'skip' }, NOW);
+    assert.deepStrictEqual(skipped.map((c) => [c.id, c.updates.status]), [['left', 'skipped'], ['right', 'skipped'], ['report', 'skipped']]);
+    assert.strictEqual(skipped[0].updates.error_message, 'Skipped: dependency "fetch" failed');
+    assert.strictEqual(skipped[2].updates.error_message, 'Skipped: dependency "left" skipped');
+
+    const cancelled = workflowTransitions(diamond({ fetch: 'done', left: 'done', right: 'failed' }), { wf: 'cancel' }, NOW);
+    assert.deepStrictEqual(cancelled.map((c) => [c.id, c.updates.status]), [['report', 'cancelled']]);
+    assert.strictEqual(cancelled[0].updates.completed_at, NOW);
+  });
+});
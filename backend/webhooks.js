@@ -0,0 +1,287 @@
+/**
+ * Outbound webhooks. A job's optional callback_url and its tenant's subscriptions (POST /webhooks) receive a POST
+ * when the worker records one of these events for the job:
+ * - done:          the job completed
+ * - failed:        an attempt failed and the job was re-queued for a retry
+ * - dead_lettered: the last attempt failed and the job moved to the DLQ
+ *
+ * The worker queues one delivery per target (store.createWebhookDeliveries) and sends due deliveries on every tick.
+ * A delivery succeeds on any 2xx response; otherwise it is retried with exponential backoff until
+ * WEBHOOK_MAX_ATTEMPTS, then marked failed. Every attempt is logged on the delivery (GET /jobs/:id/webhooks).
+ *
+ * Signing: X-Webhook-Signature is "sha256=" + hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>", keyed with the
+ * subscription's secret (returned once by POST /webhooks) or, for callback_url, WEBHOOK_SECRET. Every delivery is
+ * signed: callback_url is refused while WEBHOOK_SECRET is unset (parseCallbackUrl). Receivers should recompute the
+ * signature (verifySignature) and reject old timestamps.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const store = require('./store');
+const { retryDelayMs } = require('./backoff');
+const logger = require('./logger');
+const config = require('./config');
+
+const EVENTS = ['done', 'failed', 'dead_lettered'];
+
+const MAX_URL_LEN = 2048;
+
+const USER_AGENT = 'job-queue-webhooks/1.0';
+
+/** Delay between delivery attempts (same shape as a job's backoff override; see backoff.js). */
+const RETRY_BACKOFF = { policy: 'exponential', base_seconds: 10, max_seconds: 3600, jitter: true };
+
+/** Deliveries claimed per tick, and how long a claim keeps other workers away beyond the request timeout. */
+const DELIVERY_BATCH = 20;
+const CLAIM_MARGIN_MS = 30 * 1000;
+
+const MAX_ERROR_LEN = 500;
+
+/** Receivers reject signatures whose timestamp is further than this from their clock. */
+const SIGNATURE_TOLERANCE_SEC = 300;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** Validate an absolute http(s) URL (callback_url, subscription url). Returns it as given, or throws (status 400). */
+function parseUrl(raw, field = 'url') {
+  if (typeof raw !== 'string' || raw.length === 0 || raw.length > MAX_URL_LEN) {
+    throw badRequest(`${field} must be an http(s) URL of at most ${MAX_URL_LEN} characters`);
+  }
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    throw badRequest(`${field} must be an http(s) URL of at most ${MAX_URL_LEN} characters`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw badRequest(`${field} must use http or https`);
+  return raw;
+}
+
+/**
+ * Validate a job's callback_url (parseUrl). Its deliveries are signed with WEBHOOK_SECRET, so the URL is refused
+ * (status 400) while that is not configured.
+ */
+function parseCallbackUrl(raw) {
+  const url = parseUrl(raw, 'callback_url');
+  if (!config.WEBHOOK_SECRET) throw badRequest('callback_url needs WEBHOOK_SECRET to be set on the server (deliveries are signed)');
+  return url;
+}
+
+/** Validate a POST /webhooks body. Returns { url, events } (events default to all) or throws Error (status 400). */
+function parseWebhookRequest(body) {
+  const url = parseUrl(body?.url);
+  const events = body?.events ?? EVENTS;
+  if (!Array.isArray(events) || events.length === 0 || !events.every((e) => EVENTS.includes(e))) {
+    throw badRequest(`events must be a non-empty array of: ${EVENTS.join(', ')}`);
+  }
+  return { url, events: [...new Set(events)] };
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function parseList(text) {
+  try {
+    const parsed = JSON.parse(text || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Public view of a subscription (the secret is only returned on creation). */
+function webhookToJson(row) {
+  return {
+    id: row.id,
+    tenant_id: row.tenant_id,
+    url: row.url,
+    events: parseList(row.events),
+    created_at: row.created_at,
+  };
+}
+
+/** Public view of a delivery and its attempt log ({ attempt, at, status_code, error, duration_ms }). */
+function deliveryToJson(row) {
+  return {
+    id: row.id,
+    webhook_id: row.webhook_id ?? null,
+    url: row.url,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts || 0,
+    next_attempt_at: row.status === 'pending' ? row.next_attempt_at : null,
+    last_status_code: row.last_status_code ?? null,
+    last_error: row.last_error ?? null,
+    created_at: row.created_at,
+    delivered_at: row.delivered_at ?? null,
+    log: parseList(row.log),
+  };
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`, 'utf8').digest('hex');
+}
+
+/** Receiver side: true if `signature` (the X-Webhook-Signature header) matches and `timestamp` is recent. */
+function verifySignature(secret, { signature, timestamp, body }, nowMs = Date.now()) {
+  if (typeof signature !== 'string' || !/^\d+$/.test(String(timestamp))) return false;
+  if (Math.abs(nowMs / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SEC) return false;
+  const expected = Buffer.from(`sha256=${sign(secret, timestamp, body)}`, 'utf8');
+  const given = Buffer.from(signature, 'utf8');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/** The job as sent in delivery bodies. */
+function jobSummary(job) {
+  let result = null;
+  try {
+    result = job.result ? JSON.parse(job.result) : null;
+  } catch {
+    result = null;
+  }
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    tenant_id: job.tenant_id,
+    retries: job.retries,
+    max_retries: job.max_retries,
+    result,
+    error_message: job.error_message ?? null,
+    created_at: job.created_at,
+    completed_at: job.completed_at ?? null,
+  };
+}
+
+/** Queue a delivery of `event` for the job's callback_url and each matching tenant subscription. Returns them. */
+function enqueue(job, event) {
+  const targets = [];
+  if (job.callback_url) targets.push({ webhook_id: null, url: job.callback_url });
+  for (const hook of store.listWebhooks(job.tenant_id)) {
+    if (parseList(hook.events).includes(event)) targets.push({ webhook_id: hook.id, url: hook.url });
+  }
+  const now = new Date().toISOString();
+  const deliveries = targets.map(({ webhook_id, url }) => {
+    const id = uuidv4();
+    return {
+      id,
+      job_id: job.id,
+      tenant_id: job.tenant_id,
+      webhook_id,
+      url,
+      event,
+      body: JSON.stringify({ id, event, created_at: now, job: jobSummary(job) }),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      last_status_code: null,
+      last_error: null,
+      log: '[]',
+      created_at: now,
+      delivered_at: null,
+    };
+  });
+  store.createWebhookDeliveries(deliveries);
+  return deliveries;
+}
+
+/**
+ * POST one delivery's body to its URL, signed with `secret`. Resolves, never rejects, with
+ * { ok, status_code, error, duration_ms }.
+ */
+async function send({ id, event, url, body }, secret) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': USER_AGENT,
+    'X-Webhook-Id': id,
+    'X-Webhook-Event': event,
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Signature': `sha256=${sign(secret, timestamp, body)}`,
+  };
+  const started = Date.now();
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT_MS),
+    });
+    await res.body?.cancel();
+    const ok = res.status >= 200 && res.status < 300;
+    return { ok, status_code: res.status, error: ok ? null : `HTTP ${res.status}`, duration_ms: Date.now() - started };
+  } catch (e) {
+    const error = e.name === 'TimeoutError' ? `Timed out after ${config.WEBHOOK_TIMEOUT_MS}ms` : e.cause?.message || e.message;
+    return { ok: false, status_code: null, error: String(error).slice(0, MAX_ERROR_LEN), duration_ms: Date.now() - started };
+  }
+}
+
+/** Send a claimed delivery once and record the attempt: delivered, retried later, or failed for good. */
+async function attemptDelivery(delivery) {
+  let secret = config.WEBHOOK_SECRET;
+  if (delivery.webhook_id) {
+    const hook = store.getWebhook(delivery.webhook_id);
+    if (!hook) return store.updateWebhookDelivery(delivery.id, { status: 'failed', last_error: 'Subscription deleted' });
+    secret = hook.secret;
+  } else if (!secret) {
+    // queued while WEBHOOK_SECRET was set, or by a process that has it: never send a callback unsigned
+    return store.updateWebhookDelivery(delivery.id, { status: 'failed', last_error: 'WEBHOOK_SECRET is not set' });
+  }
+  const attempt = (delivery.attempts || 0) + 1;
+  const outcome = await send(delivery, secret);
+  const now = new Date();
+  const log = parseList(delivery.log).concat({
+    attempt,
+    at: now.toISOString(),
+    status_code: outcome.status_code,
+    error: outcome.error,
+    duration_ms: outcome.duration_ms,
+  });
+  const updates = { attempts: attempt, last_status_code: outcome.status_code, last_error: outcome.error, log: JSON.stringify(log) };
+  if (outcome.ok) {
+    updates.status = 'delivered';
+    updates.delivered_at = now.toISOString();
+  } else if (attempt >= config.WEBHOOK_MAX_ATTEMPTS) {
+    updates.status = 'failed';
+    logger.warn('webhook_failed', { jobId: delivery.job_id, tenantId: delivery.tenant_id, message: `${delivery.event} → ${delivery.url} gave up after ${attempt} attempt(s)`, error: outcome.error });
+  } else {
+    updates.next_attempt_at = new Date(now.getTime() + retryDelayMs(RETRY_BACKOFF, attempt)).toISOString();
+  }
+  return store.updateWebhookDelivery(delivery.id, updates);
+}
+
+/** True while deliverDue() is sending; overlapping calls return at once and the next tick picks up the rest. */
+let delivering = false;
+
+/** Claim due deliveries (atomically, so several workers can run this) and send them. Resolves with the count. */
+async function deliverDue() {
+  if (delivering) return 0;
+  delivering = true;
+  try {
+    const claimed = store.claimWebhookDeliveries(DELIVERY_BATCH, config.WEBHOOK_TIMEOUT_MS + CLAIM_MARGIN_MS);
+    await Promise.all(claimed.map(attemptDelivery));
+    return claimed.length;
+  } finally {
+    delivering = false;
+  }
+}
+
+module.exports = {
+  EVENTS,
+  parseUrl,
+  parseCallbackUrl,
+  parseWebhookRequest,
+  generateSecret,
+  webhookToJson,
+  deliveryToJson,
+  sign,
+  verifySignature,
+  enqueue,
+  send,
+  deliverDue,
+};
@@ -1,141 +1,455 @@
 /**
- * Worker: at most 5 jobs run at once (WORKER_CONCURRENCY capped at 5). FIFO pending order.
- * Lease timeout: stuck "running" jobs are re-queued after LEASE_TIMEOUT_SEC.
+ * Worker: at most 5 jobs run at once (WORKER_CONCURRENCY capped at 5). Pending jobs are leased by aged
+ * priority, then round-robin between tenants.
+ * Leases are atomic (store.leaseNext under a file lock), so several worker processes can run side by side.
+ * Heartbeats: every HEARTBEAT_INTERVAL_SEC the worker renews the leases of its in-flight jobs (lease_expires_at =
+ * now + LEASE_TIMEOUT_SEC) and records itself in the worker registry (GET /workers). Jobs whose lease expires, i.e.
+ * whose worker stopped heartbeating for LEASE_TIMEOUT_SEC, are re-queued. Handlers may extend their own lease with
+ * ctx.extendLease(seconds).
+ * Each job is dispatched to the handler registered for its `type` (see handlers/).
+ * Cancellation: every tick the worker checks its in-flight jobs for cancel requests (POST /jobs/:id/cancel) and
+ * aborts the AbortSignal passed to the handler as ctx.signal.
+ * Job logs: ctx.log.info/warn/error(...) lines, plus the stack trace of a failed attempt, are stored per job and
+ * attempt (GET /jobs/:id/logs); they are buffered and saved on each heartbeat and when the attempt ends.
+ * Progress: handlers may call ctx.reportProgress(percent, message?); it is saved on the job (progress,
+ * progress_message) at most once per PROGRESS_WRITE_INTERVAL_MS, the latest value winning.
+ * Timeout: the same signal aborts after the job's timeout_seconds (default JOB_TIMEOUT_SEC); that attempt fails with
+ * error code "timeout" and is retried like any other failure.
+ * Shutdown: on SIGTERM/SIGINT the worker stops leasing, waits up to SHUTDOWN_GRACE_SEC for in-flight jobs, then
+ * releases the remaining leases back to pending and exits. A second signal skips the wait.
+ * Drain: after POST /workers/:id/drain (seen on the next heartbeat) the worker stops leasing and finishes its
+ * in-flight jobs, then idles as "drained" until restarted.
+ * Metrics: queue wait and run duration of each attempt are added to the shared histograms (GET /metrics/prometheus)
+ * and the per-minute metrics history (GET /metrics/history);
+ * with WORKER_METRICS_PORT set, this process's own metrics are served at http://<host>:<port>/metrics.
+ * Webhooks: after ack (done), retry (failed) and the DLQ move (dead_lettered) the worker queues deliveries to the
+ * job's callback_url and its tenant's subscriptions, and sends due deliveries on every tick (webhooks.js).
+ * DLQ retention: at most once per DLQ_PURGE_INTERVAL_MS the worker deletes DLQ items older than DLQ_RETENTION_DAYS.
+ * Queues: with WORKER_QUEUES set the worker leases only from those queues, each up to its own limit if one is given
+ * (queues.js); paused queues are never leased.
  */
+const os = require('os');
+const http = require('http');
+const util = require('util');
 const store = require('./store');
+const handlers = require('./handlers');
+const events = require('./events');
+const scheduler = require('./scheduler');
+const { retryDelayMs } = require('./backoff');
 const logger = require('./logger');
+const prometheus = require('./prometheus');
+const webhooks = require('./webhooks');
+const queues = require('./queues');
 const config = require('./config');
 
 const POLL_MS = config.POLL_MS;
 const MAX_RETRIES = config.MAX_RETRIES;
 const LEASE_TIMEOUT_MS = config.LEASE_TIMEOUT_SEC * 1000;
+const HEARTBEAT_MS = config.HEARTBEAT_INTERVAL_SEC * 1000;
+/** Upper bound for one ctx.extendLease() call. */
+const MAX_LEASE_EXTENSION_SEC = 24 * 3600;
+/** Minimum time between progress writes for one job; reports in between are coalesced. */
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+const MAX_PROGRESS_MESSAGE_LEN = 200;
+/** Job log lines stored per attempt (later ones are only counted) and max characters per line. */
+const MAX_LOG_LINES_PER_ATTEMPT = 500;
+const MAX_LOG_LINE_LEN = 4000;
+const STARTED_AT = new Date().toISOString();
+/** How often a worker deletes expired DLQ items (DLQ_RETENTION_DAYS; 0 disables). */
+const DLQ_PURGE_INTERVAL_MS = 60 * 60 * 1000;
 const WORKER_CONCURRENCY = config.WORKER_CONCURRENCY;
+/** Identifies this process in leases (worker_id on the job); unique per process unless WORKER_ID is set. */
+const WORKER_ID = config.WORKER_ID || `${os.hostname()}-${process.pid}`;
+
+/** WORKER_QUEUES parsed: { queue: per-queue limit or null }, or null to lease from every queue. Exits if invalid. */
+const WORKER_QUEUES = (() => {
+  try {
+    return queues.parseQueueLimits(config.WORKER_QUEUES);
+  } catch (e) {
+    logger.error('worker_config_invalid', { message: e.message });
+    return process.exit(1);
+  }
+})();
 
 /** Number of jobs currently being processed (in flight). */
 let inFlight = 0;
 
-/** Simulate work: 1 second per character of payload.text (min 1s, max 30s). */
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+/** queue → jobs in flight from it (for the per-queue limits of WORKER_QUEUES). */
+const inFlightByQueue = new Map();
+
+/** job id → { job, controller, promise } for each in-flight job (job carries the lease_token). */
+const active = new Map();
+
+/** 'running' | 'draining' (drain requested: no new leases) | 'stopping' (signal received). */
+let mode = 'running';
+
+let pollTimer = null;
+let lastDlqPurgeAt = 0;
+let heartbeatTimer = null;
+
+/** Set by the first releaseAndExit(); a second signal or the end of the grace period joins it. */
+let exiting = null;
+
+/** This worker's own counters and histograms (jobqueue_worker_*), served on WORKER_METRICS_PORT. */
+const workerMetrics = prometheus.createRegistry();
+
+/** Prefix of error_message / DLQ last_error for attempts that exceeded timeout_seconds. */
+const TIMEOUT_ERROR_CODE = 'timeout';
+
+/** Re-queue jobs that have been "running" longer than lease timeout (worker died or stuck). */
+function releaseStaleLeases() {
+  const stale = store.releaseStaleLeases(LEASE_TIMEOUT_MS);
+  for (const job of stale) {
+    const status = job.cancel_requested_at ? 'cancelled' : 'pending';
+    const action = status === 'cancelled' ? 'Cancelled' : 'Re-queued';
+    logger.warn('lease_timeout', { jobId: job.id, message: `${action} stale running job (was leased by ${job.worker_id || 'unknown'})` });
+    events.notifyApi('lease_expired', { ...job, status });
+  }
 }
 
-/** Max allowed text length; jobs with more characters fail and go to DLQ after retries. */
-const MAX_TEXT_LENGTH = 30;
+/** Abort the handlers of in-flight jobs that were cancelled through the API. */
+function abortCancelledJobs() {
+  if (active.size === 0) return;
+  for (const id of store.listCancelRequested([...active.keys()])) {
+    const controller = active.get(id)?.controller;
+    if (!controller || controller.signal.aborted) continue;
+    logger.info('cancel_signal', { jobId: id, message: 'aborting handler' });
+    controller.abort(new Error('Job cancelled'));
+  }
+}
+
+/** Move scheduled jobs whose run_at has passed to pending so they can be leased. */
+function promoteDueJobs() {
+  const due = store.promoteDueJobs();
+  for (const job of due) {
+    logger.info('due', { jobId: job.id, message: `scheduled for ${job.run_at}` });
+    events.notifyApi('due', job);
+  }
+}
 
 /**
- * Process job with multiple possible failure reasons (for DLQ demo / interview):
- * - payload.fail === true → Simulated failure for testing
- * - text length > 30 → Text length exceeds maximum (30 characters)
- * - empty/missing text → Payload must include non-empty text
- * - text contains "reject" → Job rejected: forbidden content
- * - payload.invalid === true → Invalid payload format
+ * Unblock workflow jobs whose parents are all done, and cancel or skip those below a failed, cancelled or skipped
+ * parent (the workflow's on_failure; see workflows.js).
  */
-async function processJob(payload) {
-  if (!payload || typeof payload !== 'object') {
-    throw new Error('Invalid payload: must be an object');
+function advanceWorkflows() {
+  for (const job of store.advanceWorkflows()) {
+    const event = job.status === 'pending' ? 'unblocked' : job.status; // cancelled or skipped
+    logger.info(event, { jobId: job.id, tenantId: job.tenant_id, message: job.error_message || `workflow ${job.workflow_id}` });
+    events.notifyApi(event, job);
   }
-  if (payload.invalid === true) {
-    throw new Error('Invalid payload format (invalid=true)');
+}
+
+/** Delete DLQ items that failed more than DLQ_RETENTION_DAYS ago; runs at most once per DLQ_PURGE_INTERVAL_MS. */
+function purgeExpiredDlq() {
+  const now = Date.now();
+  if (config.DLQ_RETENTION_DAYS === 0 || now - lastDlqPurgeAt < DLQ_PURGE_INTERVAL_MS) return;
+  lastDlqPurgeAt = now;
+  const until = new Date(now - config.DLQ_RETENTION_DAYS * 24 * 3600 * 1000).toISOString();
+  const deleted = store.deleteDlqItems({ until });
+  if (deleted > 0) logger.info('dlq_purge', { message: `${deleted} item(s) older than ${config.DLQ_RETENTION_DAYS} day(s)` });
+}
+
+/** Queues this worker may lease from now (those of WORKER_QUEUES below their limit), or null for every queue. */
+function leasableQueues() {
+  if (!WORKER_QUEUES) return null;
+  return Object.entries(WORKER_QUEUES)
+    .filter(([name, limit]) => limit === null || (inFlightByQueue.get(name) || 0) < limit)
+    .map(([name]) => name);
+}
+
+/**
+ * Atomically claim the next pending job; safe with several worker processes.
+ * Jobs of tenants already running their limit (RATE_LIMIT_CONCURRENT / TENANT_CONCURRENCY) are skipped, and
+ * tenants take turns at equal priority, so one tenant cannot occupy every slot.
+ */
+function leaseOne() {
+  const allowed = leasableQueues();
+  if (allowed && allowed.length === 0) return null;
+  const job = store.leaseNext(WORKER_ID, LEASE_TIMEOUT_MS, allowed);
+  if (!job) return null;
+  logger.info('lease', { jobId: job.id, tenantId: job.tenant_id, message: 'started' });
+  events.notifyApi('leased', job);
+  recordQueueWait(job);
+  return job;
+}
+
+/**
+ * Queue wait: from when the job became runnable (created_at, or a later run_at / next_attempt_at) to leased_at.
+ * The job is already leased: a failed metrics write is logged and never affects it.
+ */
+function recordQueueWait(job) {
+  const readyMs = Math.max(...[job.created_at, job.run_at, job.next_attempt_at].filter(Boolean).map(Date.parse));
+  const seconds = Math.max(0, Date.parse(job.leased_at) - readyMs) / 1000;
+  const type = job.type || handlers.DEFAULT_TYPE;
+  workerMetrics.add(prometheus.histogramObservation('queue_wait_seconds', { type }, seconds));
+  try {
+    store.addMetricSeries(prometheus.histogramObservation('queue_wait_seconds', { tenant: job.tenant_id, type }, seconds));
+    store.addMetricHistory({ wait_seconds: seconds });
+  } catch (e) {
+    logger.warn('metrics_write_failed', { jobId: job.id, error: e.message });
   }
-  if (payload.fail === true) {
-    throw new Error('Simulated failure for testing');
+}
+
+/**
+ * Run duration (leased_at → now) of an attempt that ended with `outcome` (done, retried, failed, cancelled).
+ * Called after the lease was completed: a failed metrics write is logged and never changes the outcome.
+ */
+function recordAttempt(job, now, outcome) {
+  const seconds = Math.max(0, Date.parse(now) - Date.parse(job.leased_at)) / 1000;
+  const type = job.type || handlers.DEFAULT_TYPE;
+  workerMetrics.add([
+    ...prometheus.histogramObservation('run_duration_seconds', { type }, seconds),
+    { name: 'jobs', labels: { type, outcome }, value: 1 },
+  ]);
+  try {
+    store.addMetricSeries(prometheus.histogramObservation('run_duration_seconds', { tenant: job.tenant_id, type }, seconds));
+    store.addMetricHistory({ run_seconds: seconds });
+  } catch (e) {
+    logger.warn('metrics_write_failed', { jobId: job.id, error: e.message });
   }
+}
 
-  const text = payload.text !== undefined ? String(payload.text) : '';
-  if (!text || !text.trim()) {
-    throw new Error('Payload must include non-empty text');
+/** Queue the job's webhook deliveries for `event` and start sending them; failures here never affect the job. */
+function queueWebhooks(job, event) {
+  try {
+    if (webhooks.enqueue(job, event).length > 0) deliverWebhooks();
+  } catch (e) {
+    logger.warn('webhook_queue_failed', { jobId: job.id, error: e.message });
   }
-  if (text.length > MAX_TEXT_LENGTH) {
-    throw new Error(`Text length exceeds maximum (${text.length} > ${MAX_TEXT_LENGTH} characters)`);
+}
+
+/** Send due webhook deliveries in the background (at most one batch at a time per process). */
+function deliverWebhooks() {
+  webhooks.deliverDue().catch((e) => logger.warn('webhook_delivery_error', { error: e.message }));
+}
+
+/** Renew the leases of in-flight jobs and record this worker in the registry (GET /workers). */
+function heartbeat() {
+  const entries = [...active.values()];
+  const held = new Set(store.renewLeases(entries.map(({ job }) => ({ id: job.id, lease_token: job.lease_token })), LEASE_TIMEOUT_MS));
+  for (const entry of entries) {
+    entry.jobLog?.flush();
+    if (held.has(entry.job.id) || entry.leaseLost) continue;
+    entry.leaseLost = true; // warn once; the result is discarded by completeLease
+    logger.warn('heartbeat_lease_lost', { jobId: entry.job.id, message: 'Lease was reclaimed while the job was running' });
   }
-  if (text.toLowerCase().includes('reject')) {
-    throw new Error('Job rejected: forbidden content (text contains "reject")');
+  const row = store.upsertWorker({
+    id: WORKER_ID,
+    hostname: os.hostname(),
+    pid: process.pid,
+    started_at: STARTED_AT,
+    heartbeat_at: new Date().toISOString(),
+    concurrency: WORKER_CONCURRENCY,
+    in_flight: inFlight,
+    state: workerState(),
+    queues: WORKER_QUEUES ? JSON.stringify(WORKER_QUEUES) : null,
+  });
+  if (row?.drain_requested_at && mode === 'running') {
+    mode = 'draining';
+    logger.info('drain', { message: `drain requested at ${row.drain_requested_at}; finishing ${inFlight} in-flight job(s)` });
+    store.updateWorker(WORKER_ID, { state: workerState() });
   }
+}
 
-  const seconds = Math.min(Math.max(text.length, 1), MAX_TEXT_LENGTH);
-  await sleep(seconds * 1000);
-  return {
-    processed: true,
-    at: new Date().toISOString(),
-    durationSeconds: seconds,
-    textLength: text.length,
+/** State shown by GET /workers; a draining worker with nothing in flight is "drained". */
+function workerState() {
+  return mode === 'draining' && inFlight === 0 ? 'drained' : mode;
+}
+
+/** ctx.extendLease(seconds): keep the lease for at least `seconds` more, even without heartbeats. False if the lease was lost. */
+function extendLease(job, seconds) {
+  const sec = Number(seconds);
+  if (!Number.isFinite(sec) || sec <= 0) throw new Error('extendLease(seconds) needs a positive number of seconds');
+  const ms = Math.min(sec, MAX_LEASE_EXTENSION_SEC) * 1000;
+  return store.renewLeases([{ id: job.id, lease_token: job.lease_token }], ms).length > 0;
+}
+
+/**
+ * ctx.reportProgress(percent, message?): percent is clamped to 0-100 and rounded. Writes are throttled per job;
+ * the last report before a pause is always saved.
+ */
+function reportProgress(job, percent, message) {
+  const pct = Number(percent);
+  if (!Number.isFinite(pct)) throw new Error('reportProgress(percent) needs a number between 0 and 100');
+  const entry = active.get(job.id);
+  if (!entry || entry.job !== job) return; // finished (or reclaimed) already
+  entry.progress = {
+    percent: Math.round(Math.min(100, Math.max(0, pct))),
+    message: message == null ? null : String(message).slice(0, MAX_PROGRESS_MESSAGE_LEN),
   };
+  if (entry.progressTimer) return;
+  const wait = (entry.progressWrittenAt || 0) + PROGRESS_WRITE_INTERVAL_MS - Date.now();
+  if (wait <= 0) return writeProgress(entry);
+  entry.progressTimer = setTimeout(() => writeProgress(entry), wait);
 }
 
-/** Re-queue jobs that have been "running" longer than lease timeout (worker died or stuck). */
-function releaseStaleLeases() {
-  const stale = store.getStaleRunningJobs(LEASE_TIMEOUT_MS);
-  for (const job of stale) {
-    store.releaseStaleJob(job.id);
-    logger.warn('lease_timeout', { jobId: job.id, message: 'Re-queued stale running job' });
-  }
+function writeProgress(entry) {
+  entry.progressTimer = null;
+  const { percent, message } = entry.progress;
+  entry.progressWrittenAt = Date.now();
+  const updated = store.reportProgress(entry.job.id, entry.job.lease_token, percent, message);
+  if (updated) events.notifyApi('progress', updated);
 }
 
-function leaseOne() {
-  const job = store.getNextPendingJob();
-  if (!job) return null;
-  const now = new Date().toISOString();
-  store.updateJob(job.id, {
-    status: 'running',
-    updated_at: now,
-    leased_at: now,
-  });
-  const updated = store.getJob(job.id);
-  if (updated.status !== 'running') return null;
-  logger.info('lease', { jobId: job.id, message: 'started' });
-  return updated;
+/**
+ * Logger for one attempt, passed to handlers as ctx.log. Lines also go to stdout (event job_log) and are buffered
+ * until flush(); close() records how many lines were over MAX_LOG_LINES_PER_ATTEMPT and flushes.
+ */
+function createJobLog(job, attempt) {
+  let buffer = [];
+  let kept = 0;
+  let dropped = 0;
+  const write = (level, args) => {
+    const message = util.format(...args).slice(0, MAX_LOG_LINE_LEN);
+    logger[level]('job_log', { jobId: job.id, message });
+    if (kept >= MAX_LOG_LINES_PER_ATTEMPT) {
+      dropped += 1;
+      return;
+    }
+    kept += 1;
+    buffer.push({ job_id: job.id, tenant_id: job.tenant_id, attempt, ts: new Date().toISOString(), level, message });
+  };
+  const flush = () => {
+    if (buffer.length === 0) return;
+    const lines = buffer;
+    buffer = [];
+    try {
+      store.appendJobLogs(lines);
+    } catch (e) {
+      logger.warn('job_log_failed', { jobId: job.id, error: e.message });
+    }
+  };
+  return {
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+    flush,
+    close() {
+      if (dropped > 0) {
+        buffer.push({ job_id: job.id, tenant_id: job.tenant_id, attempt, ts: new Date().toISOString(), level: 'warn', message: `${dropped} more line(s) not stored` });
+        dropped = 0;
+      }
+      flush();
+    },
+  };
+}
+
+/** Our lease was reclaimed (stale) and the job may belong to another worker now: drop our result. */
+function leaseLost(job, action) {
+  logger.warn('lease_lost', { jobId: job.id, message: `Lease no longer held; ${action} discarded` });
 }
 
-function ack(jobId, result) {
+function ack(job, result) {
   const now = new Date().toISOString();
-  store.updateJob(jobId, {
+  const updated = store.completeLease(job.id, job.lease_token, {
     status: 'done',
     updated_at: now,
     completed_at: now,
     result: JSON.stringify(result || {}),
+    attempts: store.finishAttempt(job, now, 'done'),
   });
-  store.incrementJobDone();
-  logger.info('ack', { jobId, message: 'done' });
+  if (!updated) return leaseLost(job, 'ack');
+  store.incrementJobDone(job.tenant_id, job.type || handlers.DEFAULT_TYPE);
+  recordAttempt(job, now, 'done');
+  logger.info('ack', { jobId: job.id, message: 'done' });
+  events.notifyApi('acked', updated);
+  queueWebhooks(updated, 'done');
 }
 
-function retry(jobId, errorMessage) {
-  const now = new Date().toISOString();
-  const job = store.getJob(jobId);
-  store.updateJob(jobId, {
+/** Re-queue after a failure; the job is not leased again before next_attempt_at (backoff.js). */
+function retry(job, errorMessage) {
+  const retries = (job.retries || 0) + 1;
+  const delayMs = retryDelayMs(job.backoff, retries);
+  const now = new Date();
+  const updated = store.completeLease(job.id, job.lease_token, {
     status: 'pending',
-    updated_at: now,
+    updated_at: now.toISOString(),
     leased_at: null,
+    worker_id: null,
+    lease_expires_at: null,
     error_message: errorMessage || null,
-    retries: (job.retries || 0) + 1,
+    retries,
+    next_attempt_at: new Date(now.getTime() + delayMs).toISOString(),
+    attempts: store.finishAttempt(job, now.toISOString(), 'retried', errorMessage),
+  });
+  if (!updated) return leaseLost(job, 'retry');
+  store.incrementRetries(job.tenant_id, job.type || handlers.DEFAULT_TYPE);
+  recordAttempt(job, now.toISOString(), 'retried');
+  logger.info('retry', { jobId: job.id, message: `in ${(delayMs / 1000).toFixed(1)}s: ${errorMessage || ''}` });
+  events.notifyApi('retried', updated);
+  queueWebhooks(updated, 'failed');
+}
+
+/** Record a cancellation requested while the job was running (instead of ack or retry). */
+function cancel(job) {
+  const now = new Date().toISOString();
+  const updated = store.completeLease(job.id, job.lease_token, {
+    status: 'cancelled',
+    updated_at: now,
+    completed_at: now,
+    error_message: 'Cancelled',
+    attempts: store.finishAttempt(job, now, 'cancelled'),
   });
-  store.incrementRetries();
-  logger.info('retry', { jobId, message: errorMessage || '' });
+  if (!updated) return leaseLost(job, 'cancel');
+  recordAttempt(job, now, 'cancelled');
+  logger.info('cancel', { jobId: job.id, message: 'cancelled while running' });
+  events.notifyApi('cancelled', updated);
 }
 
 function sendToDlq(job, lastError, finalRetries) {
   const now = new Date().toISOString();
   const dlqId = `dlq-${job.id}-${Date.now()}`;
-  store.addToDlq({
+  const attempts = store.finishAttempt(job, now, 'failed', lastError);
+  const dlqItem = {
     id: dlqId,
     job_id: job.id,
+    type: job.type || handlers.DEFAULT_TYPE,
     payload: job.payload,
     retries: finalRetries ?? job.retries,
     last_error: lastError || 'Max retries exceeded',
     failed_at: now,
     tenant_id: job.tenant_id,
-  });
-  store.updateJob(job.id, {
+    attempts,
+  };
+  const updated = store.completeLease(job.id, job.lease_token, {
     status: 'failed',
     updated_at: now,
     completed_at: now,
     error_message: lastError || 'Moved to DLQ after max retries',
-  });
-  store.incrementJobFailed();
+    attempts,
+  }, dlqItem);
+  if (!updated) return leaseLost(job, 'DLQ move');
+  store.incrementJobFailed(job.tenant_id, dlqItem.type);
+  recordAttempt(job, now, 'failed');
   logger.info('dlq', { jobId: job.id, message: 'moved to DLQ' });
+  events.notifyApi('dead_lettered', updated);
+  queueWebhooks(updated, 'dead_lettered');
+}
+
+/**
+ * Run the handler, settling as soon as `signal` aborts (rejecting with signal.reason). A handler that ignores the
+ * signal keeps running detached, but its result is discarded and the worker slot is freed.
+ */
+function runHandler(handler, payload, ctx) {
+  return new Promise((resolve, reject) => {
+    const { signal } = ctx;
+    if (signal.aborted) return reject(signal.reason);
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve()
+      .then(() => handler(payload, ctx))
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
 }
 
-/** Process one already-leased job (ack, retry, or send to DLQ). Does not lease. */
-async function runOneJob(job) {
+/** Process one already-leased job (ack, retry, send to DLQ, or record cancellation). Does not lease. */
+async function runOneJob(job, cancelSignal) {
+  const currentRetries = (job.retries || 0) + 1;
+  const attempts = store.parseAttempts(job.attempts);
+  const jobLog = createJobLog(job, attempts.length > 0 ? attempts[attempts.length - 1].attempt : currentRetries);
+  const entry = active.get(job.id);
+  if (entry) entry.jobLog = jobLog; // flushed on heartbeats
   let payload = {};
   if (job.payload) {
     try {
@@ -143,47 +457,200 @@ async function runOneJob(job) {
       payload = typeof parsed === 'object' && parsed !== null ? parsed : {};
     } catch (e) {
       logger.warn('job_failed', { jobId: job.id, error: 'Invalid job payload JSON' });
-      sendToDlq(job, 'Invalid job payload JSON', (job.retries || 0) + 1);
+      jobLog.error('Invalid job payload JSON');
+      jobLog.close();
+      sendToDlq(job, 'Invalid job payload JSON', currentRetries);
       return;
     }
   }
-  const currentRetries = (job.retries || 0) + 1;
+  const type = job.type || handlers.DEFAULT_TYPE;
+  const handler = handlers.getHandler(type);
+  if (!handler) {
+    // Not retryable: the API rejects unknown types, so this only happens if a handler was removed
+    logger.warn('job_failed', { jobId: job.id, error: `No handler registered for type: ${type}` });
+    jobLog.error(`No handler registered for type: ${type}`);
+    jobLog.close();
+    sendToDlq(job, `No handler registered for type: ${type}`, currentRetries);
+    return;
+  }
+  const timeoutSec = job.timeout_seconds || config.JOB_TIMEOUT_SEC;
+  const timeoutSignal = AbortSignal.timeout(timeoutSec * 1000);
+  const signal = AbortSignal.any([cancelSignal, timeoutSignal]);
 
   try {
-    const result = await processJob(payload);
-    ack(job.id, result);
+    const ctx = {
+      jobId: job.id,
+      tenantId: job.tenant_id,
+      type,
+      signal,
+      extendLease: (seconds) => extendLease(job, seconds),
+      reportProgress: (percent, message) => reportProgress(job, percent, message),
+      log: { info: jobLog.info, warn: jobLog.warn, error: jobLog.error },
+    };
+    const result = await runHandler(handler, payload, ctx);
+    jobLog.close();
+    if (cancelSignal.aborted) return cancel(job); // cancelled just as the handler finished
+    ack(job, result);
   } catch (err) {
-    const errMsg = err.message || 'Unknown error';
+    if (cancelSignal.aborted) {
+      jobLog.warn('Cancelled while running');
+      jobLog.close();
+      return cancel(job);
+    }
+    const errMsg = timeoutSignal.aborted
+      ? `${TIMEOUT_ERROR_CODE}: job exceeded its ${timeoutSec}s timeout`
+      : err.message || 'Unknown error';
     logger.warn('job_failed', { jobId: job.id, error: errMsg });
+    jobLog.error(timeoutSignal.aborted || !err.stack ? errMsg : err.stack);
+    jobLog.close();
     if (currentRetries >= (job.max_retries || MAX_RETRIES)) {
-      store.updateJob(job.id, { error_message: errMsg });
       sendToDlq(job, errMsg, currentRetries);
     } else {
-      retry(job.id, errMsg);
+      retry(job, errMsg);
     }
   }
 }
 
-/** Release stale leases, then fill concurrency slots up to WORKER_CONCURRENCY. */
+/**
+ * Release stale leases, abort cancelled jobs, fire cron schedules, promote due scheduled jobs, advance workflows,
+ * send due webhooks, purge expired DLQ items, then fill concurrency slots up to WORKER_CONCURRENCY.
+ */
 function tryLeaseAndStart() {
+  if (mode === 'stopping') return;
   releaseStaleLeases();
-  while (inFlight < WORKER_CONCURRENCY) {
+  abortCancelledJobs();
+  scheduler.fireDueSchedules();
+  promoteDueJobs();
+  advanceWorkflows();
+  deliverWebhooks();
+  purgeExpiredDlq();
+  while (mode === 'running' && inFlight < WORKER_CONCURRENCY) {
     const job = leaseOne();
     if (!job) break;
     inFlight += 1;
-    runOneJob(job).finally(() => {
+    const queue = job.queue || queues.DEFAULT_QUEUE;
+    inFlightByQueue.set(queue, (inFlightByQueue.get(queue) || 0) + 1);
+    const entry = { job, controller: new AbortController() };
+    active.set(job.id, entry);
+    entry.promise = runOneJob(job, entry.controller.signal).finally(() => {
+      clearTimeout(entry.progressTimer);
+      active.delete(job.id);
       inFlight -= 1;
+      inFlightByQueue.set(queue, inFlightByQueue.get(queue) - 1);
+      if (mode === 'draining' && inFlight === 0) heartbeat(); // report "drained" right away
       tryLeaseAndStart(); // refill slot as soon as one finishes
     });
   }
 }
 
-// Start: fill concurrency pool and re-check periodically for new pending jobs
+/** Resolve when every in-flight job has finished, or after timeoutMs, whichever comes first. */
+function waitForInFlight(timeoutMs) {
+  const pending = [...active.values()].map((entry) => entry.promise);
+  if (pending.length === 0) return Promise.resolve();
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, timeoutMs);
+  });
+  return Promise.race([Promise.allSettled(pending), timeout]).finally(() => clearTimeout(timer));
+}
+
+/** Exposition text for this worker: state, slots, jobs by outcome, its histograms and process metrics. */
+function formatWorkerMetrics() {
+  const prefix = `${prometheus.PREFIX}worker_`;
+  const series = workerMetrics.series();
+  return prometheus.format([
+    { name: `${prefix}info`, type: 'gauge', help: 'Always 1; labels identify the worker and its state.', series: [{ labels: { worker_id: WORKER_ID, state: workerState() }, value: 1 }] },
+    { name: `${prefix}in_flight`, type: 'gauge', help: 'Jobs this worker is running.', series: [{ value: inFlight }] },
+    { name: `${prefix}concurrency`, type: 'gauge', help: 'Maximum jobs this worker runs at once.', series: [{ value: WORKER_CONCURRENCY }] },
+    {
+      name: `${prefix}jobs_total`,
+      type: 'counter',
+      help: 'Attempts finished by this worker, by type and outcome.',
+      series: series.filter((s) => s.name === 'jobs').map(({ labels, value }) => ({ labels, value })),
+    },
+    ...prometheus.seriesFamilies(series, prefix).filter((family) => family.type === 'histogram'),
+    ...prometheus.processFamilies(),
+  ]);
+}
+
+/** Serve GET /metrics on WORKER_METRICS_PORT (0 = off). */
+function startMetricsServer() {
+  if (!config.WORKER_METRICS_PORT) return null;
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found\n');
+    }
+    res.writeHead(200, { 'Content-Type': prometheus.CONTENT_TYPE });
+    res.end(formatWorkerMetrics());
+  });
+  server.on('error', (e) => logger.warn('metrics_server_error', { error: e.message }));
+  server.listen(config.WORKER_METRICS_PORT, () => {
+    logger.info('metrics_server', { message: `worker metrics at http://localhost:${config.WORKER_METRICS_PORT}/metrics` });
+  });
+  return server;
+}
+
+/** Hand unfinished jobs back to the queue, leave the registry and exit. Runs once however often it is called. */
+function releaseAndExit() {
+  if (!exiting) exiting = releaseAll();
+  return exiting;
+}
+
+async function releaseAll() {
+  clearInterval(heartbeatTimer);
+  for (const { jobLog } of active.values()) {
+    jobLog?.warn('Released at worker shutdown');
+    jobLog?.close();
+  }
+  const released = store.releaseLeases([...active.values()].map(({ job }) => ({ id: job.id, lease_token: job.lease_token })));
+  const notified = released.map((job) => {
+    const status = job.cancel_requested_at ? 'cancelled' : 'pending';
+    logger.warn('lease_released', { jobId: job.id, message: `Still running at shutdown; now ${status}` });
+    return events.notifyApi('released', { ...job, status });
+  });
+  store.removeWorker(WORKER_ID);
+  await Promise.all(notified);
+  logger.info('worker_stop', { message: `worker ${WORKER_ID} stopped (${released.length} job(s) released)` });
+  process.exit(0);
+}
+
+/** SIGTERM/SIGINT: stop leasing, give in-flight jobs SHUTDOWN_GRACE_SEC to finish, then release the rest. */
+async function shutdown(signal) {
+  if (mode === 'stopping') {
+    logger.warn('worker_stop', { message: `${signal} received again; releasing ${inFlight} job(s) now` });
+    return releaseAndExit();
+  }
+  mode = 'stopping';
+  clearInterval(pollTimer);
+  logger.info('worker_stop', { message: `${signal}: waiting up to ${config.SHUTDOWN_GRACE_SEC}s for ${inFlight} job(s)` });
+  heartbeat(); // publish "stopping"; heartbeats keep renewing leases during the grace period
+  await waitForInFlight(config.SHUTDOWN_GRACE_SEC * 1000);
+  await releaseAndExit();
+}
+
+/** A store error while releasing must not leave the process half stopped: log it and exit non-zero. */
+function onSignal(signal) {
+  shutdown(signal).catch((e) => {
+    logger.error('worker_stop_failed', { message: `${signal}: shutdown failed`, error: e.message });
+    process.exit(1);
+  });
+}
+
+process.on('SIGTERM', () => onSignal('SIGTERM'));
+process.on('SIGINT', () => onSignal('SIGINT'));
+
+// Start: fill concurrency pool and re-check periodically for new pending jobs; heartbeat on its own interval
 tryLeaseAndStart();
-setInterval(tryLeaseAndStart, POLL_MS);
+pollTimer = setInterval(tryLeaseAndStart, POLL_MS);
+heartbeat();
+heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+startMetricsServer();
 
 logger.info('worker_start', {
-  message: 'worker started',
+  message: `worker ${WORKER_ID} started`,
   leaseTimeoutSec: config.LEASE_TIMEOUT_SEC,
+  heartbeatIntervalSec: config.HEARTBEAT_INTERVAL_SEC,
   concurrency: WORKER_CONCURRENCY,
+  queues: WORKER_QUEUES ? config.WORKER_QUEUES : 'all',
 });
@@ -0,0 +1,129 @@
+/**
+ * Workflows (POST /workflows): a DAG of job specs, each with a key unique in the workflow and optional depends_on
+ * (keys of its parents). All jobs are created at once; a job with parents stays "blocked" until every parent is
+ * done, then becomes pending. When a parent ends failed (moved to the DLQ), cancelled or skipped, its blocked
+ * descendants end as the workflow's on_failure says: "cancel" (status cancelled) or "skip" (status skipped).
+ * The worker applies these transitions on every tick (store.advanceWorkflows). Redriving a failed parent does not
+ * revive descendants that were already cancelled or skipped.
+ */
+const store = require('./store');
+
+const MAX_WORKFLOW_JOBS = 50;
+const MAX_WORKFLOW_NAME_LEN = 128;
+const ON_FAILURE = ['cancel', 'skip'];
+const DEFAULT_ON_FAILURE = 'cancel';
+
+/** Statuses in which a workflow job can still change (done, failed, cancelled and skipped are final). */
+const ACTIVE_STATUSES = new Set(['blocked', 'scheduled', 'pending', 'running']);
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function isValidKey(s) {
+  return typeof s === 'string' && /^[\w.-]{1,64}$/.test(s);
+}
+
+/**
+ * Validate a POST /workflows body: { name?, on_failure?, jobs: [{ key, depends_on?, ...job spec }] }. Checks keys
+ * and edges only (the caller validates each job spec). Returns { name, on_failure, nodes: [{ key, spec, depends_on }] }
+ * with nodes in dependency order (parents first), or throws Error (status 400) for bad input or a cycle.
+ */
+function parseWorkflowRequest(body) {
+  const name = body?.name == null ? null : body.name;
+  if (name !== null && (typeof name !== 'string' || name.length > MAX_WORKFLOW_NAME_LEN)) {
+    throw badRequest(`name must be a string of at most ${MAX_WORKFLOW_NAME_LEN} characters`);
+  }
+  const onFailure = body?.on_failure ?? DEFAULT_ON_FAILURE;
+  if (!ON_FAILURE.includes(onFailure)) throw badRequest(`on_failure must be one of: ${ON_FAILURE.join(', ')}`);
+  const specs = body?.jobs;
+  if (!Array.isArray(specs) || specs.length === 0 || specs.length > MAX_WORKFLOW_JOBS) {
+    throw badRequest(`jobs must be an array of 1 to ${MAX_WORKFLOW_JOBS} job specs`);
+  }
+
+  const nodes = new Map();
+  for (const spec of specs) {
+    if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) throw badRequest('Each job must be an object');
+    if (!isValidKey(spec.key)) throw badRequest('Each job needs a key of 1-64 letters, digits, "_", "-" or "."');
+    if (nodes.has(spec.key)) throw badRequest(`Duplicate job key "${spec.key}"`);
+    if (spec.run_at != null || spec.delay_seconds != null) {
+      throw badRequest(`Job "${spec.key}": run_at / delay_seconds are not supported in workflows`);
+    }
+    const dependsOn = spec.depends_on ?? [];
+    if (!Array.isArray(dependsOn) || !dependsOn.every(isValidKey)) {
+      throw badRequest(`Job "${spec.key}": depends_on must be an array of job keys`);
+    }
+    const { key, depends_on: _edges, ...jobSpec } = spec;
+    nodes.set(key, { key, spec: jobSpec, depends_on: [...new Set(dependsOn)] });
+  }
+  for (const node of nodes.values()) {
+    const unknown = node.depends_on.find((k) => !nodes.has(k));
+    if (unknown) throw badRequest(`Job "${node.key}" depends on unknown job "${unknown}"`);
+    if (node.depends_on.includes(node.key)) throw badRequest(`Job "${node.key}" depends on itself`);
+  }
+
+  // Kahn's algorithm: place nodes whose parents are all placed; whatever is left lies on a cycle
+  const ordered = [];
+  const waiting = new Map([...nodes.values()].map((n) => [n.key, n.depends_on.length]));
+  const queue = [...nodes.values()].filter((n) => n.depends_on.length === 0);
+  while (queue.length > 0) {
+    const node = queue.shift();
+    ordered.push(node);
+    waiting.delete(node.key);
+    for (const child of nodes.values()) {
+      if (!child.depends_on.includes(node.key)) continue;
+      waiting.set(child.key, waiting.get(child.key) - 1);
+      if (waiting.get(child.key) === 0) queue.push(child);
+    }
+  }
+  if (waiting.size > 0) throw badRequest(`Dependency cycle between jobs: ${[...waiting.keys()].join(', ')}`);
+  return { name, on_failure: onFailure, nodes: ordered };
+}
+
+/**
+ * Aggregate state of a workflow's jobs: running while any job can still change, then failed if any job failed,
+ * cancelled if any was cancelled or skipped, else done.
+ */
+function workflowStatus(jobs) {
+  if (jobs.some((j) => ACTIVE_STATUSES.has(j.status))) return 'running';
+  if (jobs.some((j) => j.status === 'failed')) return 'failed';
+  if (jobs.some((j) => j.status === 'cancelled' || j.status === 'skipped')) return 'cancelled';
+  return 'done';
+}
+
+/** Public view of a workflow row and its jobs (store.listWorkflowJobs): aggregate status, counts and the graph. */
+function workflowToJson(row, jobs) {
+  const keyById = new Map(jobs.map((j) => [j.id, j.workflow_key]));
+  const counts = {};
+  for (const job of jobs) counts[job.status] = (counts[job.status] || 0) + 1;
+  return {
+    id: row.id,
+    name: row.name ?? null,
+    tenant_id: row.tenant_id,
+    on_failure: row.on_failure,
+    created_at: row.created_at,
+    status: workflowStatus(jobs),
+    total: jobs.length,
+    counts,
+    jobs: jobs.map((j) => ({
+      key: j.workflow_key,
+      job_id: j.id,
+      type: j.type,
+      status: j.status,
+      depends_on: store.parseIdList(j.depends_on).map((id) => keyById.get(id) ?? id),
+      leased_at: j.leased_at ?? null,
+      completed_at: j.completed_at ?? null,
+      error_message: j.error_message ?? null,
+    })),
+  };
+}
+
+module.exports = {
+  MAX_WORKFLOW_JOBS,
+  ON_FAILURE,
+  parseWorkflowRequest,
+  workflowStatus,
+  workflowToJson,
+};
@@ -1,11 +1,68 @@
-import { useState, useEffect, useCallback } from 'react';
-import { submitJob, listJobs, listDlq, getMetrics } from './api';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  submitJob,
+  listJobs,
+  listDlq,
+  redriveDlq,
+  purgeDlq,
+  deleteDlqItem,
+  exportDlq,
+  getMetrics,
+  getMetricsHistory,
+  retryJob,
+  cancelJob,
+  getJobLogs,
+  getJobAttempts,
+  getJobWebhooks,
+  subscribeEvents,
+  listSchedules,
+  createSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule,
+  listWorkers,
+  drainWorker,
+  listQueues,
+  pauseQueue,
+  resumeQueue,
+  submitWorkflow,
+  listWorkflows,
+  submitBatch,
+  getBatch,
+} from './api';
 import './App.css';
 
 const POLL_INTERVAL_MS = 3000;
 const POLL_INTERVAL_REALTIME_MS = 800;
 const POLL_INTERVAL_WHEN_ERROR_MS = 10000;
-const STATUSES = ['pending', 'running', 'done', 'failed'];
+/** Coalesce bursts of live events into one re-fetch. */
+const EVENT_REFETCH_DELAY_MS = 150;
+const STATUSES = ['scheduled', 'blocked', 'pending', 'running', 'done', 'failed', 'cancelled', 'skipped'];
+const CANCELLABLE = new Set(['scheduled', 'blocked', 'pending', 'running']);
+const SCHEDULE_ACTIONS = { pause: pauseSchedule, resume: resumeSchedule, delete: deleteSchedule };
+const LOG_PAGE_SIZE = 100;
+const HISTORY_WINDOWS = ['15m', '1h', '6h', '24h'];
+/** History changes by the minute, so it is refreshed on its own slower timer. */
+const HISTORY_REFRESH_MS = 30000;
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 90;
+const GRAPH_NODE_WIDTH = 96;
+const GRAPH_NODE_HEIGHT = 28;
+const GRAPH_COL_GAP = 36;
+const GRAPH_ROW_GAP = 10;
+/** Demo workflows: fetch → left, right → report; text length = seconds of work. */
+const DEMO_WORKFLOW = [
+  { key: 'fetch', text: 'abc' },
+  { key: 'left', text: 'abcd', depends_on: ['fetch'] },
+  { key: 'right', text: 'ab', depends_on: ['fetch'] },
+  { key: 'report', text: 'abc', depends_on: ['left', 'right'] },
+];
+const DEMO_FAILING_WORKFLOW = DEMO_WORKFLOW.map((job) => (job.key === 'left' ? { ...job, text: undefined, payload: { fail: true } } : job));
+const DEMO_BATCH_SIZE = 20;
+const DLQ_PAGE_SIZE = 25;
+const EMPTY_DLQ_FILTER = { tenant_id: '', error: '', since: '', until: '', state: 'all' };
+/** Batches submitted from this page; there is no list endpoint, so the panel tracks their ids. */
+const MAX_TRACKED_BATCHES = 5;
 
 function jobText(job) {
   if (!job.payload) return '';
@@ -20,50 +77,201 @@ function jobText(job) {
   return job.payload?.text ?? job.payload?.message ?? '';
 }
 
-/** Duration in seconds for running job (1 sec per char, min 1 max 30 — matches worker). */
-function jobDurationSec(job) {
-  const text = jobText(job);
-  return Math.min(Math.max((text || '').length, 1), 30);
+/** "1h 2m", "3m 5s", "12s" — for countdowns. */
+function formatDuration(sec) {
+  const s = Math.max(0, Math.ceil(sec));
+  if (s >= 3600) return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+  if (s >= 60) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${s}s`;
+}
+
+/** Seconds until `iso`, re-rendered every second while active. */
+function useCountdown(iso, active) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!active) return undefined;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [active]);
+  return iso ? (new Date(iso).getTime() - now) / 1000 : 0;
+}
+
+/** Attempt history as a timeline: one entry per lease with worker, start time, duration, outcome and error. */
+function AttemptTimeline({ attempts }) {
+  if (!attempts || attempts.length === 0) return <p className="muted">No attempts yet.</p>;
+  return (
+    <ol className="attempt-timeline">
+      {attempts.map((a) => (
+        <li key={a.attempt} className={`attempt outcome-${a.outcome}`}>
+          <span className="attempt-number">#{a.attempt}</span>
+          <span className="attempt-outcome">{a.outcome.replace('_', ' ')}</span>
+          <span className="job-time" title={a.worker_id || undefined}>
+            {new Date(a.leased_at).toLocaleTimeString()}
+            {a.duration_ms != null && ` · ${formatDuration(a.duration_ms / 1000)}`}
+            {a.worker_id && ` · ${a.worker_id}`}
+          </span>
+          {a.error && <span className="attempt-error" title={a.error}>{a.error}</span>}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+/** Webhook deliveries for a job: event, target, status and one line per delivery attempt. */
+function WebhookDeliveries({ deliveries }) {
+  return (
+    <ul className="webhook-deliveries">
+      {deliveries.map((d) => (
+        <li key={d.id} className={`webhook-delivery delivery-${d.status}`}>
+          <span className="delivery-event">{d.event.replace('_', ' ')}</span>
+          <span className="delivery-status">{d.status}</span>
+          <span className="delivery-url" title={d.url}>{d.url}</span>
+          {d.status === 'pending' && d.next_attempt_at && (
+            <span className="job-time">next try {new Date(d.next_attempt_at).toLocaleTimeString()}</span>
+          )}
+          {d.log.length > 0 && (
+            <ol className="delivery-log">
+              {d.log.map((a) => (
+                <li key={a.attempt}>
+                  #{a.attempt} {new Date(a.at).toLocaleTimeString()} · {a.status_code ?? 'no response'} · {a.duration_ms} ms
+                  {a.error && <span className="delivery-error" title={a.error}> · {a.error}</span>}
+                </li>
+              ))}
+            </ol>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/** Log viewer in the job detail panel: loads the first page when opened, then "Load more". */
+function JobLogs({ jobId, apiKey }) {
+  const [open, setOpen] = useState(false);
+  const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function load(offset) {
+    setLoading(true);
+    try {
+      const page = await getJobLogs(jobId, { limit: LOG_PAGE_SIZE, offset, apiKey: apiKey || undefined });
+      setLogs((prev) => (offset === 0 ? page.logs : prev.concat(page.logs)));
+      setTotal(page.total);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch job logs');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function toggle() {
+    if (!open) load(0);
+    setOpen(!open);
+  }
+
+  return (
+    <div className="job-logs" onClick={(e) => e.stopPropagation()}>
+      <button type="button" className="btn-row" onClick={toggle}>{open ? 'Hide logs' : 'Show logs'}</button>
+      {open && (
+        <>
+          {error && <p className="error">{error}</p>}
+          {!error && logs.length === 0 && !loading && <p className="muted">No log lines.</p>}
+          {logs.length > 0 && (
+            <pre className="job-log-lines">
+              {logs.map((line, i) => (
+                <div key={i} className={`log-line log-${line.level}`}>
+                  <span className="log-meta">#{line.attempt} {new Date(line.ts).toLocaleTimeString()} {line.level}</span> {line.message}
+                </div>
+              ))}
+            </pre>
+          )}
+          {logs.length < total && (
+            <button type="button" className="btn-row" disabled={loading} onClick={() => load(logs.length)}>
+              Load more ({total - logs.length})
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
 }
 
-function JobRow({ job }) {
+function JobRow({ job, apiKey, onRetry, onCancel }) {
   const [expanded, setExpanded] = useState(false);
-  const [progress, setProgress] = useState(0);
   const text = jobText(job);
   const isRunning = job.status === 'running';
-  const durationSec = jobDurationSec(job);
-  const leasedAt = job.leased_at ? new Date(job.leased_at).getTime() : null;
+  const hasProgress = job.progress != null;
+  const isScheduled = job.status === 'scheduled';
+  const runsInSec = useCountdown(job.run_at, isScheduled);
+  const isBackingOff = job.status === 'pending' && Boolean(job.next_attempt_at) && new Date(job.next_attempt_at).getTime() > Date.now();
+  const retryInSec = useCountdown(job.next_attempt_at, isBackingOff);
+  const isCancelling = isRunning && Boolean(job.cancel_requested_at);
+  const [attempts, setAttempts] = useState(null);
+  const [deliveries, setDeliveries] = useState(null);
 
-  // Progress bar for running jobs: update every 200ms based on elapsed / duration
+  // Attempt history and webhook deliveries are fetched while the row is expanded, again whenever the job changes
   useEffect(() => {
-    if (!isRunning || !leasedAt) {
-      setProgress(0);
-      return;
-    }
-    const tick = () => {
-      const elapsed = (Date.now() - leasedAt) / 1000;
-      const p = Math.min(100, (elapsed / durationSec) * 100);
-      setProgress(p);
+    if (!expanded) return undefined;
+    let cancelled = false;
+    getJobAttempts(job.id, { apiKey: apiKey || undefined })
+      .then((list) => !cancelled && setAttempts(list))
+      .catch(() => !cancelled && setAttempts(null));
+    getJobWebhooks(job.id, { apiKey: apiKey || undefined })
+      .then((list) => !cancelled && setDeliveries(list))
+      .catch(() => !cancelled && setDeliveries(null));
+    return () => {
+      cancelled = true;
     };
-    tick();
-    const id = setInterval(tick, 200);
-    return () => clearInterval(id);
-  }, [isRunning, leasedAt, durationSec]);
+  }, [expanded, job.id, job.updated_at, apiKey]);
 
   return (
     <div className={`job-row status-${job.status} ${isRunning ? 'is-running' : ''}`} onClick={() => setExpanded(!expanded)}>
       <div className="job-row-main">
         <span className="job-status">{job.status}</span>
         {text && <span className="job-text" title={text}>{text.length > 40 ? text.slice(0, 40) + '…' : text}</span>}
+        {job.queue && job.queue !== 'default' && <span className="badge queue" title="Queue">{job.queue}</span>}
+        {job.priority !== 0 && (
+          <span className={`badge priority ${job.priority > 0 ? 'is-high' : 'is-low'}`} title="Priority (higher runs first)">
+            P{job.priority > 0 ? '+' : ''}{job.priority}
+          </span>
+        )}
         <span className="job-retries">retries: {job.retries}/{job.max_retries}</span>
+        {isScheduled && job.run_at && (
+          <span className="job-countdown" title={new Date(job.run_at).toLocaleString()}>
+            {runsInSec > 0 ? `runs in ${formatDuration(runsInSec)}` : 'due'}
+          </span>
+        )}
+        {isBackingOff && retryInSec > 0 && (
+          <span className="job-countdown is-backoff" title={job.error_message || undefined}>
+            retry in {formatDuration(retryInSec)}
+          </span>
+        )}
+        {isCancelling && <span className="job-countdown is-cancelling">cancelling…</span>}
         <span className="job-time">{new Date(job.created_at).toLocaleString()}</span>
+        {job.status === 'failed' && onRetry && (
+          <button type="button" className="btn-row" onClick={(e) => { e.stopPropagation(); onRetry(job.id); }}>Retry</button>
+        )}
+        {CANCELLABLE.has(job.status) && !isCancelling && onCancel && (
+          <button type="button" className="btn-row btn-cancel" onClick={(e) => { e.stopPropagation(); onCancel(job.id); }}>Cancel</button>
+        )}
       </div>
+      {/* Progress reported by the handler (ctx.reportProgress); indeterminate until it reports any */}
       {isRunning && (
         <div className="job-progress-wrap">
-          <div className="job-progress" role="progressbar" aria-valuenow={Math.round(progress)} aria-valuemin={0} aria-valuemax={100} title={`${Math.round(progress)}% — ${durationSec}s total`}>
-            <div className="job-progress-bar" style={{ width: `${progress}%` }} />
-          </div>
-          <span className="job-progress-label">{Math.round(progress)}%</span>
+          {hasProgress ? (
+            <div className="job-progress" role="progressbar" aria-valuenow={job.progress} aria-valuemin={0} aria-valuemax={100} title={job.progress_message || `${job.progress}%`}>
+              <div className="job-progress-bar" style={{ width: `${job.progress}%` }} />
+            </div>
+          ) : (
+            <div className="job-progress is-indeterminate" role="progressbar" title="No progress reported">
+              <div className="job-progress-bar" />
+            </div>
+          )}
+          <span className="job-progress-label">{hasProgress ? `${job.progress}%` : '…'}</span>
+          {job.progress_message && <span className="job-progress-message">{job.progress_message}</span>}
         </div>
       )}
       {expanded && (
@@ -74,56 +282,633 @@ function JobRow({ job }) {
           )}
           {job.error_message && <p className="error"><strong>Error:</strong> {job.error_message}</p>}
           {job.result && <p><strong>Result:</strong> <pre>{job.result}</pre></p>}
+          {attempts && (
+            <div className="job-attempts">
+              <strong>Attempts:</strong>
+              <AttemptTimeline attempts={attempts} />
+            </div>
+          )}
+          {job.callback_url && <p><strong>Callback URL:</strong> <code>{job.callback_url}</code></p>}
+          {job.workflow_id && (
+            <p>
+              <strong>Workflow step:</strong> {job.workflow_key}
+              {job.depends_on.length > 0 && <> · waits for {job.depends_on.length} parent job(s)</>}
+            </p>
+          )}
+          {deliveries?.length > 0 && (
+            <div className="job-webhooks">
+              <strong>Webhooks:</strong>
+              <WebhookDeliveries deliveries={deliveries} />
+            </div>
+          )}
+          <JobLogs jobId={job.id} apiKey={apiKey} />
         </div>
       )}
     </div>
   );
 }
 
-function DlqRow({ item }) {
+function DlqRow({ item, selected, onSelect, onRetry, onDelete }) {
   const [expanded, setExpanded] = useState(false);
+  const [payloadDraft, setPayloadDraft] = useState(item.payload || '{}');
+  const [draftError, setDraftError] = useState(null);
+  const redriven = Boolean(item.redriven_at);
+
+  /** Retry with the edited payload (must be a JSON object). */
+  function retryWithPayload() {
+    let payload;
+    try {
+      payload = JSON.parse(payloadDraft);
+    } catch {
+      setDraftError('Payload must be valid JSON');
+      return;
+    }
+    setDraftError(null);
+    onRetry(item.id, { payload });
+  }
+
   return (
-    <div className="dlq-row" onClick={() => setExpanded(!expanded)}>
+    <div className={`dlq-row ${redriven ? 'is-redriven' : ''}`} onClick={() => setExpanded(!expanded)}>
       <div className="job-row-main">
+        <input
+          type="checkbox"
+          checked={selected}
+          onClick={(e) => e.stopPropagation()}
+          onChange={() => onSelect(item.id)}
+          aria-label="Select DLQ item"
+        />
         {item.last_error && <span className="dlq-reason" title={item.last_error}>{item.last_error.length > 50 ? item.last_error.slice(0, 50) + '…' : item.last_error}</span>}
         <span className="job-retries">retries: {item.retries}</span>
         <span className="job-time">{new Date(item.failed_at).toLocaleString()}</span>
+        {redriven ? (
+          <span className="badge" title={`Redriven ${new Date(item.redriven_at).toLocaleString()}`}>redriven</span>
+        ) : onRetry && (
+          <button type="button" className="btn-row" onClick={(e) => { e.stopPropagation(); onRetry(item.id); }}>Retry</button>
+        )}
+        <button type="button" className="btn-row btn-cancel" onClick={(e) => { e.stopPropagation(); onDelete(item.id); }}>Delete</button>
       </div>
       {expanded && (
         <div className="job-row-detail">
           <p><strong>Job ID:</strong> <code>{item.job_id}</code></p>
           {item.last_error && <p className="error"><strong>Reason (last error):</strong> {item.last_error}</p>}
           {item.payload && <p><strong>Payload:</strong> <pre>{item.payload}</pre></p>}
+          {item.attempts?.length > 0 && (
+            <div className="job-attempts">
+              <strong>Attempts:</strong>
+              <AttemptTimeline attempts={item.attempts} />
+            </div>
+          )}
+          {!redriven && onRetry && (
+            <div className="payload-edit" onClick={(e) => e.stopPropagation()}>
+              <label>
+                Edit payload and retry
+                <textarea value={payloadDraft} onChange={(e) => setPayloadDraft(e.target.value)} rows={3} />
+              </label>
+              {draftError && <p className="error">{draftError}</p>}
+              <button type="button" className="btn-row" onClick={retryWithPayload}>Retry with this payload</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Filter form values → API filter: the datetime-local inputs (local time) become ISO timestamps. */
+function dlqApiFilter(form) {
+  return {
+    ...form,
+    since: form.since ? new Date(form.since).toISOString() : '',
+    until: form.until ? new Date(form.until).toISOString() : '',
+  };
+}
+
+/**
+ * Dead letter queue: filters (tenant, error text, failed-at range, redriven or not), pages of DLQ_PAGE_SIZE, row
+ * selection, and retry / delete of the selection, or of everything matching the filter when nothing is selected.
+ * Reloads whenever refreshKey changes (the dashboard's last refresh).
+ */
+function DlqPanel({ apiKey, refreshKey, onRetry, onChange, setStatus }) {
+  const [form, setForm] = useState(EMPTY_DLQ_FILTER);
+  const [filter, setFilter] = useState(EMPTY_DLQ_FILTER);
+  const [offset, setOffset] = useState(0);
+  const [page, setPage] = useState({ items: [], total: 0 });
+  const [selected, setSelected] = useState(() => new Set());
+  const [error, setError] = useState(null);
+  const opts = { apiKey: apiKey || undefined };
+
+  useEffect(() => {
+    let cancelled = false;
+    listDlq({ ...dlqApiFilter(filter), limit: DLQ_PAGE_SIZE, offset }, { apiKey: apiKey || undefined })
+      .then((data) => {
+        if (cancelled) return;
+        if (data.items.length === 0 && offset > 0) setOffset(Math.max(0, offset - DLQ_PAGE_SIZE)); // page emptied
+        setPage(data);
+        setError(null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to fetch DLQ');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [filter, offset, apiKey, refreshKey]);
+
+  function applyFilter(next) {
+    setFilter(next);
+    setOffset(0);
+    setSelected(new Set());
+  }
+
+  function toggle(id) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  const pageSelected = page.items.length > 0 && page.items.every((item) => selected.has(item.id));
+  function togglePage() {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      for (const item of page.items) {
+        if (pageSelected) next.delete(item.id);
+        else next.add(item.id);
+      }
+      return next;
+    });
+  }
+
+  async function bulk(action) {
+    const target = selected.size > 0 ? { ids: [...selected] } : { ...dlqApiFilter(filter), all: true };
+    const scope = selected.size > 0 ? `${selected.size} selected` : `all ${page.total} matching`;
+    if (action === 'delete' && !window.confirm(`Delete ${scope} DLQ item(s)? Their jobs stay failed.`)) return;
+    setStatus({ type: null, message: '' });
+    try {
+      if (action === 'retry') {
+        const res = await redriveDlq(target, opts);
+        setStatus({ type: 'success', message: `Re-queued ${res.redriven} job(s)` });
+      } else {
+        const res = await purgeDlq(target, opts);
+        setStatus({ type: 'success', message: `Deleted ${res.deleted} DLQ item(s)` });
+      }
+      setSelected(new Set());
+      onChange();
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message || 'DLQ action failed' });
+    }
+  }
+
+  async function handleDelete(id) {
+    setStatus({ type: null, message: '' });
+    try {
+      await deleteDlqItem(id, opts);
+      setSelected((prev) => {
+        const next = new Set(prev);
+        next.delete(id);
+        return next;
+      });
+      setStatus({ type: 'success', message: 'DLQ item deleted' });
+      onChange();
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message || 'Delete failed' });
+    }
+  }
+
+  async function handleExport(format) {
+    try {
+      const { blob, filename } = await exportDlq(dlqApiFilter(filter), format, opts);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message || 'Export failed' });
+    }
+  }
+
+  const field = (key) => ({ value: form[key], onChange: (e) => setForm({ ...form, [key]: e.target.value }) });
+  const which = selected.size > 0 ? `${selected.size} selected` : 'matching';
+
+  return (
+    <section className="dlq-section">
+      <div className="section-head">
+        <h2>Dead letter queue</h2>
+        <div className="section-actions">
+          <button type="button" className="btn-row" onClick={() => bulk('retry')} disabled={page.total === 0}>Retry {which}</button>
+          <button type="button" className="btn-row btn-cancel" onClick={() => bulk('delete')} disabled={page.total === 0}>Delete {which}</button>
+          <button type="button" className="btn-row" onClick={() => handleExport('csv')}>Export CSV</button>
+          <button type="button" className="btn-row" onClick={() => handleExport('ndjson')}>Export NDJSON</button>
+        </div>
+      </div>
+      <form className="schedule-form dlq-filters" onSubmit={(e) => { e.preventDefault(); applyFilter(form); }}>
+        <input type="text" placeholder="Tenant" {...field('tenant_id')} />
+        <input type="text" placeholder="Error contains" {...field('error')} />
+        <input type="datetime-local" title="Failed at or after" {...field('since')} />
+        <input type="datetime-local" title="Failed before" {...field('until')} />
+        <select {...field('state')}>
+          <option value="all">All</option>
+          <option value="open">Not redriven</option>
+          <option value="redriven">Redriven</option>
+        </select>
+        <button type="submit" className="btn-row">Filter</button>
+        <button type="button" className="btn-row" onClick={() => { setForm(EMPTY_DLQ_FILTER); applyFilter(EMPTY_DLQ_FILTER); }}>Clear</button>
+      </form>
+      {error && <p className="muted">{error}</p>}
+      {page.items.length === 0 ? (
+        <p className="muted">No DLQ items.</p>
+      ) : (
+        <>
+          <label className="dlq-select-page">
+            <input type="checkbox" checked={pageSelected} onChange={togglePage} /> Select page
+          </label>
+          <div className="job-list">
+            {page.items.map((item) => (
+              <DlqRow
+                key={item.id}
+                item={item}
+                selected={selected.has(item.id)}
+                onSelect={toggle}
+                onRetry={onRetry}
+                onDelete={handleDelete}
+              />
+            ))}
+          </div>
+        </>
+      )}
+      {page.total > DLQ_PAGE_SIZE && (
+        <div className="dlq-pager">
+          <button type="button" className="btn-row" disabled={offset === 0} onClick={() => setOffset(Math.max(0, offset - DLQ_PAGE_SIZE))}>Previous</button>
+          <span className="muted">{offset + 1}–{Math.min(offset + DLQ_PAGE_SIZE, page.total)} of {page.total}</span>
+          <button type="button" className="btn-row" disabled={offset + DLQ_PAGE_SIZE >= page.total} onClick={() => setOffset(offset + DLQ_PAGE_SIZE)}>Next</button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+function ScheduleRow({ schedule, onAction }) {
+  const paused = schedule.status !== 'active';
+  const label = schedule.name || schedule.payload?.text || schedule.type;
+  return (
+    <div className={`schedule-row ${paused ? 'is-paused' : ''}`}>
+      <div className="job-row-main">
+        <code className="schedule-cron">{schedule.cron}</code>
+        <span className="job-text">{label}</span>
+        <span className="job-time" title="Next fire time">
+          {paused ? 'paused' : schedule.next_fire_at ? `next ${new Date(schedule.next_fire_at).toLocaleString()}` : 'never fires'}
+        </span>
+        {schedule.last_job_status && (
+          <span className={`badge status-${schedule.last_job_status}`} title={`Last run ${new Date(schedule.last_fire_at).toLocaleString()}`}>
+            last: {schedule.last_job_status}
+          </span>
+        )}
+        <button type="button" className="btn-row" onClick={() => onAction(paused ? 'resume' : 'pause', schedule.id)}>
+          {paused ? 'Resume' : 'Pause'}
+        </button>
+        <button type="button" className="btn-row" onClick={() => onAction('delete', schedule.id)}>Delete</button>
+      </div>
+    </div>
+  );
+}
+
+/** "emails=2, reports" for a worker started with WORKER_QUEUES (null = every queue). */
+function workerQueuesLabel(queues) {
+  return Object.entries(queues).map(([name, limit]) => (limit == null ? name : `${name}=${limit}`)).join(', ');
+}
+
+function QueueRow({ queue, onToggle }) {
+  return (
+    <div className={`queue-row ${queue.paused ? 'is-paused' : ''}`}>
+      <div className="job-row-main">
+        <code className="queue-name">{queue.name}</code>
+        <span className="job-text">
+          {queue.depth} waiting · {queue.in_flight} in flight
+          {queue.scheduled > 0 && <> · {queue.scheduled} scheduled</>}
+          {queue.blocked > 0 && <> · {queue.blocked} blocked</>}
+        </span>
+        <span className="job-time" title="Live workers that lease from this queue">
+          {queue.workers} worker(s)
+        </span>
+        {queue.paused && (
+          <span className="badge queue-paused" title={`Paused ${new Date(queue.paused_at).toLocaleString()}`}>paused</span>
+        )}
+        <button type="button" className="btn-row" onClick={() => onToggle(queue)}>
+          {queue.paused ? 'Resume' : 'Pause'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function WorkerRow({ worker, onDrain }) {
+  return (
+    <div className={`worker-row state-${worker.state}`}>
+      <div className="job-row-main">
+        <code className="worker-id">{worker.id}</code>
+        <span className="job-text">{worker.hostname} · pid {worker.pid}</span>
+        <span className="job-time" title="Last heartbeat">
+          {worker.in_flight}/{worker.concurrency} busy · seen {new Date(worker.heartbeat_at).toLocaleTimeString()}
+        </span>
+        {worker.queues && <span className="job-time" title="WORKER_QUEUES">queues: {workerQueuesLabel(worker.queues)}</span>}
+        <span className={`badge worker-state-${worker.state}`}>{worker.state}</span>
+        {worker.state === 'running' && !worker.drain_requested_at && (
+          <button type="button" className="btn-row" onClick={() => onDrain(worker.id)}>Drain</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** "850 ms", "4.2 s", "3.5 min" — for latency percentiles. */
+function formatSeconds(sec) {
+  if (sec < 1) return `${Math.round(sec * 1000)} ms`;
+  if (sec < 120) return `${sec.toFixed(1)} s`;
+  return `${(sec / 60).toFixed(1)} min`;
+}
+
+/**
+ * SVG line chart of history buckets: one line per { key, label, color }. Null values (no observations in that
+ * bucket) leave a gap; every point is drawn as a dot so isolated values stay visible.
+ */
+function LineChart({ title, buckets, lines, format = String }) {
+  const values = lines.flatMap((line) => buckets.map((b) => b[line.key])).filter((v) => v != null);
+  const max = Math.max(0, ...values);
+  const x = (i) => (buckets.length > 1 ? (i / (buckets.length - 1)) * CHART_WIDTH : 0);
+  const y = (v) => CHART_HEIGHT - (max > 0 ? (v / max) * CHART_HEIGHT : 0);
+  const path = (key) => {
+    let d = '';
+    let pen = false;
+    buckets.forEach((b, i) => {
+      if (b[key] == null) {
+        pen = false;
+        return;
+      }
+      d += `${pen ? 'L' : 'M'}${x(i).toFixed(1)},${y(b[key]).toFixed(1)} `;
+      pen = true;
+    });
+    return d;
+  };
+  const time = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return (
+    <div className="chart">
+      <div className="chart-head">
+        <span className="chart-title">{title}</span>
+        <span className="chart-legend">
+          {lines.map((line) => (
+            <span key={line.key} style={{ color: line.color }}>{line.label}</span>
+          ))}
+        </span>
+      </div>
+      {values.length === 0 ? (
+        <p className="muted chart-empty">No data in this window.</p>
+      ) : (
+        <svg className="chart-plot" viewBox={`-4 -4 ${CHART_WIDTH + 8} ${CHART_HEIGHT + 8}`}>
+          <line className="chart-axis" x1="0" y1={CHART_HEIGHT} x2={CHART_WIDTH} y2={CHART_HEIGHT} />
+          {lines.map((line) => (
+            <g key={line.key} style={{ stroke: line.color, fill: line.color }}>
+              <path d={path(line.key)} className="chart-line" />
+              {buckets.map((b, i) => b[line.key] != null && (
+                <circle key={b.start} cx={x(i)} cy={y(b[line.key])} r="1.5">
+                  <title>{`${time(b.start)} · ${line.label}: ${format(b[line.key])}`}</title>
+                </circle>
+              ))}
+            </g>
+          ))}
+        </svg>
+      )}
+      {buckets.length > 0 && (
+        <div className="chart-axis-labels">
+          <span>{time(buckets[0].start)}</span>
+          <span>max {format(max)}</span>
+          <span>now</span>
         </div>
       )}
     </div>
   );
 }
 
+/**
+ * SVG of a workflow's jobs: one column per depth (longest chain of parents), edges from parent to child, nodes
+ * coloured by status. Hover a node for its status and error.
+ */
+function WorkflowGraph({ jobs }) {
+  const byKey = new Map(jobs.map((j) => [j.key, j]));
+  const depth = new Map();
+  const depthOf = (key) => {
+    if (!depth.has(key)) depth.set(key, Math.max(-1, ...(byKey.get(key)?.depends_on || []).map(depthOf)) + 1);
+    return depth.get(key);
+  };
+  const columns = [];
+  for (const job of jobs) (columns[depthOf(job.key)] ||= []).push(job); // jobs are in dependency order
+  const pos = new Map();
+  columns.forEach((col, c) => col.forEach((job, r) => pos.set(job.key, {
+    x: c * (GRAPH_NODE_WIDTH + GRAPH_COL_GAP),
+    y: r * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP),
+  })));
+  const width = columns.length * (GRAPH_NODE_WIDTH + GRAPH_COL_GAP) - GRAPH_COL_GAP;
+  const height = Math.max(...columns.map((col) => col.length)) * (GRAPH_NODE_HEIGHT + GRAPH_ROW_GAP) - GRAPH_ROW_GAP;
+  return (
+    <svg className="workflow-graph" width={width + 4} height={height + 4} viewBox={`-2 -2 ${width + 4} ${height + 4}`}>
+      {jobs.flatMap((job) => job.depends_on.filter((k) => pos.has(k)).map((parent) => {
+        const from = pos.get(parent);
+        const to = pos.get(job.key);
+        const x1 = from.x + GRAPH_NODE_WIDTH;
+        const y1 = from.y + GRAPH_NODE_HEIGHT / 2;
+        const y2 = to.y + GRAPH_NODE_HEIGHT / 2;
+        const mid = (x1 + to.x) / 2;
+        return <path key={`${parent}-${job.key}`} className="workflow-edge" d={`M${x1},${y1} C${mid},${y1} ${mid},${y2} ${to.x},${y2}`} />;
+      }))}
+      {jobs.map((job) => {
+        const { x, y } = pos.get(job.key);
+        return (
+          <g key={job.key} className={`workflow-node status-${job.status}`} transform={`translate(${x},${y})`}>
+            <title>{`${job.key}: ${job.status}${job.error_message ? ` — ${job.error_message}` : ''}`}</title>
+            <rect width={GRAPH_NODE_WIDTH} height={GRAPH_NODE_HEIGHT} rx="5" />
+            <text x={GRAPH_NODE_WIDTH / 2} y={GRAPH_NODE_HEIGHT / 2}>{job.key}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function WorkflowRow({ workflow }) {
+  const done = workflow.counts.done || 0;
+  return (
+    <div className={`workflow-row status-${workflow.status}`}>
+      <div className="job-row-main">
+        <span className="job-text">{workflow.name || workflow.id.slice(0, 8)}</span>
+        <span className="job-time" title={`on_failure: ${workflow.on_failure}`}>
+          {done}/{workflow.total} done · {new Date(workflow.created_at).toLocaleTimeString()}
+        </span>
+        <span className={`badge status-${workflow.status}`}>{workflow.status}</span>
+      </div>
+      <div className="workflow-graph-wrap">
+        <WorkflowGraph jobs={workflow.jobs} />
+      </div>
+    </div>
+  );
+}
+
+function BatchRow({ batch }) {
+  const failed = batch.counts.failed || 0;
+  return (
+    <div className={`workflow-row status-${batch.status}`}>
+      <div className="job-row-main">
+        <span className="job-text">{batch.name || batch.id.slice(0, 8)}</span>
+        <span className="job-time">
+          {batch.finished}/{batch.total} finished{failed > 0 ? ` · ${failed} failed` : ''} · {new Date(batch.created_at).toLocaleTimeString()}
+        </span>
+        <span className={`badge status-${batch.status}`}>{batch.status}</span>
+      </div>
+      <div className="batch-progress" title={`${batch.completion_percent}%`}>
+        <div className="batch-progress-bar" style={{ width: `${batch.completion_percent}%` }} />
+      </div>
+      {batch.failures.length > 0 && (
+        <ul className="batch-failures">
+          {batch.failures.map((f) => (
+            <li key={f.job_id}>
+              #{f.index} <code>{f.job_id.slice(0, 8)}</code> {f.error_message || 'failed'}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/** Trends panel: throughput, queue depth and wait/run percentiles from GET /metrics/history for a chosen window. */
+function MetricsHistory({ apiKey }) {
+  const [windowName, setWindowName] = useState('1h');
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const data = await getMetricsHistory(windowName, { apiKey: apiKey || undefined });
+        if (cancelled) return;
+        setHistory(data);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load history');
+      }
+    };
+    load();
+    const id = setInterval(load, HISTORY_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, [windowName, apiKey]);
+
+  const buckets = history?.buckets ?? [];
+  const per = history ? `per ${history.bucket_seconds / 60} min` : '';
+  return (
+    <section className="history-section">
+      <div className="section-head">
+        <h2>Trends</h2>
+        <div className="tabs">
+          {HISTORY_WINDOWS.map((w) => (
+            <button key={w} className={windowName === w ? 'active' : ''} onClick={() => setWindowName(w)}>
+              {w}
+            </button>
+          ))}
+        </div>
+      </div>
+      {error && <p className="muted">{error}</p>}
+      {history && (
+        <div className="chart-grid">
+          <LineChart
+            title={`Throughput (${per})`}
+            buckets={buckets}
+            lines={[
+              { key: 'submitted', label: 'submitted', color: 'var(--accent)' },
+              { key: 'done', label: 'done', color: 'var(--done)' },
+              { key: 'failed', label: 'failed', color: 'var(--failed)' },
+            ]}
+          />
+          <LineChart
+            title="Queue depth"
+            buckets={buckets}
+            lines={[
+              { key: 'pending', label: 'pending', color: 'var(--pending)' },
+              { key: 'running', label: 'running', color: 'var(--running)' },
+            ]}
+          />
+          <LineChart
+            title="Queue wait"
+            buckets={buckets}
+            format={formatSeconds}
+            lines={[
+              { key: 'wait_p50', label: 'p50', color: 'var(--scheduled)' },
+              { key: 'wait_p95', label: 'p95', color: 'var(--dlq)' },
+            ]}
+          />
+          <LineChart
+            title="Run time"
+            buckets={buckets}
+            format={formatSeconds}
+            lines={[
+              { key: 'run_p50', label: 'p50', color: 'var(--scheduled)' },
+              { key: 'run_p95', label: 'p95', color: 'var(--dlq)' },
+            ]}
+          />
+        </div>
+      )}
+    </section>
+  );
+}
+
 export default function App() {
   const [jobs, setJobs] = useState([]);
-  const [dlq, setDlq] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [workers, setWorkers] = useState([]);
+  const [queues, setQueues] = useState([]);
+  const [workflows, setWorkflows] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [cronInput, setCronInput] = useState('');
+  const [scheduleText, setScheduleText] = useState('');
   const [metrics, setMetrics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [textInput, setTextInput] = useState('');
   const [idempotencyKey, setIdempotencyKey] = useState('');
   const [tenantId, setTenantId] = useState('default');
+  const [delaySeconds, setDelaySeconds] = useState('');
+  const [priority, setPriority] = useState('');
+  const [callbackUrl, setCallbackUrl] = useState('');
+  const [queue, setQueue] = useState('');
   const [apiKey, setApiKey] = useState('');
   const [lastUpdatedAt, setLastUpdatedAt] = useState(null);
   const [submitStatus, setSubmitStatus] = useState({ type: null, message: '' });
   const [filter, setFilter] = useState('all');
+  const [streamConnected, setStreamConnected] = useState(false);
+  const refetchTimer = useRef(null);
+  const batchIds = useRef([]);
 
   const fetchData = useCallback(async () => {
     const opts = apiKey ? { apiKey } : {};
     try {
-      const [jobsRes, dlqRes, metricsRes] = await Promise.all([
+      const [jobsRes, metricsRes, schedulesRes, workflowsRes, queuesRes] = await Promise.all([
         listJobs(undefined, opts),
-        listDlq(opts),
         getMetrics(opts),
+        listSchedules(opts),
+        listWorkflows(opts),
+        listQueues(opts),
       ]);
+      const batchesRes = await Promise.all(batchIds.current.map((id) => getBatch(id, opts).catch(() => null)));
       setJobs(jobsRes);
-      setDlq(dlqRes);
+      setSchedules(schedulesRes);
+      setWorkflows(workflowsRes);
+      setQueues(queuesRes);
+      setBatches(batchesRes.filter(Boolean));
       setMetrics(metricsRes);
       setError(null);
       setLastUpdatedAt(new Date());
@@ -134,9 +919,48 @@ export default function App() {
     }
   }, [apiKey]);
 
+  // Workers publish no job events, so their list is polled on its own regardless of the event stream.
+  const fetchWorkers = useCallback(async () => {
+    try {
+      setWorkers(await listWorkers(apiKey ? { apiKey } : {}));
+    } catch {
+      // fetchData reports auth and connection errors
+    }
+  }, [apiKey]);
+
+  useEffect(() => {
+    fetchWorkers();
+    const id = setInterval(fetchWorkers, POLL_INTERVAL_MS);
+    return () => clearInterval(id);
+  }, [fetchWorkers]);
+
+  // Live updates: re-fetch on each job event. Polling below only runs while the stream is down.
+  useEffect(() => {
+    const close = subscribeEvents(
+      () => {
+        clearTimeout(refetchTimer.current);
+        refetchTimer.current = setTimeout(fetchData, EVENT_REFETCH_DELAY_MS);
+      },
+      {
+        apiKey: apiKey || undefined,
+        onOpen: () => {
+          setStreamConnected(true);
+          fetchData(); // catch up on anything missed while disconnected
+        },
+        onError: () => setStreamConnected(false),
+      },
+    );
+    return () => {
+      close();
+      clearTimeout(refetchTimer.current);
+      setStreamConnected(false);
+    };
+  }, [apiKey, fetchData]);
+
   const hasActiveJobs = (metrics?.pending ?? 0) > 0 || (metrics?.running ?? 0) > 0;
   useEffect(() => {
     fetchData();
+    if (streamConnected) return undefined;
     const interval = error
       ? POLL_INTERVAL_WHEN_ERROR_MS
       : hasActiveJobs
@@ -144,21 +968,28 @@ export default function App() {
         : POLL_INTERVAL_MS;
     const id = setInterval(fetchData, interval);
     return () => clearInterval(id);
-  }, [fetchData, error, hasActiveJobs]);
+  }, [fetchData, error, hasActiveJobs, streamConnected]);
 
   async function handleSubmit(e) {
     e?.preventDefault();
     setSubmitStatus({ type: null, message: '' });
     const text = (textInput || '').trim();
     try {
+      const delay = Number(delaySeconds);
       await submitJob(text || ' ', {
         idempotencyKey: idempotencyKey || undefined,
         tenantId: tenantId || undefined,
         apiKey: apiKey || undefined,
+        delaySeconds: delaySeconds !== '' && delay > 0 ? delay : undefined,
+        priority: priority !== '' ? Number(priority) : undefined,
+        callbackUrl: callbackUrl.trim() || undefined,
+        queue: queue.trim() || undefined,
       });
-      setSubmitStatus({ type: 'success', message: 'Job submitted' });
+      setSubmitStatus({ type: 'success', message: delay > 0 ? `Job scheduled (runs in ${formatDuration(delay)})` : 'Job submitted' });
       setTextInput('');
       setIdempotencyKey('');
+      setDelaySeconds('');
+      setPriority('');
       fetchData();
     } catch (err) {
       setSubmitStatus({ type: 'error', message: err.message || 'Submit failed' });
@@ -211,16 +1042,128 @@ export default function App() {
     }
   }
 
+  /** Submit a demo diamond workflow; `failing` makes one branch fail so the join step is skipped. */
+  async function quickSubmitWorkflow(failing) {
+    setSubmitStatus({ type: null, message: '' });
+    try {
+      await submitWorkflow(failing ? DEMO_FAILING_WORKFLOW : DEMO_WORKFLOW, {
+        name: failing ? 'diamond (left fails)' : 'diamond',
+        onFailure: failing ? 'skip' : undefined,
+        tenantId: tenantId || undefined,
+        apiKey: apiKey || undefined,
+      });
+      setSubmitStatus({ type: 'success', message: failing ? 'Workflow submitted (left fails → report skipped)' : 'Workflow submitted' });
+      fetchData();
+    } catch (err) {
+      setSubmitStatus({ type: 'error', message: err.message || 'Submit failed' });
+    }
+  }
+
+  /** Submit DEMO_BATCH_SIZE text jobs in one request; every fifth one fails so the summary lists failures. */
+  async function quickSubmitBatch() {
+    setSubmitStatus({ type: null, message: '' });
+    const jobs = Array.from({ length: DEMO_BATCH_SIZE }, (_, i) => (i % 5 === 4 ? { payload: { fail: true } } : { text: `Batch item ${i + 1}` }));
+    try {
+      const res = await submitBatch(jobs, {
+        name: `demo batch of ${DEMO_BATCH_SIZE}`,
+        tenantId: tenantId || undefined,
+        apiKey: apiKey || undefined,
+      });
+      batchIds.current = [res.batch_id, ...batchIds.current].slice(0, MAX_TRACKED_BATCHES);
+      setSubmitStatus({ type: 'success', message: `Batch submitted (${res.created} job(s))` });
+      fetchData();
+    } catch (err) {
+      setSubmitStatus({ type: 'error', message: err.message || 'Submit failed' });
+    }
+  }
+
+  async function handleRetry(id, options = {}) {
+    setSubmitStatus({ type: null, message: '' });
+    try {
+      await retryJob(id, { ...options, apiKey: apiKey || undefined });
+      setSubmitStatus({ type: 'success', message: 'Job re-queued' });
+      fetchData();
+    } catch (err) {
+      setSubmitStatus({ type: 'error', message: err.message || 'Retry failed' });
+    }
+  }
+
+  async function handleCancel(id) {
+    setSubmitStatus({ type: null, message: '' });
+    try {
+      const job = await cancelJob(id, { apiKey: apiKey || undefined });
+      setSubmitStatus({ type: 'success', message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancelling running job…' });
+      fetchData();
+    } catch (err) {
+      setSubmitStatus({ type: 'error', message: err.message || 'Cancel failed' });
+    }
+  }
+
+  async function handleCreateSchedule(e) {
+    e.preventDefault();
+    setSubmitStatus({ type: null, message: '' });
+    try {
+      const schedule = await createSchedule(cronInput.trim(), scheduleText.trim() || 'scheduled', {
+        tenantId: tenantId.trim() || undefined,
+        apiKey: apiKey || undefined,
+      });
+      setSubmitStatus({ type: 'success', message: `Schedule created (next run ${new Date(schedule.next_fire_at).toLocaleString()})` });
+      setCronInput('');
+      setScheduleText('');
+      fetchData();
+    } catch (err) {
+      setSubmitStatus({ type: 'error', message: err.message || 'Create schedule failed' });
+    }
+  }
+
+  async function handleScheduleAction(action, id) {
+    setSubmitStatus({ type: null, message: '' });
+    try {
+      await SCHEDULE_ACTIONS[action](id, { apiKey: apiKey || undefined });
+      fetchData();
+    } catch (err) {
+      setSubmitStatus({ type: 'error', message: err.message || `Schedule ${action} failed` });
+    }
+  }
+
+  async function handleDrain(id) {
+    setSubmitStatus({ type: null, message: '' });
+    try {
+      await drainWorker(id, { apiKey: apiKey || undefined });
+      setSubmitStatus({ type: 'success', message: `Draining ${id}: it finishes its in-flight jobs and leases no more` });
+      fetchWorkers();
+    } catch (err) {
+      setSubmitStatus({ type: 'error', message: err.message || 'Drain failed' });
+    }
+  }
+
+  /** Pausing stops workers leasing the queue's jobs (admin scope); new submissions keep queuing up. */
+  async function handleQueueToggle(q) {
+    setSubmitStatus({ type: null, message: '' });
+    try {
+      await (q.paused ? resumeQueue : pauseQueue)(q.name, { apiKey: apiKey || undefined });
+      setSubmitStatus({ type: 'success', message: q.paused ? `Queue ${q.name} resumed` : `Queue ${q.name} paused: its jobs wait as pending` });
+      fetchData();
+    } catch (err) {
+      setSubmitStatus({ type: 'error', message: err.message || `Queue ${q.paused ? 'resume' : 'pause'} failed` });
+    }
+  }
+
   const filteredJobs = filter === 'all' ? jobs : jobs.filter((j) => j.status === filter);
 
   return (
     <div className="app">
       <header className="header">
         <h1>Job Queue Dashboard</h1>
-        <p className="subtitle">Submit jobs and watch Pending → Running → Done / Failed · DLQ</p>
+        <p className="subtitle">Submit jobs and watch (Scheduled →) Pending → Running → Done / Failed · DLQ</p>
       </header>
 
-      {error && (
+      {error && /^(Unauthorized|Forbidden)/.test(error) && (
+        <div className="banner error">
+          {error}. Enter an API key with the jobs:read scope in the submit form below.
+        </div>
+      )}
+      {error && !/^(Unauthorized|Forbidden)/.test(error) && (
         <div className="banner error">
           Cannot reach API. Start the backend first: in a terminal run <code>cd backend && npm start</code> and wait for &quot;API running at http://localhost:8000&quot;, then refresh this page.
         </div>
@@ -229,15 +1172,20 @@ export default function App() {
       <section className="metrics">
         {metrics && (
           <div className="metrics-grid">
+            <div className="metric"><span className="value">{metrics.scheduled ?? 0}</span><span>Scheduled</span></div>
             <div className="metric"><span className="value">{metrics.pending ?? 0}</span><span>Pending</span></div>
             <div className="metric"><span className="value">{metrics.running ?? 0}</span><span>Running</span></div>
             <div className="metric"><span className="value">{metrics.done ?? 0}</span><span>Done</span></div>
             <div className="metric"><span className="value">{metrics.failed ?? 0}</span><span>Failed</span></div>
+            <div className="metric"><span className="value">{metrics.cancelled ?? 0}</span><span>Cancelled</span></div>
+            <div className="metric"><span className="value">{metrics.blocked ?? 0}</span><span>Blocked</span></div>
             <div className="metric dlq"><span className="value">{metrics.dlq_count ?? 0}</span><span>DLQ</span></div>
           </div>
         )}
       </section>
 
+      <MetricsHistory apiKey={apiKey} />
+
       <section className="submit-section">
         <h2>Submit job</h2>
         <form onSubmit={handleSubmit} className="submit-form">
@@ -278,6 +1226,62 @@ export default function App() {
               />
             </label>
           </div>
+          <div className="form-row">
+            <label>
+              Delay in seconds (optional)
+              <input
+                type="number"
+                min="0"
+                value={delaySeconds}
+                onChange={(e) => setDelaySeconds(e.target.value)}
+                placeholder="e.g. 3600 = run in 1 hour"
+              />
+            </label>
+            <label>
+              Priority (optional)
+              <input
+                type="number"
+                min="-100"
+                max="100"
+                step="1"
+                value={priority}
+                onChange={(e) => setPriority(e.target.value)}
+                placeholder="0 (higher runs first)"
+              />
+            </label>
+          </div>
+          <div className="form-row">
+            <label>
+              Callback URL (optional)
+              <input
+                type="url"
+                value={callbackUrl}
+                onChange={(e) => setCallbackUrl(e.target.value)}
+                placeholder="https://example.com/hooks/jobs"
+              />
+            </label>
+            <label>
+              Queue (optional)
+              <input
+                type="text"
+                value={queue}
+                onChange={(e) => setQueue(e.target.value)}
+                placeholder="default"
+              />
+            </label>
+          </div>
+          <div className="form-row">
+            <label>
+              API key (if the backend requires one)
+              <input
+                type="password"
+                value={apiKey}
+                onChange={(e) => setApiKey(e.target.value.trim())}
+                placeholder="jq_… (tenant keys ignore Tenant ID)"
+                autoComplete="off"
+              />
+            </label>
+          </div>
           <button type="submit" className="btn-primary">Submit job</button>
           {submitStatus.type && (
             <p className={`submit-feedback ${submitStatus.type}`}>{submitStatus.message}</p>
@@ -307,29 +1311,118 @@ export default function App() {
         ) : (
           <div className="job-list">
             {filteredJobs.map((job) => (
-              <JobRow key={job.id} job={job} />
+              <JobRow key={job.id} job={job} apiKey={apiKey} onRetry={handleRetry} onCancel={handleCancel} />
             ))}
           </div>
         )}
       </section>
 
-      <section className="dlq-section">
-        <h2>Dead letter queue</h2>
-        {dlq.length === 0 ? (
-          <p className="muted">No DLQ items.</p>
+      <section className="workflows-section">
+        <div className="section-head">
+          <h2>Workflows</h2>
+          <div className="section-actions">
+            <button type="button" className="btn-row" onClick={() => quickSubmitWorkflow(false)}>Diamond workflow</button>
+            <button type="button" className="btn-row" onClick={() => quickSubmitWorkflow(true)}>Diamond with failing step</button>
+          </div>
+        </div>
+        {workflows.length === 0 ? (
+          <p className="muted">No workflows.</p>
+        ) : (
+          <div className="job-list">
+            {workflows.map((workflow) => (
+              <WorkflowRow key={workflow.id} workflow={workflow} />
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="workflows-section">
+        <div className="section-head">
+          <h2>Batches</h2>
+          <div className="section-actions">
+            <button type="button" className="btn-row" onClick={quickSubmitBatch}>Batch of {DEMO_BATCH_SIZE}</button>
+          </div>
+        </div>
+        {batches.length === 0 ? (
+          <p className="muted">No batches submitted from this page.</p>
         ) : (
           <div className="job-list">
-            {dlq.map((item) => (
-              <DlqRow key={item.id} item={item} />
+            {batches.map((batch) => (
+              <BatchRow key={batch.id} batch={batch} />
             ))}
           </div>
         )}
       </section>
 
+      <section className="schedules-section">
+        <h2>Schedules</h2>
+        <form onSubmit={handleCreateSchedule} className="schedule-form">
+          <input
+            type="text"
+            value={cronInput}
+            onChange={(e) => setCronInput(e.target.value)}
+            placeholder="Cron (UTC), e.g. */5 * * * *"
+            className="input-cron"
+          />
+          <input
+            type="text"
+            value={scheduleText}
+            onChange={(e) => setScheduleText(e.target.value)}
+            placeholder="Text to process"
+          />
+          <button type="submit" className="btn-row" disabled={!cronInput.trim()}>Add schedule</button>
+        </form>
+        {schedules.length === 0 ? (
+          <p className="muted">No schedules.</p>
+        ) : (
+          <div className="job-list">
+            {schedules.map((schedule) => (
+              <ScheduleRow key={schedule.id} schedule={schedule} onAction={handleScheduleAction} />
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section className="workers-section">
+        <h2>Queues</h2>
+        <div className="job-list">
+          {queues.map((q) => (
+            <QueueRow key={q.name} queue={q} onToggle={handleQueueToggle} />
+          ))}
+        </div>
+      </section>
+
+      <section className="workers-section">
+        <h2>Workers</h2>
+        {workers.length === 0 ? (
+          <p className="muted">No live workers.</p>
+        ) : (
+          <div className="job-list">
+            {workers.map((worker) => (
+              <WorkerRow key={worker.id} worker={worker} onDrain={handleDrain} />
+            ))}
+          </div>
+        )}
+      </section>
+
+      <DlqPanel
+        apiKey={apiKey}
+        refreshKey={lastUpdatedAt}
+        onRetry={handleRetry}
+        onChange={fetchData}
+        setStatus={setSubmitStatus}
+      />
+
       <footer className="footer">
         <p>
-          Polling every {error ? POLL_INTERVAL_WHEN_ERROR_MS / 1000 : hasActiveJobs ? POLL_INTERVAL_REALTIME_MS / 1000 : POLL_INTERVAL_MS / 1000}s
-          {hasActiveJobs && ' (real-time)'}
+          {streamConnected ? (
+            <>Live (event stream)</>
+          ) : (
+            <>
+              Polling every {error ? POLL_INTERVAL_WHEN_ERROR_MS / 1000 : hasActiveJobs ? POLL_INTERVAL_REALTIME_MS / 1000 : POLL_INTERVAL_MS / 1000}s
+              {hasActiveJobs && ' (real-time)'}
+            </>
+          )}
           {lastUpdatedAt && (
             <> · Last updated {lastUpdatedAt.toLocaleTimeString()}</>
           )}
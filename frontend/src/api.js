@@ -10,15 +10,30 @@ function defaultHeaders(extra = {}) {
   return headers;
 }
 
+/** Error for a failed read: the server's message on 401/403 (missing key or scope), otherwise `fallback`. */
+async function readError(res, fallback) {
+  if (res.status !== 401 && res.status !== 403) return new Error(fallback);
+  const err = await res.json().catch(() => ({}));
+  return new Error(err.error || res.statusText);
+}
+
 export async function healthCheck() {
   const res = await fetch(`${BASE}/health`);
   if (!res.ok) return null;
   return res.json();
 }
 
-/** Submit job. Pass a string for text-based jobs (1 sec per char), or { text: "..." } or { payload: {...} }. */
+/**
+ * Submit job. Pass a string for text-based jobs (1 sec per char), or { text: "..." } or { payload: {...} }. Set options.type for other job types.
+ * options.delaySeconds or options.runAt (ISO string) schedules the job for later.
+ * options.backoff ({ policy, base_seconds, max_seconds, jitter }) overrides the retry backoff for this job.
+ * options.priority (integer -100..100, default 0): higher is processed first.
+ * options.timeoutSeconds: execution limit for each attempt (default and maximum are configured on the backend).
+ * options.callbackUrl: http(s) URL that receives the job's webhooks (done, failed, dead_lettered).
+ * options.queue: named queue (default "default"); jobs in a paused queue wait as pending.
+ */
 export async function submitJob(payloadOrText, options = {}) {
-  const { idempotencyKey, tenantId, apiKey } = options;
+  const { idempotencyKey, tenantId, apiKey, type, delaySeconds, runAt, backoff, priority, timeoutSeconds, callbackUrl, queue } = options;
   const headers = defaultHeaders();
   if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
   if (tenantId) headers['X-Tenant-Id'] = tenantId;
@@ -29,6 +44,14 @@ export async function submitJob(payloadOrText, options = {}) {
       : payloadOrText && payloadOrText.text !== undefined
         ? { text: payloadOrText.text }
         : { payload: payloadOrText ?? {} };
+  if (type) body.type = type;
+  if (delaySeconds != null) body.delay_seconds = delaySeconds;
+  if (runAt) body.run_at = runAt;
+  if (backoff) body.backoff = backoff;
+  if (priority != null) body.priority = priority;
+  if (timeoutSeconds != null) body.timeout_seconds = timeoutSeconds;
+  if (callbackUrl) body.callback_url = callbackUrl;
+  if (queue) body.queue = queue;
   const res = await fetch(`${BASE}/jobs`, {
     method: 'POST',
     headers,
@@ -48,30 +71,351 @@ export async function getJob(id, options = {}) {
   return res.json();
 }
 
+/**
+ * Retry a failed job or DLQ item (id may be either). Re-enqueues the same job.
+ * options.resetRetries (default true) — false gives it one more attempt; options.payload replaces the payload first.
+ */
+export async function retryJob(id, options = {}) {
+  const { apiKey, resetRetries, payload } = options;
+  const headers = defaultHeaders();
+  if (apiKey) headers['X-API-Key'] = apiKey;
+  const body = {};
+  if (resetRetries !== undefined) body.reset_retries = resetRetries;
+  if (payload !== undefined) body.payload = payload;
+  const res = await fetch(`${BASE}/jobs/${encodeURIComponent(id)}/retry`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+  return res.json();
+}
+
+/** Cancel a job: pending/scheduled jobs are cancelled at once; running jobs are stopped by their worker shortly after. */
+export async function cancelJob(id, options = {}) {
+  const headers = defaultHeaders();
+  if (options.apiKey) headers['X-API-Key'] = options.apiKey;
+  const res = await fetch(`${BASE}/jobs/${encodeURIComponent(id)}/cancel`, { method: 'POST', headers });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+  return res.json();
+}
+
+/** A job's attempt history, oldest first: [{ attempt, worker_id, leased_at, finished_at, duration_ms, outcome, error }]. */
+export async function getJobAttempts(id, options = {}) {
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/jobs/${encodeURIComponent(id)}/attempts`, { headers });
+  if (!res.ok) throw await readError(res, 'Failed to fetch job attempts');
+  const data = await res.json();
+  return data.attempts || [];
+}
+
+/** Webhook deliveries for a job, oldest first: [{ event, url, status, attempts, last_error, log: [...] }]. */
+export async function getJobWebhooks(id, options = {}) {
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/jobs/${encodeURIComponent(id)}/webhooks`, { headers });
+  if (!res.ok) throw await readError(res, 'Failed to fetch webhook deliveries');
+  const data = await res.json();
+  return data.deliveries || [];
+}
+
+/** One page of a job's log lines (oldest first): { logs: [{ attempt, ts, level, message }], total }. */
+export async function getJobLogs(id, options = {}) {
+  const params = new URLSearchParams();
+  if (options.limit) params.set('limit', options.limit);
+  if (options.offset) params.set('offset', options.offset);
+  if (options.attempt) params.set('attempt', options.attempt);
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/jobs/${encodeURIComponent(id)}/logs${params.toString() ? '?' + params : ''}`, { headers });
+  if (!res.ok) throw await readError(res, 'Failed to fetch job logs');
+  return res.json();
+}
+
 export async function listJobs(status, options = {}) {
   const params = new URLSearchParams();
   if (status) params.set('status', status);
   if (options.limit) params.set('limit', options.limit);
   if (options.offset) params.set('offset', options.offset);
+  if (options.priority != null) params.set('priority', options.priority);
+  if (options.sort) params.set('sort', options.sort);
   const url = `${BASE}/jobs${params.toString() ? '?' + params : ''}`;
   const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
   const res = await fetch(url, { headers });
-  if (!res.ok) throw new Error('Failed to fetch jobs');
+  if (!res.ok) throw await readError(res, 'Failed to fetch jobs');
   const data = await res.json();
   return data.jobs || [];
 }
 
-export async function listDlq(options = {}) {
+/** Query string for a DLQ filter ({ tenant_id, error, since, until, state, limit, offset }); empty fields are left out. */
+function dlqQuery(filter = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filter)) {
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/** One page of DLQ items, newest first: { items, total, limit, offset }. */
+export async function listDlq(filter = {}, options = {}) {
   const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
-  const res = await fetch(`${BASE}/dlq`, { headers });
-  if (!res.ok) throw new Error('Failed to fetch DLQ');
-  const data = await res.json();
-  return data.items || [];
+  const res = await fetch(`${BASE}/dlq${dlqQuery(filter)}`, { headers });
+  if (!res.ok) throw await readError(res, 'Failed to fetch DLQ');
+  return res.json();
+}
+
+async function dlqBulkAction(path, body, apiKey) {
+  const headers = defaultHeaders();
+  if (apiKey) headers['X-API-Key'] = apiKey;
+  const res = await fetch(`${BASE}/dlq/${path}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+  return res.json();
+}
+
+/**
+ * Re-queue the jobs of the open DLQ items matching filter ({ ids } or { tenant_id, error, since, until, state };
+ * { all: true } for the whole DLQ). Resolves with { redriven, job_ids }.
+ */
+export async function redriveDlq(filter, options = {}) {
+  return dlqBulkAction('redrive', filter, options.apiKey);
+}
+
+/** Delete the DLQ items matching filter (same shape as redriveDlq). Resolves with { deleted }. */
+export async function purgeDlq(filter, options = {}) {
+  return dlqBulkAction('purge', filter, options.apiKey);
+}
+
+export async function deleteDlqItem(id, options = {}) {
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/dlq/${encodeURIComponent(id)}`, { method: 'DELETE', headers });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+}
+
+/** Every DLQ item matching filter as a 'csv' or 'ndjson' file: resolves with { blob, filename }. */
+export async function exportDlq(filter, format, options = {}) {
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/dlq/export${dlqQuery({ ...filter, format })}`, { headers });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+  const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+  return { blob: await res.blob(), filename: match ? match[1] : `dlq.${format}` };
 }
 
 export async function getMetrics(options = {}) {
   const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
   const res = await fetch(`${BASE}/metrics`, { headers });
-  if (!res.ok) throw new Error('Failed to fetch metrics');
+  if (!res.ok) throw await readError(res, 'Failed to fetch metrics');
   return res.json();
 }
+
+/** Per-bucket throughput, queue depth and p50/p95 wait/run seconds. window: 15m | 1h | 6h | 24h. */
+export async function getMetricsHistory(window = '1h', options = {}) {
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/metrics/history?window=${encodeURIComponent(window)}`, { headers });
+  if (!res.ok) throw await readError(res, 'Failed to fetch metrics history');
+  return res.json();
+}
+
+export async function listSchedules(options = {}) {
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/schedules`, { headers });
+  if (!res.ok) throw await readError(res, 'Failed to fetch schedules');
+  const data = await res.json();
+  return data.schedules || [];
+}
+
+export async function listWorkers(options = {}) {
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/workers`, { headers });
+  if (!res.ok) throw await readError(res, 'Failed to fetch workers');
+  const data = await res.json();
+  return data.workers || [];
+}
+
+/** Named queues: [{ name, paused, paused_at, depth, in_flight, scheduled, blocked, workers }], default first. */
+export async function listQueues(options = {}) {
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/queues`, { headers });
+  if (!res.ok) throw await readError(res, 'Failed to fetch queues');
+  const data = await res.json();
+  return data.queues || [];
+}
+
+async function queueAction(name, action, apiKey) {
+  const headers = apiKey ? { 'X-API-Key': apiKey } : {};
+  const res = await fetch(`${BASE}/queues/${encodeURIComponent(name)}/${action}`, { method: 'POST', headers });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+  return res.json();
+}
+
+/** Stop workers leasing the queue's jobs (admin); submissions are still accepted. */
+export function pauseQueue(name, options = {}) {
+  return queueAction(name, 'pause', options.apiKey);
+}
+
+export function resumeQueue(name, options = {}) {
+  return queueAction(name, 'resume', options.apiKey);
+}
+
+/** Ask a worker to stop leasing and finish its in-flight jobs (admin). It picks this up on its next heartbeat. */
+export async function drainWorker(id, options = {}) {
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/workers/${encodeURIComponent(id)}/drain`, { method: 'POST', headers });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+  return res.json();
+}
+
+/**
+ * Create a cron schedule (5 fields, UTC). Pass a string for a text job or { payload: {...} }.
+ * Payload strings may contain {{fire_time}} / {{schedule_id}}.
+ */
+export async function createSchedule(cron, payloadOrText, options = {}) {
+  const { name, tenantId, apiKey, type } = options;
+  const headers = defaultHeaders();
+  if (tenantId) headers['X-Tenant-Id'] = tenantId;
+  if (apiKey) headers['X-API-Key'] = apiKey;
+  const body = typeof payloadOrText === 'string' ? { cron, text: payloadOrText } : { cron, payload: payloadOrText?.payload ?? {} };
+  if (name) body.name = name;
+  if (type) body.type = type;
+  const res = await fetch(`${BASE}/schedules`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+  return res.json();
+}
+
+/**
+ * Submit a workflow: jobs is [{ key, depends_on?: [keys], text | payload, ... }]. Jobs wait ("blocked") until their
+ * parents are done; on_failure ('cancel' | 'skip') decides what happens below a failed job.
+ */
+export async function submitWorkflow(jobs, options = {}) {
+  const { name, onFailure, tenantId, apiKey } = options;
+  const headers = defaultHeaders();
+  if (tenantId) headers['X-Tenant-Id'] = tenantId;
+  if (apiKey) headers['X-API-Key'] = apiKey;
+  const body = { jobs };
+  if (name) body.name = name;
+  if (onFailure) body.on_failure = onFailure;
+  const res = await fetch(`${BASE}/workflows`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+  return res.json();
+}
+
+/** Recent workflows (newest first), each with its jobs' statuses. */
+export async function listWorkflows(options = {}) {
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/workflows`, { headers });
+  if (!res.ok) throw await readError(res, 'Failed to fetch workflows');
+  const data = await res.json();
+  return data.workflows || [];
+}
+
+/**
+ * Submit many jobs in one request: jobs is [{ text | payload, idempotency_key?, ... }]. Counts against the tenant's
+ * batch job quota instead of the per-request submit limit. Resolves with { batch_id, total, created, jobs }.
+ */
+export async function submitBatch(jobs, options = {}) {
+  const { name, tenantId, apiKey } = options;
+  const headers = defaultHeaders();
+  if (tenantId) headers['X-Tenant-Id'] = tenantId;
+  if (apiKey) headers['X-API-Key'] = apiKey;
+  const body = { jobs };
+  if (name) body.name = name;
+  const res = await fetch(`${BASE}/jobs/batch`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+  return res.json();
+}
+
+/** Batch summary: counts by status, completion_percent and failures ({ index, job_id, error_message }). */
+export async function getBatch(id, options = {}) {
+  const headers = options.apiKey ? { 'X-API-Key': options.apiKey } : {};
+  const res = await fetch(`${BASE}/batches/${id}`, { headers });
+  if (!res.ok) throw await readError(res, 'Failed to fetch batch');
+  return res.json();
+}
+
+async function scheduleAction(id, method, path, apiKey) {
+  const headers = apiKey ? { 'X-API-Key': apiKey } : {};
+  const res = await fetch(`${BASE}/schedules/${encodeURIComponent(id)}${path}`, { method, headers });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || res.statusText);
+  }
+  return res.status === 204 ? null : res.json();
+}
+
+export function pauseSchedule(id, options = {}) {
+  return scheduleAction(id, 'POST', '/pause', options.apiKey);
+}
+
+export function resumeSchedule(id, options = {}) {
+  return scheduleAction(id, 'POST', '/resume', options.apiKey);
+}
+
+export function deleteSchedule(id, options = {}) {
+  return scheduleAction(id, 'DELETE', '', options.apiKey);
+}
+
+/**
+ * Subscribe to live job events (Server-Sent Events from GET /events).
+ * EventSource cannot send headers, so the API key goes in the query string.
+ * Calls onEvent(event) per job event, onOpen() on (re)connect, onError() when the stream drops (it reconnects by itself).
+ * Returns a function that closes the stream.
+ */
+export function subscribeEvents(onEvent, options = {}) {
+  const { apiKey, onOpen, onError } = options;
+  const params = apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : '';
+  const source = new EventSource(`${BASE}/events${params}`);
+  source.addEventListener('job', (e) => {
+    try {
+      onEvent(JSON.parse(e.data));
+    } catch {
+      // ignore malformed event
+    }
+  });
+  if (onOpen) source.onopen = onOpen;
+  if (onError) source.onerror = onError;
+  return () => source.close();
+}